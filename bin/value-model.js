@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// Values one or more JSON model files (as exported from the suite) with the calculation engine.
+//
+//   node bin/value-model.js [--format table|json] model.json [more.json ...]
+//
+// Prints one row per model, or the full results as JSON. Warnings go to stderr; exits 1 if any
+// file could not be read or fails validation.
+
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { runModel, validateInputs, collectWarnings, MODEL_INPUT_GROUPS } from '../src/engine/index.js';
+import { parseModel } from '../src/modelFiles.js';
+import { createFormatters, DEFAULT_FORMAT } from '../src/format.js';
+
+// Amounts are in each model's reporting currency, formatted with its units and locale
+const SUMMARY_COLUMNS = [
+  { key: 'wacc', label: 'WACC', format: (value, f) => f.formatPercent(value, 2) },
+  { key: 'dilutionPercent', label: 'Dilution', format: (value, f) => f.formatPercent(value, 1) },
+  { key: 'postMoneyValuation', label: 'Post-Money', format: (value, f) => f.formatMoney(value, 1) },
+  { key: 'totalLeverage', label: 'Leverage', format: (value, f) => f.formatMultiple(value, 2) },
+  { key: 'interestCoverage', label: 'Coverage', format: (value, f) => f.formatMultiple(value, 2) },
+  { key: 'firstCovenantBreachYear', label: 'Covenant Breach', format: (value) => `Y${value}` },
+  { key: 'enterpriseValue', label: 'DCF EV', format: (value, f) => f.formatMoney(value, 1) },
+  { key: 'equityValue', label: 'DCF Equity', format: (value, f) => f.formatMoney(value, 1) },
+  { key: 'sponsorIrr', label: 'LBO IRR', format: (value, f) => f.formatPercent(value, 1) },
+  { key: 'moic', label: 'MOIC', format: (value, f) => f.formatMultiple(value, 2) }
+];
+
+const summarize = (results) => ({
+  wacc: results.wacc.wacc,
+  dilutionPercent: results.dilution.dilutionPercent,
+  postMoneyValuation: results.dilution.postMoneyValuation,
+  totalLeverage: results.debt.totalLeverageRatio,
+  interestCoverage: results.debt.interestCoverage,
+  firstCovenantBreachYear: results.covenants.firstBreachYear,
+  enterpriseValue: results.dcf.enterpriseValue,
+  equityValue: results.dcf.equityValue,
+  sponsorIrr: results.lbo.irr,
+  moic: results.lbo.moic
+});
+
+const valueFile = (path) => {
+  const { inputs, errors } = parseModel(readFileSync(path, 'utf8'));
+  if (errors.length > 0) return { errors };
+  const missing = MODEL_INPUT_GROUPS.filter(group => !inputs[group]);
+  if (missing.length > 0) return { errors: missing.map(group => `inputs.${group}: missing`) };
+  const invalid = validateInputs(inputs);
+  if (invalid.length > 0) return { errors: invalid.map(error => `${error.path}: ${error.message}`) };
+  const results = runModel(inputs);
+  return {
+    errors: [],
+    warnings: collectWarnings(inputs, results).map(warning => warning.message),
+    formatters: createFormatters({ ...DEFAULT_FORMAT, ...inputs.currencyInputs }),
+    summary: summarize(results),
+    results
+  };
+};
+
+const printTable = (rows) => {
+  const header = ['Model', ...SUMMARY_COLUMNS.map(column => column.label)];
+  const body = rows.map(row => [
+    row.name,
+    ...SUMMARY_COLUMNS.map(column => {
+      const value = row.summary[column.key];
+      return value === null || !Number.isFinite(value) ? '-' : column.format(value, row.formatters);
+    })
+  ]);
+  const widths = header.map((cell, c) => Math.max(cell.length, ...body.map(row => row[c].length)));
+  const line = (cells) => cells.map((cell, c) => (c === 0 ? cell.padEnd(widths[c]) : cell.padStart(widths[c]))).join('  ');
+  console.log(line(header));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  body.forEach(row => console.log(line(row)));
+};
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string', short: 'f', default: 'table' },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+if (values.help || positionals.length === 0 || !['table', 'json'].includes(values.format)) {
+  console.error('Usage: node bin/value-model.js [--format table|json] model.json [more.json ...]');
+  process.exit(values.help ? 0 : 1);
+}
+
+let failed = false;
+const rows = [];
+positionals.forEach(path => {
+  let valued;
+  try {
+    valued = valueFile(path);
+  } catch (error) {
+    valued = { errors: [error.message] };
+  }
+  if (valued.errors.length > 0) {
+    failed = true;
+    valued.errors.forEach(error => console.error(`${path}: ${error}`));
+    return;
+  }
+  valued.warnings.forEach(warning => console.error(`${path}: warning: ${warning}`));
+  rows.push({ file: path, name: basename(path, '.json'), ...valued });
+});
+
+if (values.format === 'json') {
+  console.log(JSON.stringify(rows.map(({ file, warnings, summary, results }) => ({ file, warnings, summary, results })), null, 2));
+} else if (rows.length > 0) {
+  printTable(rows);
+}
+process.exit(failed ? 1 : 0);
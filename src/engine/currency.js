@@ -0,0 +1,17 @@
+// Currency conversion into the model's reporting currency.
+// currencyInputs: { reportingCurrency, modelCurrency, units, locale, fxRates }. FX rates are quoted
+// in USD per unit of each currency, so any pair converts through USD and the reporting currency can
+// change without re-entering rates. modelCurrency is the currency of the operating and valuation
+// amounts (market values, cash flows, EBITDA, capex, revenue and cash). Models saved before
+// currencies existed carry no currency: USD.
+
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'CAD', 'JPY'];
+export const FX_BASE_CURRENCY = 'USD';
+
+// Multiplier taking an amount in `currency` into the reporting currency. currencyInputs must
+// pass validateInputs(): a rate for every currency and a known reporting currency.
+export const fxFactor = (currency = FX_BASE_CURRENCY, currencyInputs) => {
+  if (!currencyInputs || currency === currencyInputs.reportingCurrency) return 1;
+  const { fxRates, reportingCurrency } = currencyInputs;
+  return fxRates[currency] / fxRates[reportingCurrency];
+};
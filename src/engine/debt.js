@@ -0,0 +1,280 @@
+// Debt stack, multi-year debt schedule and covenant calculations.
+// Tranche rateType: 'fixed' uses rate (%), 'floating' uses baseRate (%) + spread (bps).
+// Tranche amortizationType: 'bullet', 'straightLine' over maturity, or 'percent' of original per year.
+// Revolver tranches: amount is the drawn balance, commitment the size of that facility.
+// Tranche amounts are in the tranche's currency and are converted here (pass currencyInputs);
+// EBITDA, cash flow and capex are in the model currency, restated by convertDebtStackInputs().
+// Every result is in the reporting currency (see currency.js).
+
+import { fxFactor } from './currency.js';
+
+export const DEBT_TYPES = ['Senior Secured', 'Second Lien', 'Senior Unsecured', 'Subordinated', 'Mezzanine'];
+
+export const COVENANT_DEFINITIONS = {
+  totalLeverage: { label: 'Max Total Leverage', direction: 'max' },
+  seniorSecuredLeverage: { label: 'Max Senior Secured Leverage', direction: 'max' },
+  interestCoverage: { label: 'Min Interest Coverage', direction: 'min' },
+  fixedChargeCoverage: { label: 'Min Fixed Charge Coverage', direction: 'min' }
+};
+
+// Model Currency
+export const convertDebtStackInputs = (debtStackInputs, currencyInputs) => {
+  const fxRate = fxFactor(currencyInputs && currencyInputs.modelCurrency, currencyInputs);
+  if (fxRate === 1) return debtStackInputs;
+  return {
+    ...debtStackInputs,
+    ebitda: debtStackInputs.ebitda * fxRate,
+    cashFlow: debtStackInputs.cashFlow * fxRate,
+    capex: debtStackInputs.capex * fxRate
+  };
+};
+
+// Debt Stack Calculations
+export const calculateDebtMetrics = (debtStackInputs, currencyInputs) => {
+  const debtLevels = debtStackInputs.tranches.map(tranche => {
+    const fxRate = fxFactor(tranche.currency, currencyInputs);
+    const amount = tranche.amount * fxRate;
+    // Revolvers saved before per-facility commitments have no headroom until one is entered
+    const commitment = tranche.isRevolver ? (tranche.commitment ?? tranche.amount) * fxRate : 0;
+    const allInRate = tranche.rateType === 'floating'
+      ? debtStackInputs.baseRate + tranche.spread / 100
+      : tranche.rate;
+    // OID / fees amortized straight-line over the tranche life
+    const yieldToMaturity = allInRate + (tranche.maturity > 0 ? tranche.oidPercent / tranche.maturity : 0);
+    let annualAmortization = 0;
+    if (tranche.amortizationType === 'straightLine') {
+      annualAmortization = tranche.maturity > 0 ? amount / tranche.maturity : amount;
+    } else if (tranche.amortizationType === 'percent') {
+      annualAmortization = amount * tranche.amortizationRate / 100;
+    }
+    return {
+      ...tranche,
+      localAmount: tranche.amount,
+      localCommitment: tranche.commitment,
+      fxRate,
+      amount,
+      commitment,
+      allInRate,
+      yieldToMaturity,
+      upfrontFees: amount * tranche.oidPercent / 100,
+      annualAmortization
+    };
+  });
+
+  // An undrawn stack has no blended cost; ratios over zero interest or debt service are null
+  const totalDebt = debtLevels.reduce((sum, debt) => sum + debt.amount, 0);
+  const weightedAverageCost = totalDebt > 0 ? debtLevels.reduce((sum, debt) => sum + (debt.amount * debt.allInRate), 0) / totalDebt : 0;
+  const weightedAverageYield = totalDebt > 0 ? debtLevels.reduce((sum, debt) => sum + (debt.amount * debt.yieldToMaturity), 0) / totalDebt : 0;
+  const annualInterest = totalDebt * weightedAverageCost / 100;
+  const annualAmortization = debtLevels.reduce((sum, debt) => sum + debt.annualAmortization, 0);
+  const annualDebtService = annualInterest + annualAmortization;
+
+  return {
+    debtLevels: debtLevels.map(debt => ({
+      ...debt,
+      weight: totalDebt > 0 ? (debt.amount / totalDebt) * 100 : 0,
+      annualInterest: debt.amount * debt.allInRate / 100
+    })),
+    totalDebt,
+    weightedAverageCost,
+    weightedAverageYield,
+    totalLeverageRatio: totalDebt / debtStackInputs.ebitda,
+    interestCoverage: annualInterest > 0 ? debtStackInputs.ebitda / annualInterest : null,
+    totalUpfrontFees: debtLevels.reduce((sum, debt) => sum + debt.upfrontFees, 0),
+    annualAmortization,
+    annualDebtService,
+    debtServiceCoverage: annualDebtService > 0 ? debtStackInputs.cashFlow / annualDebtService : null
+  };
+};
+
+// Multi-Year Debt Schedule
+// Each year: interest on opening balances, scheduled amortization and maturities,
+// revolver draws to fund shortfalls, revolver paydown, then the excess cash flow
+// sweep applied to term debt in seniority order.
+export const calculateDebtSchedule = (debtStackInputs, debtResults = calculateDebtMetrics(debtStackInputs)) => {
+  const tranches = debtResults.debtLevels;
+  const horizon = Math.max(0, ...tranches.map(tranche => tranche.maturity));
+  const balances = {};
+  tranches.forEach(tranche => { balances[tranche.id] = tranche.amount; });
+  const sweepOrder = tranches
+    .filter(tranche => !tranche.isRevolver)
+    .map((tranche, index) => ({ tranche, index }))
+    .sort((a, b) => a.tranche.seniority - b.tranche.seniority || a.index - b.index)
+    .map(({ tranche }) => tranche);
+
+  const totalOutstanding = () => tranches.reduce((sum, tranche) => sum + balances[tranche.id], 0);
+  const years = [{
+    year: 0,
+    ebitda: debtStackInputs.ebitda,
+    cashFlow: debtStackInputs.cashFlow,
+    interest: 0,
+    scheduledAmortization: 0,
+    revolverDraw: 0,
+    revolverRepayment: 0,
+    sweep: 0,
+    shortfall: 0,
+    cashBalance: 0,
+    balances: { ...balances },
+    totalDebt: totalOutstanding(),
+    leverage: totalOutstanding() / debtStackInputs.ebitda,
+    interestCoverage: null
+  }];
+
+  let cashBalance = 0;
+  for (let year = 1; year <= horizon; year++) {
+    const ebitda = debtStackInputs.ebitda * Math.pow(1 + debtStackInputs.ebitdaGrowth / 100, year);
+    const cashFlow = debtStackInputs.cashFlow * Math.pow(1 + debtStackInputs.cashFlowGrowth / 100, year);
+
+    const interest = tranches.reduce((sum, tranche) => sum + balances[tranche.id] * tranche.allInRate / 100, 0);
+
+    let scheduledAmortization = 0;
+    tranches.forEach(tranche => {
+      const balance = balances[tranche.id];
+      if (tranche.isRevolver) {
+        if (year >= tranche.maturity) {
+          scheduledAmortization += balance;
+          balances[tranche.id] = 0;
+        }
+        return;
+      }
+      const payment = year >= tranche.maturity ? balance : Math.min(balance, tranche.annualAmortization);
+      scheduledAmortization += payment;
+      balances[tranche.id] = balance - payment;
+    });
+
+    let excessCash = cashFlow - interest - scheduledAmortization;
+    let revolverDraw = 0;
+    let revolverRepayment = 0;
+    let sweep = 0;
+    let shortfall = 0;
+    const revolvers = tranches.filter(tranche => tranche.isRevolver && year < tranche.maturity);
+
+    if (excessCash < 0) {
+      // Fund the gap from the cash balance, then the revolver
+      const fromCash = Math.min(cashBalance, -excessCash);
+      cashBalance -= fromCash;
+      excessCash += fromCash;
+      // Draw each live revolver in stack order, up to its own undrawn commitment
+      revolvers.forEach(tranche => {
+        const draw = Math.min(Math.max(0, tranche.commitment - balances[tranche.id]), -excessCash - revolverDraw);
+        balances[tranche.id] += draw;
+        revolverDraw += draw;
+      });
+      shortfall = -excessCash - revolverDraw;
+      excessCash = 0;
+    } else {
+      revolvers.forEach(tranche => {
+        const repayment = Math.min(balances[tranche.id], excessCash);
+        balances[tranche.id] -= repayment;
+        revolverRepayment += repayment;
+        excessCash -= repayment;
+      });
+      let sweepAvailable = excessCash * debtStackInputs.sweepPercent / 100;
+      sweepOrder.forEach(tranche => {
+        const prepayment = Math.min(balances[tranche.id], sweepAvailable);
+        balances[tranche.id] -= prepayment;
+        sweepAvailable -= prepayment;
+        sweep += prepayment;
+      });
+      cashBalance += excessCash - sweep;
+    }
+
+    const totalDebt = totalOutstanding();
+    years.push({
+      year,
+      ebitda,
+      cashFlow,
+      interest,
+      scheduledAmortization,
+      revolverDraw,
+      revolverRepayment,
+      sweep,
+      shortfall,
+      cashBalance,
+      balances: { ...balances },
+      totalDebt,
+      leverage: totalDebt / ebitda,
+      interestCoverage: interest > 0 ? ebitda / interest : null
+    });
+  }
+
+  return {
+    years,
+    totalShortfall: years.reduce((sum, row) => sum + row.shortfall, 0)
+  };
+};
+
+// Covenant Tests
+// Step-downs: max covenants tighten by `step` per year to `limit`, min covenants rise by `step` to `limit`.
+// EBITDA cushion is how far EBITDA can fall, holding debt and charges constant, before a breach.
+// Senior secured leverage counts the 'Senior Secured' tranches that are flagged `secured`;
+// second lien debt is secured but junior, so it is left out.
+export const calculateCovenants = (debtStackInputs, debtResults, debtSchedule) => {
+  const seniorSecuredIds = debtResults.debtLevels
+    .filter(debt => debt.type === 'Senior Secured' && debt.secured)
+    .map(debt => debt.id);
+
+  const testYears = debtSchedule.years.filter(row => row.year > 0).map(row => {
+    const capex = debtStackInputs.capex * Math.pow(1 + debtStackInputs.ebitdaGrowth / 100, row.year);
+    const seniorSecuredDebt = seniorSecuredIds.reduce((sum, id) => sum + row.balances[id], 0);
+    const fixedCharges = row.interest + row.scheduledAmortization;
+    return { ...row, capex, seniorSecuredDebt, fixedCharges };
+  });
+
+  const tests = debtStackInputs.covenants
+    .map((covenant, index) => ({ ...covenant, index }))
+    .filter(covenant => covenant.enabled)
+    .map(covenant => {
+      const definition = COVENANT_DEFINITIONS[covenant.metric];
+      const results = testYears.map(row => {
+        const stepped = covenant.initial + (definition.direction === 'max' ? -1 : 1) * covenant.step * (row.year - 1);
+        const required = definition.direction === 'max'
+          ? Math.max(covenant.limit, stepped)
+          : Math.min(covenant.limit, stepped);
+
+        let actual;
+        let breachEbitda;
+        if (covenant.metric === 'totalLeverage') {
+          actual = row.totalDebt / row.ebitda;
+          breachEbitda = row.totalDebt / required;
+        } else if (covenant.metric === 'seniorSecuredLeverage') {
+          actual = row.seniorSecuredDebt / row.ebitda;
+          breachEbitda = row.seniorSecuredDebt / required;
+        } else if (covenant.metric === 'interestCoverage') {
+          actual = row.interest > 0 ? row.ebitda / row.interest : Infinity;
+          breachEbitda = required * row.interest;
+        } else {
+          actual = row.fixedCharges > 0 ? (row.ebitda - row.capex) / row.fixedCharges : Infinity;
+          breachEbitda = required * row.fixedCharges + row.capex;
+        }
+
+        const pass = definition.direction === 'max' ? actual <= required : actual >= required;
+        const headroom = definition.direction === 'max' ? required - actual : actual - required;
+        return {
+          year: row.year,
+          required,
+          actual,
+          pass,
+          headroom,
+          ebitdaCushion: (1 - breachEbitda / row.ebitda) * 100
+        };
+      });
+      const firstBreach = results.find(result => !result.pass);
+      return {
+        ...covenant,
+        label: definition.label,
+        results,
+        firstBreachYear: firstBreach ? firstBreach.year : null,
+        // A stack with no debt schedule has no years to test, and so no cushion
+        minimumCushion: results.length > 0 ? Math.min(...results.map(result => result.ebitdaCushion)) : null
+      };
+    });
+
+  const breachYears = tests.map(test => test.firstBreachYear).filter(year => year !== null);
+  const cushions = tests.map(test => test.minimumCushion).filter(cushion => cushion !== null);
+  return {
+    tests,
+    firstBreachYear: breachYears.length > 0 ? Math.min(...breachYears) : null,
+    minimumCushion: cushions.length > 0 ? Math.min(...cushions) : null
+  };
+};
@@ -0,0 +1,297 @@
+// Priced round, dilution, liquidation waterfall and cap table calculations.
+// Share counts are unrounded; percentages are in percent (14.0 means 14%).
+
+import { fxFactor } from './currency.js';
+
+// Round Currency
+// The priced round's amounts (valuations, raise, convertibles and exit value) are entered in
+// dilutionInputs.currency. Restate them in the reporting currency before calling the functions
+// below, so prices, valuations and payouts come out in it; ownership is unaffected.
+export const convertDilutionInputs = (dilutionInputs, currencyInputs) => {
+  const fxRate = fxFactor(dilutionInputs.currency, currencyInputs);
+  if (fxRate === 1) return dilutionInputs;
+  return {
+    ...dilutionInputs,
+    currentValuation: dilutionInputs.currentValuation * fxRate,
+    fundraiseAmount: dilutionInputs.fundraiseAmount * fxRate,
+    preMoneyValuation: dilutionInputs.preMoneyValuation * fxRate,
+    exitValue: dilutionInputs.exitValue * fxRate,
+    priorRounds: (dilutionInputs.priorRounds || []).map(round => ({
+      ...round,
+      pricePerShare: round.pricePerShare * fxRate
+    })),
+    convertibles: dilutionInputs.convertibles.map(instrument => ({
+      ...instrument,
+      principal: instrument.principal * fxRate,
+      valuationCap: instrument.valuationCap * fxRate
+    }))
+  };
+};
+
+// Priced Round: SAFE / Convertible Note Conversion and Option Pool Sizing
+// Conversion and pool shares feed back into the round price (the pre-money includes them),
+// so iterate until the share count settles.
+export const calculatePricedRound = (dilutionInputs) => {
+  const instruments = dilutionInputs.convertibles;
+  const existingShares = dilutionInputs.currentShares;
+  const targetPool = dilutionInputs.targetPoolPercent / 100;
+  let conversionShares = instruments.map(() => 0);
+  let totalConversionShares = 0;
+  let poolIncrease = 0;
+  let roundPrice = dilutionInputs.preMoneyValuation / existingShares;
+  let conversions = [];
+
+  for (let iteration = 0; iteration < 50; iteration++) {
+    totalConversionShares = conversionShares.reduce((sum, shares) => sum + shares, 0);
+    const sharesExPool = existingShares + totalConversionShares;
+
+    if (dilutionInputs.poolTreatment === 'preMoney') {
+      // Pool shuffle: the top-up sits in the pre-money, so only existing holders bear it
+      const k = targetPool * (dilutionInputs.preMoneyValuation + dilutionInputs.fundraiseAmount) / dilutionInputs.preMoneyValuation;
+      poolIncrease = Math.max(0, (k * sharesExPool - dilutionInputs.existingPoolShares) / (1 - k));
+      roundPrice = dilutionInputs.preMoneyValuation / (sharesExPool + poolIncrease);
+    } else {
+      // Post-money pool: the top-up is issued after the round and dilutes new investors too
+      roundPrice = dilutionInputs.preMoneyValuation / sharesExPool;
+      const sharesPostRound = sharesExPool + dilutionInputs.fundraiseAmount / roundPrice;
+      poolIncrease = Math.max(0, (targetPool * sharesPostRound - dilutionInputs.existingPoolShares) / (1 - targetPool));
+    }
+
+    conversions = instruments.map(instrument => {
+      const accruedInterest = instrument.type === 'convertibleNote'
+        ? instrument.principal * (instrument.interestRate / 100) * (instrument.monthsOutstanding / 12)
+        : 0;
+      const conversionAmount = instrument.principal + accruedInterest;
+      const discountPrice = roundPrice * (1 - instrument.discount / 100);
+      // Post-money SAFE caps are struck against capitalization including all converting
+      // instruments but excluding the pool increase made in connection with the round
+      const capShares = instrument.type === 'postMoneySafe' ? sharesExPool : existingShares;
+      const capPrice = instrument.valuationCap > 0 ? instrument.valuationCap / capShares : Infinity;
+      const conversionPrice = Math.min(discountPrice, capPrice);
+      return {
+        ...instrument,
+        accruedInterest,
+        conversionAmount,
+        conversionPrice,
+        convertsAtCap: capPrice < discountPrice,
+        shares: conversionAmount / conversionPrice
+      };
+    });
+
+    const nextShares = conversions.map(conversion => conversion.shares);
+    const converged = nextShares.every((shares, i) => Math.abs(shares - conversionShares[i]) < 0.5);
+    conversionShares = nextShares;
+    if (converged) break;
+  }
+
+  return {
+    conversions,
+    conversionShares: conversionShares.reduce((sum, shares) => sum + shares, 0),
+    poolIncrease,
+    roundPrice
+  };
+};
+
+// Down-Round Anti-Dilution
+// dilutionInputs.priorRounds lists the preferred already outstanding (oldest first, included in
+// currentShares) with the price each paid and its protection. In a down round each protected
+// round's conversion price resets: to the new price under a full ratchet, or under a weighted
+// average to CP1 x (A + raise / CP1) / (A + new shares), where A is all shares outstanding before
+// the round, options included (broad-based), or only the prior preferred (narrow-based).
+export const ANTI_DILUTION_METHODS = {
+  none: 'None',
+  fullRatchet: 'Full Ratchet',
+  broadBased: 'Broad-Based Weighted Average',
+  narrowBased: 'Narrow-Based Weighted Average'
+};
+
+export const calculateAntiDilution = (dilutionInputs, pricePerShare, newShares) => {
+  const priorRounds = dilutionInputs.priorRounds || [];
+  const previousRoundPrice = priorRounds.length > 0 ? priorRounds[priorRounds.length - 1].pricePerShare : null;
+  const preferredShares = priorRounds.reduce((sum, round) => sum + round.shares, 0);
+
+  const adjustments = priorRounds.map(round => {
+    let adjustedPrice = round.pricePerShare;
+    if (pricePerShare < round.pricePerShare) {
+      if (round.antiDilution === 'fullRatchet') {
+        adjustedPrice = pricePerShare;
+      } else if (round.antiDilution === 'broadBased' || round.antiDilution === 'narrowBased') {
+        const base = round.antiDilution === 'broadBased' ? dilutionInputs.currentShares : preferredShares;
+        adjustedPrice = round.pricePerShare * (base + dilutionInputs.fundraiseAmount / round.pricePerShare) / (base + newShares);
+      }
+    }
+    return {
+      ...round,
+      adjustedPrice,
+      additionalShares: round.shares * (round.pricePerShare / adjustedPrice - 1)
+    };
+  });
+
+  return {
+    previousRoundPrice,
+    isDownRound: previousRoundPrice !== null && pricePerShare < previousRoundPrice,
+    adjustments,
+    antiDilutionShares: adjustments.reduce((sum, adjustment) => sum + adjustment.additionalShares, 0)
+  };
+};
+
+// Dilution Calculations
+// Anti-dilution shares are issued alongside the round at the round price, so they dilute every
+// other holder (new investors included) but stay with existing holders in ownershipPost.
+export const calculateDilution = (dilutionInputs) => {
+  const postMoneyValuation = dilutionInputs.preMoneyValuation + dilutionInputs.fundraiseAmount;
+  const { conversions, conversionShares, poolIncrease, roundPrice } = calculatePricedRound(dilutionInputs);
+  const pricePerShare = roundPrice;
+  const headlinePricePerShare = dilutionInputs.preMoneyValuation / (dilutionInputs.currentShares + conversionShares);
+  const newShares = dilutionInputs.fundraiseAmount / pricePerShare;
+  const antiDilution = calculateAntiDilution(dilutionInputs, pricePerShare, newShares);
+  const { antiDilutionShares } = antiDilution;
+  const totalSharesPost = dilutionInputs.currentShares + antiDilutionShares + conversionShares + poolIncrease + newShares;
+
+  const ownershipPre = 100;
+  const ownershipPost = ((dilutionInputs.currentShares + antiDilutionShares) / totalSharesPost) * 100;
+  const dilutionPercent = ownershipPre - ownershipPost;
+
+  // Founders hold the common outside the prior preferred and the unallocated pool
+  const preferredShares = antiDilution.adjustments.reduce((sum, adjustment) => sum + adjustment.shares, 0);
+  const founderShares = dilutionInputs.currentShares - preferredShares - dilutionInputs.existingPoolShares;
+  const founderOwnershipPost = (founderShares / totalSharesPost) * 100;
+
+  return {
+    postMoneyValuation,
+    pricePerShare,
+    headlinePricePerShare,
+    newShares,
+    totalSharesPost,
+    ownershipPost,
+    dilutionPercent,
+    valuePerSharePre: dilutionInputs.currentValuation / dilutionInputs.currentShares,
+    valuePerSharePost: postMoneyValuation / totalSharesPost,
+    conversions: conversions.map(conversion => ({
+      ...conversion,
+      ownership: (conversion.shares / totalSharesPost) * 100
+    })),
+    conversionShares,
+    poolIncrease,
+    postMoneyPoolPercent: ((dilutionInputs.existingPoolShares + poolIncrease) / totalSharesPost) * 100,
+    // Pre-money value actually credited to shares outstanding before the round
+    effectivePreMoneyValuation: pricePerShare * (dilutionInputs.currentShares + conversionShares),
+    // Existing holders' dilution split by source of the new shares
+    newMoneyDilution: (newShares / totalSharesPost) * 100,
+    poolDilution: (poolIncrease / totalSharesPost) * 100,
+    conversionDilution: (conversionShares / totalSharesPost) * 100,
+    ...antiDilution,
+    founderOwnershipPost,
+    // Founder ownership lost to the anti-dilution shares alone
+    extraFounderDilution: (founderShares / (totalSharesPost - antiDilutionShares)) * 100 - founderOwnershipPost
+  };
+};
+
+// Liquidation Waterfall
+// Payout to the new round's investors at `exitValue`, given calculateDilution() results.
+export const calculateWaterfall = (dilutionInputs, dilutionResults, exitValue) => {
+  const investorOwnership = dilutionResults.newShares / dilutionResults.totalSharesPost;
+
+  const preferenceAmount = dilutionInputs.fundraiseAmount * dilutionInputs.liquidationPreference;
+  const capAmount = dilutionInputs.participationCap > 0
+    ? dilutionInputs.fundraiseAmount * dilutionInputs.participationCap
+    : Infinity;
+  const conversionPayout = exitValue * investorOwnership;
+
+  let preferencePayout;
+  let participationPayout = 0;
+  if (dilutionInputs.participationRights) {
+    // Participating: take the preference, then share pro rata in the remainder up to the cap
+    preferencePayout = Math.min(exitValue, preferenceAmount);
+    participationPayout = (exitValue - preferencePayout) * investorOwnership;
+    if (preferencePayout + participationPayout > capAmount) {
+      participationPayout = Math.max(0, capAmount - preferencePayout);
+    }
+  } else {
+    preferencePayout = Math.min(exitValue, preferenceAmount);
+  }
+
+  // Preferred converts to common whenever that beats the preference (and any cap)
+  const converts = conversionPayout > preferencePayout + participationPayout;
+  const investorPayout = converts ? conversionPayout : preferencePayout + participationPayout;
+  const existingPayout = exitValue - investorPayout;
+
+  return {
+    exitValue,
+    investorPayout,
+    existingPayout,
+    preferencePayout: converts ? 0 : preferencePayout,
+    participationPayout: converts ? 0 : participationPayout,
+    converts,
+    investorMultiple: dilutionInputs.fundraiseAmount > 0 ? investorPayout / dilutionInputs.fundraiseAmount : 0,
+    investorShare: exitValue > 0 ? (investorPayout / exitValue) * 100 : 0,
+    existingShare: exitValue > 0 ? (existingPayout / exitValue) * 100 : 0
+  };
+};
+
+// Exit values at which the payout profile changes slope
+export const calculateWaterfallBreakpoints = (dilutionInputs, dilutionResults) => {
+  const investorOwnership = dilutionResults.newShares / dilutionResults.totalSharesPost;
+  const preferenceAmount = dilutionInputs.fundraiseAmount * dilutionInputs.liquidationPreference;
+  const capAmount = dilutionInputs.fundraiseAmount * dilutionInputs.participationCap;
+
+  const breakpoints = [{ label: 'Preference Fully Covered', exitValue: preferenceAmount }];
+  if (!dilutionInputs.participationRights) {
+    breakpoints.push({ label: 'Conversion to Common', exitValue: preferenceAmount / investorOwnership });
+  } else if (dilutionInputs.participationCap > 0 && capAmount > preferenceAmount) {
+    breakpoints.push({ label: 'Participation Cap Reached', exitValue: preferenceAmount + (capAmount - preferenceAmount) / investorOwnership });
+    breakpoints.push({ label: 'Conversion to Common', exitValue: capAmount / investorOwnership });
+  }
+  return breakpoints;
+};
+
+// Cap Table Calculations
+// Each round issues preferred at its pre-money divided by the fully diluted shares before it.
+// Rounds are entered in their own currency; prices per share are in the reporting currency.
+export const calculateCapTable = (capTableInputs, currencyInputs) => {
+  const holdings = capTableInputs.shareholderClasses.map(cls => ({
+    key: cls.id,
+    name: cls.name,
+    type: cls.type,
+    shares: cls.shares,
+    pricePerShare: null,
+    liquidationPreference: null,
+    seniority: null
+  }));
+
+  const snapshot = (stage, pricePerShare) => {
+    const totalShares = holdings.reduce((sum, holding) => sum + holding.shares, 0);
+    const ownership = {};
+    holdings.forEach(holding => {
+      ownership[holding.key] = totalShares > 0 ? (holding.shares / totalShares) * 100 : 0;
+    });
+    return { stage, pricePerShare, totalShares, ownership };
+  };
+
+  const stages = [snapshot('Founding', null)];
+  capTableInputs.rounds.forEach(round => {
+    const sharesBefore = holdings.reduce((sum, holding) => sum + holding.shares, 0);
+    const fxRate = fxFactor(round.currency, currencyInputs);
+    const pricePerShare = round.preMoneyValuation * fxRate / sharesBefore;
+    holdings.push({
+      key: round.id,
+      name: `${round.name} Preferred`,
+      type: round.participating ? 'Participating Preferred' : 'Preferred',
+      shares: round.investment * fxRate / pricePerShare,
+      pricePerShare,
+      liquidationPreference: round.liquidationPreference,
+      seniority: round.seniority
+    });
+    stages.push(snapshot(round.name, pricePerShare));
+  });
+
+  const finalStage = stages[stages.length - 1];
+  return {
+    holdings: holdings.map(holding => ({
+      ...holding,
+      ownership: finalStage.ownership[holding.key]
+    })),
+    stages,
+    totalShares: finalStage.totalShares
+  };
+};
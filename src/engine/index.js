@@ -0,0 +1,59 @@
+// Calculation engine for the Financial Modeling Suite.
+// Pure, framework-free functions over the model input objects (waccInputs, dilutionInputs,
+// capTableInputs, debtStackInputs, dcfInputs, lboInputs, currencyInputs). Amounts come back
+// in the reporting currency (as entered when a model has no currencyInputs); ratios, returns and
+// covenant tests do not depend on which currency that is. Everything returns plain
+// numbers; formatting is left to the caller. Imports carry explicit extensions so Node can load
+// the modules directly.
+
+import { convertWaccInputs, calculateCostOfEquity, calculateWACC, calculateOptimalCapitalStructure } from './wacc.js';
+import { convertDilutionInputs, calculateDilution, calculateWaterfall, calculateWaterfallBreakpoints, calculateCapTable } from './dilution.js';
+import { convertDebtStackInputs, calculateDebtMetrics, calculateDebtSchedule, calculateCovenants } from './debt.js';
+import { convertDcfInputs, calculateDCF, calculateLBOReturns, generateLBOGrid } from './valuation.js';
+
+export * from './currency.js';
+export * from './wacc.js';
+export * from './dilution.js';
+export * from './debt.js';
+export * from './valuation.js';
+export * from './validation.js';
+
+export const MODEL_INPUT_GROUPS = ['waccInputs', 'dilutionInputs', 'capTableInputs', 'debtStackInputs', 'dcfInputs', 'lboInputs'];
+
+// Restates the model-currency and round-currency amounts in the reporting currency. Tranches
+// and financing rounds stay as entered: calculateDebtMetrics and calculateCapTable convert them.
+export const convertModelInputs = (inputs) => ({
+  ...inputs,
+  waccInputs: convertWaccInputs(inputs.waccInputs, inputs.currencyInputs),
+  dilutionInputs: convertDilutionInputs(inputs.dilutionInputs, inputs.currencyInputs),
+  debtStackInputs: convertDebtStackInputs(inputs.debtStackInputs, inputs.currencyInputs),
+  dcfInputs: convertDcfInputs(inputs.dcfInputs, inputs.currencyInputs)
+});
+
+// Runs every model in dependency order. Check the inputs with validateInputs() first: the
+// calculations assume every field is a number within its schema range.
+export const runModel = (inputs) => {
+  const { waccInputs, dilutionInputs, capTableInputs, debtStackInputs, dcfInputs, lboInputs, currencyInputs } = convertModelInputs(inputs);
+
+  const costOfEquity = calculateCostOfEquity(waccInputs);
+  const wacc = calculateWACC(waccInputs, costOfEquity);
+  const dilution = calculateDilution(dilutionInputs);
+  const debt = calculateDebtMetrics(debtStackInputs, currencyInputs);
+  const debtSchedule = calculateDebtSchedule(debtStackInputs, debt);
+
+  return {
+    costOfEquity,
+    wacc,
+    capitalStructure: calculateOptimalCapitalStructure(waccInputs, costOfEquity, debtStackInputs),
+    dilution,
+    waterfall: calculateWaterfall(dilutionInputs, dilution, dilutionInputs.exitValue),
+    waterfallBreakpoints: calculateWaterfallBreakpoints(dilutionInputs, dilution),
+    capTable: calculateCapTable(capTableInputs, currencyInputs),
+    debt,
+    debtSchedule,
+    covenants: calculateCovenants(debtStackInputs, debt, debtSchedule),
+    dcf: calculateDCF(dcfInputs, { wacc: wacc.wacc, totalDebt: debt.totalDebt, shares: dilutionInputs.currentShares }),
+    lbo: calculateLBOReturns(lboInputs, debtStackInputs, debt, debtSchedule),
+    lboGrid: generateLBOGrid(lboInputs, debtStackInputs, debt, debtSchedule)
+  };
+};
@@ -0,0 +1,351 @@
+// Input validation and model warnings.
+// validateInputs() checks every field against VALIDATION_SCHEMA and returns errors as
+// { path, label, message }, where path addresses the field ('debtStackInputs.tranches.0.amount').
+// collectWarnings() flags legal but suspicious inputs and results as { group, message }.
+
+import { UNITS, LOCALES } from '../format.js';
+import { CURRENCIES } from './currency.js';
+import { COST_OF_EQUITY_METHODS, VALUATION_SHIFTS } from './wacc.js';
+import { ANTI_DILUTION_METHODS } from './dilution.js';
+import { DEBT_TYPES, COVENANT_DEFINITIONS } from './debt.js';
+
+// Field rules: min/max are inclusive, greaterThan/lessThan exclusive; `when` limits a rule to
+// the inputs where the field is in use (e.g. the manual cost of equity); `options` lists the
+// allowed values and `values` applies a rule to every entry of a keyed object (the FX rates),
+// including the `keys` it must have
+const percent = (label, extra = {}) => ({ label, min: 0, max: 100, ...extra });
+const growth = (label) => ({ label, greaterThan: -100 });
+const amount = (label) => ({ label, min: 0 });
+const positive = (label) => ({ label, greaterThan: 0 });
+const count = (label, min = 0) => ({ label, min, integer: true });
+const choice = (label, options) => ({ label, options });
+const flag = (label) => choice(label, [true, false]);
+// Models saved before currencies existed have none; their amounts are USD
+const currency = (label) => ({ label, options: CURRENCIES, optional: true });
+
+// Simulation variables only use the parameters of their distribution type
+const DISTRIBUTION_FIELDS = {
+  fixed: {},
+  normal: { mean: { label: 'Mean' }, stdDev: { label: 'Std Dev', min: 0 } },
+  triangular: { min: { label: 'Min' }, mode: { label: 'Mode' }, max: { label: 'Max' } },
+  uniform: { min: { label: 'Min' }, max: { label: 'Max' } }
+};
+
+const SIMULATION_VARIABLE_LABELS = {
+  ebitda: 'EBITDA',
+  ebitdaGrowth: 'EBITDA Growth',
+  costOfDebt: 'Cost of Debt',
+  beta: 'Beta',
+  exitValue: 'Exit Value',
+  exitMultiple: 'LBO Exit Multiple'
+};
+
+export const VALIDATION_SCHEMA = {
+  waccInputs: {
+    costOfEquityMethod: choice('Cost of Equity Method', Object.keys(COST_OF_EQUITY_METHODS)),
+    marketValueEquity: { label: 'Market Value of Equity' },
+    marketValueDebt: amount('Market Value of Debt'),
+    costOfEquity: percent('Cost of Equity', { when: (inputs) => inputs.costOfEquityMethod === 'manual' }),
+    costOfDebt: percent('Cost of Debt'),
+    taxRate: percent('Tax Rate'),
+    riskFreeRate: percent('Risk-Free Rate'),
+    beta: { label: 'Beta' },
+    marketRiskPremium: percent('Market Risk Premium'),
+    perpetualGrowth: { label: 'Perpetual FCF Growth', greaterThan: -100, lessThan: 100 },
+    sizePremium: percent('Size Premium', { when: (inputs) => inputs.costOfEquityMethod === 'buildUp' }),
+    companySpecificPremium: percent('Company-Specific Premium', { when: (inputs) => inputs.costOfEquityMethod === 'buildUp' }),
+    comparables: {
+      label: 'Comparable',
+      when: (inputs) => inputs.costOfEquityMethod === 'comparables',
+      items: {
+        leveredBeta: { label: 'Levered Beta' },
+        debtToEquity: amount('D/E'),
+        taxRate: percent('Tax Rate')
+      }
+    },
+    cashFlowProjection: { label: 'Year', each: { label: 'Cash Flow' } }
+  },
+  sensitivitySettings: {
+    variable: choice('Sensitivity Variable', VALUATION_SHIFTS),
+    rowVariable: choice('Row Variable', VALUATION_SHIFTS),
+    columnVariable: choice('Column Variable', VALUATION_SHIFTS)
+  },
+  dilutionInputs: {
+    currentShares: count('Current Shares Outstanding', 1),
+    currentValuation: positive('Current Valuation'),
+    preMoneyValuation: positive('Pre-Money Valuation'),
+    fundraiseAmount: positive('Fundraise Amount'),
+    existingPoolShares: count('Existing Option Pool'),
+    targetPoolPercent: percent('Target Pool', { lessThan: 100 }),
+    poolTreatment: choice('Pool Treatment', ['preMoney', 'postMoney']),
+    liquidationPreference: amount('Liquidation Preference'),
+    participationRights: flag('Participation Rights'),
+    proRataRights: flag('Pro-Rata Rights'),
+    participationCap: amount('Participation Cap'),
+    exitValue: amount('Exit Value'),
+    currency: currency('Round Currency'),
+    convertibles: {
+      label: 'Instrument',
+      items: {
+        type: choice('Type', ['postMoneySafe', 'preMoneySafe', 'convertibleNote']),
+        principal: positive('Principal'),
+        valuationCap: amount('Valuation Cap'),
+        discount: percent('Discount', { lessThan: 100 }),
+        interestRate: percent('Interest Rate'),
+        monthsOutstanding: count('Months Outstanding')
+      }
+    },
+    priorRounds: {
+      label: 'Prior Round',
+      items: {
+        shares: count('Shares'),
+        pricePerShare: positive('Price per Share'),
+        antiDilution: { label: 'Anti-Dilution', options: Object.keys(ANTI_DILUTION_METHODS) }
+      }
+    }
+  },
+  capTableInputs: {
+    shareholderClasses: { label: 'Class', items: { shares: count('Shares') } },
+    rounds: {
+      label: 'Round',
+      items: {
+        investment: amount('Investment'),
+        preMoneyValuation: positive('Pre-Money'),
+        currency: currency('Currency'),
+        liquidationPreference: amount('Liquidation Preference'),
+        participating: flag('Participating'),
+        seniority: count('Seniority', 1)
+      }
+    }
+  },
+  debtStackInputs: {
+    ebitda: positive('EBITDA'),
+    cashFlow: { label: 'Cash Flow' },
+    baseRate: percent('Base Rate'),
+    ebitdaGrowth: growth('EBITDA Growth'),
+    cashFlowGrowth: growth('Cash Flow Growth'),
+    sweepPercent: percent('Excess Cash Flow Sweep'),
+    capex: amount('Capex'),
+    tranches: {
+      label: 'Tranche',
+      items: {
+        type: choice('Debt Type', DEBT_TYPES),
+        seniority: count('Seniority', 1),
+        secured: flag('Secured'),
+        isRevolver: flag('Revolver'),
+        amount: amount('Amount'),
+        // Revolvers saved before per-facility commitments have none: no headroom
+        commitment: { ...amount('Commitment'), optional: true },
+        currency: currency('Currency'),
+        rateType: choice('Rate Type', ['fixed', 'floating']),
+        spread: amount('Spread'),
+        rate: percent('Rate'),
+        maturity: count('Maturity', 1),
+        oidPercent: percent('OID / Fees', { lessThan: 100 }),
+        amortizationType: choice('Amortization', ['bullet', 'straightLine', 'percent']),
+        amortizationRate: percent('Amortization Rate')
+      }
+    },
+    covenants: {
+      label: 'Covenant',
+      items: {
+        metric: choice('Metric', Object.keys(COVENANT_DEFINITIONS)),
+        enabled: flag('Enabled'),
+        initial: amount('Initial Level'),
+        step: amount('Annual Step'),
+        limit: amount('Final Level')
+      }
+    }
+  },
+  dcfInputs: {
+    baseRevenue: positive('Base Revenue'),
+    revenueGrowth: { label: 'Year', each: growth('Revenue Growth') },
+    ebitdaMargin: { label: 'EBITDA Margin', min: -100, max: 100 },
+    daPercent: percent('D&A'),
+    capexPercent: percent('Capex'),
+    nwcPercent: percent('Net Working Capital'),
+    taxRate: percent('Tax Rate'),
+    terminalMethod: choice('Terminal Value Method', ['gordon', 'exitMultiple']),
+    terminalGrowth: { label: 'Terminal Growth', greaterThan: -100, lessThan: 100 },
+    exitMultiple: amount('Exit Multiple'),
+    cash: amount('Cash')
+  },
+  lboInputs: {
+    entryMultiple: positive('Entry Multiple'),
+    exitMultiple: amount('Exit Multiple'),
+    holdPeriod: count('Hold Period', 1),
+    transactionFeePercent: percent('Transaction Fees')
+  },
+  currencyInputs: {
+    reportingCurrency: choice('Reporting Currency', CURRENCIES),
+    modelCurrency: currency('Model Currency'),
+    // Formatting only: a model file without them is shown in the default format
+    units: { ...choice('Units', Object.keys(UNITS)), optional: true },
+    locale: { ...choice('Number Format', Object.keys(LOCALES)), optional: true },
+    // A rate for every supported currency, so no tranche or round can pick one without a rate
+    fxRates: { label: 'FX Rate', values: positive('FX Rate'), keys: CURRENCIES }
+  },
+  simulationInputs: {
+    trials: { label: 'Trials', min: 100, max: 100000, integer: true },
+    seed: { label: 'Seed', integer: true },
+    targetIrr: { label: 'Target IRR' }
+  }
+};
+
+// Rule check for a single value; returns the error message or null
+const checkValue = (value, rule) => {
+  if (rule.optional && value === undefined) return null;
+  if (value === '' || value === null || value === undefined) return 'Required';
+  if (rule.options) return rule.options.includes(value) ? null : `Must be one of ${rule.options.join(', ')}`;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+  if (rule.integer && !Number.isInteger(value)) return 'Must be a whole number';
+  if (rule.min !== undefined && value < rule.min) return `Must be at least ${rule.min}`;
+  if (rule.max !== undefined && value > rule.max) return `Must be at most ${rule.max}`;
+  if (rule.greaterThan !== undefined && value <= rule.greaterThan) return `Must be greater than ${rule.greaterThan}`;
+  if (rule.lessThan !== undefined && value >= rule.lessThan) return `Must be less than ${rule.lessThan}`;
+  return null;
+};
+
+// Checks that span fields; each names the field the error is shown against
+const CROSS_FIELD_RULES = {
+  // Negative equity is legal (a warning); zero equity leaves debt-to-equity undefined
+  waccInputs: (inputs) => [
+    inputs.costOfEquityMethod === 'comparables' && inputs.comparables.length === 0 && {
+      field: 'comparables', label: 'Comparables', message: 'Add at least one comparable company to use this method'
+    },
+    inputs.marketValueEquity === 0 && {
+      field: 'marketValueEquity', label: 'Market Value of Equity', message: 'Must not be 0'
+    },
+    inputs.marketValueEquity !== 0 && inputs.marketValueEquity + inputs.marketValueDebt <= 0 && {
+      field: 'marketValueEquity', label: 'Total Capital', message: 'Equity plus debt must be greater than 0'
+    }
+  ],
+  dilutionInputs: (inputs) => [
+    inputs.poolTreatment === 'preMoney'
+      && inputs.targetPoolPercent * (inputs.preMoneyValuation + inputs.fundraiseAmount) / inputs.preMoneyValuation >= 100 && {
+      field: 'targetPoolPercent', label: 'Target Pool', message: 'Too large to fit in the pre-money at this valuation'
+    },
+    (inputs.priorRounds || []).reduce((sum, round) => sum + round.shares, 0) + inputs.existingPoolShares > inputs.currentShares && {
+      field: 'priorRounds', label: 'Prior Rounds', message: 'Prior round shares plus the option pool exceed Current Shares Outstanding'
+    }
+  ],
+  capTableInputs: (inputs) => [
+    inputs.shareholderClasses.reduce((sum, holder) => sum + holder.shares, 0) <= 0 && {
+      field: 'shareholderClasses', label: 'Shareholder Classes', message: 'Total shares must be greater than 0'
+    }
+  ],
+  simulationInputs: (inputs) => Object.keys(inputs.variables).flatMap(key => {
+    const variable = inputs.variables[key];
+    const label = SIMULATION_VARIABLE_LABELS[key] || key;
+    if (variable.type !== 'triangular' && variable.type !== 'uniform') return [];
+    return [
+      variable.min > variable.max && { field: `variables.${key}.max`, label: `${label} Max`, message: 'Must be at least Min' },
+      variable.type === 'triangular' && variable.min <= variable.max && (variable.mode < variable.min || variable.mode > variable.max) && {
+        field: `variables.${key}.mode`, label: `${label} Mode`, message: 'Must be between Min and Max'
+      }
+    ];
+  })
+};
+
+export const validateInputs = (inputs) => {
+  const errors = [];
+  const addError = (path, label, message) => errors.push({ path, label, message });
+
+  Object.keys(VALIDATION_SCHEMA).forEach(group => {
+    const groupInputs = inputs[group];
+    if (!groupInputs) return;
+    const schema = VALIDATION_SCHEMA[group];
+
+    Object.keys(schema).forEach(field => {
+      const rule = schema[field];
+      if (rule.when && !rule.when(groupInputs)) return;
+      const path = `${group}.${field}`;
+      if (rule.items) {
+        (groupInputs[field] || []).forEach((item, index) => {
+          Object.keys(rule.items).forEach(itemField => {
+            const message = checkValue(item[itemField], rule.items[itemField]);
+            if (message) addError(`${path}.${index}.${itemField}`, `${rule.label} ${index + 1} ${rule.items[itemField].label}`, message);
+          });
+        });
+      } else if (rule.values) {
+        const values = groupInputs[field] || {};
+        new Set([...(rule.keys || []), ...Object.keys(values)]).forEach(key => {
+          const message = checkValue(values[key], rule.values);
+          if (message) addError(`${path}.${key}`, `${key} ${rule.label}`, message);
+        });
+      } else if (rule.each) {
+        (groupInputs[field] || []).forEach((value, index) => {
+          const message = checkValue(value, rule.each);
+          if (message) addError(`${path}.${index}`, `${rule.each.label} ${rule.label} ${index + 1}`, message);
+        });
+      } else {
+        const message = checkValue(groupInputs[field], rule);
+        if (message) addError(path, rule.label, message);
+      }
+    });
+
+    if (group === 'simulationInputs') {
+      Object.keys(groupInputs.variables || {}).forEach(key => {
+        const variable = groupInputs.variables[key];
+        const typeMessage = checkValue(variable.type, choice('Distribution', Object.keys(DISTRIBUTION_FIELDS)));
+        if (typeMessage) addError(`${group}.variables.${key}.type`, `${SIMULATION_VARIABLE_LABELS[key] || key} Distribution`, typeMessage);
+        const fields = DISTRIBUTION_FIELDS[variable.type] || {};
+        Object.keys(fields).forEach(field => {
+          const message = checkValue(variable[field], fields[field]);
+          if (message) addError(`${group}.variables.${key}.${field}`, `${SIMULATION_VARIABLE_LABELS[key] || key} ${fields[field].label}`, message);
+        });
+      });
+    }
+
+    // Cross-field checks only make sense once the fields themselves are valid
+    if (CROSS_FIELD_RULES[group] && !errors.some(error => error.path.startsWith(`${group}.`))) {
+      CROSS_FIELD_RULES[group](groupInputs)
+        .filter(Boolean)
+        .forEach(({ field, label, message }) => addError(`${group}.${field}`, label, message));
+    }
+  });
+
+  return errors;
+};
+
+// Warnings
+// `results` is shaped like runModel() output; each warning names the input group it belongs to.
+export const collectWarnings = (inputs, results) => {
+  const { waccInputs, dilutionInputs, debtStackInputs, dcfInputs, lboInputs } = inputs;
+  const { wacc, dilution, debt, dcf, lbo } = results;
+  const warnings = [];
+  const warn = (group, message) => warnings.push({ group, message });
+
+  if (wacc.equityWeight < 0) warn('waccInputs', `Equity weight is negative (${wacc.equityWeight.toFixed(1)}%): check the market value of equity`);
+  if (wacc.wacc < waccInputs.riskFreeRate) warn('waccInputs', `WACC of ${wacc.wacc.toFixed(2)}% is below the ${waccInputs.riskFreeRate.toFixed(2)}% risk-free rate`);
+  if (waccInputs.costOfDebt > results.costOfEquity.costOfEquity) warn('waccInputs', 'Cost of debt is above the cost of equity');
+  if (results.costOfEquity.beta < 0) warn('waccInputs', `Beta is negative (${results.costOfEquity.beta.toFixed(2)})`);
+
+  if (dilution.dilutionPercent > 50) warn('dilutionInputs', `Existing holders are diluted by ${dilution.dilutionPercent.toFixed(1)}% in a single round`);
+  if (dilutionInputs.participationRights && dilutionInputs.participationCap > 0 && dilutionInputs.participationCap < dilutionInputs.liquidationPreference) {
+    warn('dilutionInputs', 'Participation cap is below the liquidation preference, so participation adds nothing');
+  }
+  if (dilution.isDownRound) {
+    warn('dilutionInputs', `Down round: ${dilution.pricePerShare.toFixed(2)} per share is below the previous round's ${dilution.previousRoundPrice.toFixed(2)}`);
+  }
+
+  if (debt.interestCoverage !== null && debt.interestCoverage < 1) warn('debtStackInputs', `Interest coverage of ${debt.interestCoverage.toFixed(2)}x is below 1.0x: EBITDA does not cover interest`);
+  if (debt.debtServiceCoverage !== null && debt.debtServiceCoverage < 1) warn('debtStackInputs', `Debt service coverage of ${debt.debtServiceCoverage.toFixed(2)}x is below 1.0x`);
+  if (debt.totalLeverageRatio > 7) warn('debtStackInputs', `Total leverage of ${debt.totalLeverageRatio.toFixed(2)}x is above 7.0x`);
+  if (debtStackInputs.cashFlow < 0) warn('debtStackInputs', 'Cash flow is negative');
+  debt.debtLevels
+    .filter(tranche => tranche.isRevolver && tranche.amount > tranche.commitment)
+    .forEach(tranche => warn('debtStackInputs', `${tranche.name} drawn balance exceeds its commitment`));
+
+  if (dcfInputs.terminalMethod === 'gordon' && dcf.terminalValue === null) {
+    warn('dcfInputs', `Terminal growth of ${dcfInputs.terminalGrowth.toFixed(1)}% is at or above the ${dcf.wacc.toFixed(2)}% WACC, so the Gordon growth value is undefined`);
+  }
+  if (dcf.terminalValueShare !== null && dcf.terminalValueShare > 85) warn('dcfInputs', `Terminal value is ${dcf.terminalValueShare.toFixed(0)}% of enterprise value`);
+  if (dcf.equityValue !== null && dcf.equityValue < 0) warn('dcfInputs', 'Net debt exceeds enterprise value: equity value is negative');
+
+  if (lbo.sponsorEquity <= 0) warn('lboInputs', 'Debt covers the full purchase price, so sponsor returns are undefined');
+  if (lboInputs.holdPeriod > lbo.holdPeriod) warn('lboInputs', `Hold period is capped at the ${lbo.holdPeriod}-year debt schedule`);
+  if (lbo.exitEquity < 0) warn('lboInputs', 'Exit equity is negative: the sponsor loses its investment');
+
+  return warnings;
+};
@@ -0,0 +1,169 @@
+// DCF and LBO returns calculations.
+// Amounts are in the reporting currency: restate dcfInputs with convertDcfInputs() first, and
+// pass the debt stack restated by convertDebtStackInputs().
+
+import { fxFactor } from './currency.js';
+
+// Model Currency
+// Base revenue and balance sheet cash are entered in currencyInputs.modelCurrency
+export const convertDcfInputs = (dcfInputs, currencyInputs) => {
+  const fxRate = fxFactor(currencyInputs && currencyInputs.modelCurrency, currencyInputs);
+  if (fxRate === 1) return dcfInputs;
+  return {
+    ...dcfInputs,
+    baseRevenue: dcfInputs.baseRevenue * fxRate,
+    cash: dcfInputs.cash * fxRate
+  };
+};
+
+// DCF Valuation
+// Unlevered free cash flow discounted at `wacc` (%); the equity bridge takes total debt
+// from the debt stack and the share count from the dilution model.
+export const calculateDCF = (dcfInputs, { wacc: waccPercent, totalDebt, shares }) => {
+  const wacc = waccPercent / 100;
+  const taxRate = dcfInputs.taxRate / 100;
+
+  let revenue = dcfInputs.baseRevenue;
+  const projections = dcfInputs.revenueGrowth.map((growth, index) => {
+    const priorRevenue = revenue;
+    revenue = priorRevenue * (1 + growth / 100);
+    const ebitda = revenue * dcfInputs.ebitdaMargin / 100;
+    const depreciation = revenue * dcfInputs.daPercent / 100;
+    const ebit = ebitda - depreciation;
+    const taxes = Math.max(0, ebit * taxRate);
+    const capex = revenue * dcfInputs.capexPercent / 100;
+    const changeInNwc = (revenue - priorRevenue) * dcfInputs.nwcPercent / 100;
+    const unleveredFcf = ebit - taxes + depreciation - capex - changeInNwc;
+    const discountFactor = 1 / Math.pow(1 + wacc, index + 1);
+    return {
+      year: index + 1,
+      revenue,
+      ebitda,
+      depreciation,
+      ebit,
+      taxes,
+      capex,
+      changeInNwc,
+      unleveredFcf,
+      discountFactor,
+      presentValue: unleveredFcf * discountFactor
+    };
+  });
+
+  const finalYear = projections[projections.length - 1];
+  const growth = dcfInputs.terminalGrowth / 100;
+  const gordonValue = finalYear && wacc > growth ? finalYear.unleveredFcf * (1 + growth) / (wacc - growth) : null;
+  const exitMultipleValue = finalYear ? finalYear.ebitda * dcfInputs.exitMultiple : null;
+  const terminalValue = dcfInputs.terminalMethod === 'gordon' ? gordonValue : exitMultipleValue;
+
+  const pvCashFlows = projections.reduce((sum, row) => sum + row.presentValue, 0);
+  const pvTerminalValue = terminalValue !== null ? terminalValue * finalYear.discountFactor : null;
+  const enterpriseValue = pvTerminalValue !== null ? pvCashFlows + pvTerminalValue : null;
+
+  const netDebt = totalDebt - dcfInputs.cash;
+  const equityValue = enterpriseValue !== null ? enterpriseValue - netDebt : null;
+
+  // Cross-checks: the multiple implied by a Gordon terminal value and vice versa
+  const impliedExitMultiple = gordonValue !== null && finalYear ? gordonValue / finalYear.ebitda : null;
+  const impliedTerminalGrowth = finalYear && exitMultipleValue > 0
+    ? ((exitMultipleValue * wacc - finalYear.unleveredFcf) / (exitMultipleValue + finalYear.unleveredFcf)) * 100
+    : null;
+
+  return {
+    wacc: waccPercent,
+    projections,
+    terminalValue,
+    pvCashFlows,
+    pvTerminalValue,
+    enterpriseValue,
+    totalDebt,
+    cash: dcfInputs.cash,
+    netDebt,
+    equityValue,
+    valuePerShare: equityValue !== null ? equityValue / shares : null,
+    terminalValueShare: enterpriseValue ? (pvTerminalValue / enterpriseValue) * 100 : null,
+    impliedExitMultiple,
+    impliedTerminalGrowth
+  };
+};
+
+// LBO Returns
+// Debt sources are the configured tranches, sponsor equity is the plug; EBITDA growth and
+// debt paydown over the hold come from the multi-year debt schedule.
+export const calculateLBOReturns = (
+  lboInputs,
+  debtStackInputs,
+  debtResults,
+  debtSchedule,
+  entryMultiple = lboInputs.entryMultiple,
+  exitMultiple = lboInputs.exitMultiple
+) => {
+  const horizon = debtSchedule.years.length - 1;
+  const holdPeriod = Math.max(1, Math.min(lboInputs.holdPeriod, horizon));
+  const exitYear = debtSchedule.years[holdPeriod] || debtSchedule.years[debtSchedule.years.length - 1];
+
+  const entryEbitda = debtStackInputs.ebitda;
+  const purchaseEnterpriseValue = entryEbitda * entryMultiple;
+  const transactionFees = purchaseEnterpriseValue * lboInputs.transactionFeePercent / 100;
+  const financingFees = debtResults.totalUpfrontFees;
+  const totalUses = purchaseEnterpriseValue + transactionFees + financingFees;
+  const entryDebt = debtResults.totalDebt;
+  const sponsorEquity = totalUses - entryDebt;
+
+  const exitEbitda = exitYear.ebitda;
+  const exitEnterpriseValue = exitEbitda * exitMultiple;
+  // Schedule shortfalls are assumed refinanced and still outstanding at exit
+  const refinancedShortfall = debtSchedule.years
+    .filter(row => row.year > 0 && row.year <= exitYear.year)
+    .reduce((sum, row) => sum + row.shortfall, 0);
+  const exitNetDebt = exitYear.totalDebt + refinancedShortfall - exitYear.cashBalance;
+  const exitEquity = exitEnterpriseValue - exitNetDebt;
+
+  const moic = sponsorEquity > 0 ? exitEquity / sponsorEquity : null;
+  const irr = moic !== null && moic > 0 ? (Math.pow(moic, 1 / holdPeriod) - 1) * 100 : null;
+
+  return {
+    holdPeriod,
+    sources: [
+      ...debtResults.debtLevels.map(debt => ({ name: debt.name, amount: debt.amount })),
+      { name: 'Sponsor Equity', amount: sponsorEquity }
+    ],
+    uses: [
+      { name: 'Purchase Enterprise Value', amount: purchaseEnterpriseValue },
+      { name: 'Transaction Fees', amount: transactionFees },
+      { name: 'Financing Fees (OID)', amount: financingFees }
+    ],
+    totalUses,
+    sponsorEquity,
+    entryLeverage: entryDebt / entryEbitda,
+    exitEbitda,
+    exitEnterpriseValue,
+    exitNetDebt,
+    exitEquity,
+    moic,
+    irr,
+    attribution: [
+      { name: 'EBITDA Growth', value: (exitEbitda - entryEbitda) * entryMultiple },
+      { name: 'Multiple Expansion', value: (exitMultiple - entryMultiple) * exitEbitda },
+      { name: 'Deleveraging', value: entryDebt - exitNetDebt },
+      { name: 'Fees & Expenses', value: -(transactionFees + financingFees) }
+    ]
+  };
+};
+
+// IRR across entry and exit multiples, one turn either side of the base case in half-turn steps
+export const generateLBOGrid = (lboInputs, debtStackInputs, debtResults, debtSchedule) => {
+  const offsets = [-1, -0.5, 0, 0.5, 1];
+  return {
+    exitMultiples: offsets.map(offset => lboInputs.exitMultiple + offset),
+    rows: offsets.map(entryOffset => {
+      const entryMultiple = lboInputs.entryMultiple + entryOffset;
+      return {
+        entryMultiple,
+        irrs: offsets.map(exitOffset => (
+          calculateLBOReturns(lboInputs, debtStackInputs, debtResults, debtSchedule, entryMultiple, lboInputs.exitMultiple + exitOffset).irr
+        ))
+      };
+    })
+  };
+};
@@ -0,0 +1,219 @@
+// WACC, cost of equity and capital structure calculations.
+// Rates are in percent (12.5 means 12.5%) and values in the reporting currency: restate the inputs
+// with convertWaccInputs() first.
+
+import { fxFactor } from './currency.js';
+
+export const COST_OF_EQUITY_METHODS = {
+  capm: 'CAPM',
+  buildUp: 'Build-Up',
+  comparables: 'Comparable Company Beta',
+  manual: 'Manual Input'
+};
+
+// Inputs evaluateValuation() can shift, in their own units
+export const VALUATION_SHIFTS = ['wacc', 'terminalGrowth', 'costOfEquity', 'costOfDebt', 'taxRate', 'beta', 'debtToEquity'];
+
+// Build-up and manual costs of equity are not driven by beta, so beta and D/E shifts leave them alone
+export const usesBeta = (costOfEquityMethod) => costOfEquityMethod === 'capm' || costOfEquityMethod === 'comparables';
+
+// Model Currency
+// Market values and the cash flow projection are entered in currencyInputs.modelCurrency
+export const convertWaccInputs = (waccInputs, currencyInputs) => {
+  const fxRate = fxFactor(currencyInputs && currencyInputs.modelCurrency, currencyInputs);
+  if (fxRate === 1) return waccInputs;
+  return {
+    ...waccInputs,
+    marketValueEquity: waccInputs.marketValueEquity * fxRate,
+    marketValueDebt: waccInputs.marketValueDebt * fxRate,
+    cashFlowProjection: waccInputs.cashFlowProjection.map(cashFlow => cashFlow * fxRate)
+  };
+};
+
+// Debt/EBITDA ceiling -> implied rating and credit spread over the risk-free rate
+export const RATING_GRID = [
+  { maxLeverage: 1.0, rating: 'AAA', spread: 0.6 },
+  { maxLeverage: 1.5, rating: 'AA', spread: 0.8 },
+  { maxLeverage: 2.0, rating: 'A', spread: 1.1 },
+  { maxLeverage: 2.5, rating: 'BBB', spread: 1.6 },
+  { maxLeverage: 3.5, rating: 'BB', spread: 2.5 },
+  { maxLeverage: 4.5, rating: 'B+', spread: 3.5 },
+  { maxLeverage: 5.5, rating: 'B', spread: 4.5 },
+  { maxLeverage: 6.5, rating: 'B-', spread: 5.5 },
+  { maxLeverage: 7.5, rating: 'CCC', spread: 8.0 },
+  { maxLeverage: Infinity, rating: 'CC', spread: 11.0 }
+];
+
+// Hamada: strip the tax-adjusted leverage out of a levered beta, or put it back
+export const unleverBeta = (leveredBeta, debtToEquity, taxRate) => leveredBeta / (1 + (1 - taxRate / 100) * debtToEquity);
+export const releverBeta = (unleveredBeta, debtToEquity, taxRate) => unleveredBeta * (1 + (1 - taxRate / 100) * debtToEquity);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  if (sorted.length === 0) return null;
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Cost of Equity Methods
+export const calculateCostOfEquity = (waccInputs) => {
+  const targetDebtToEquity = waccInputs.marketValueDebt / waccInputs.marketValueEquity;
+
+  // CAPM
+  const capm = waccInputs.riskFreeRate + (waccInputs.beta * waccInputs.marketRiskPremium);
+
+  // Build-up: risk-free + equity risk premium + size and company-specific premia
+  const buildUp = waccInputs.riskFreeRate + waccInputs.marketRiskPremium + waccInputs.sizePremium + waccInputs.companySpecificPremium;
+
+  // Comparables: unlever each comp beta, take the median, relever at the target D/E.
+  // With no comparables there is no beta and no cost of equity (validateInputs rejects the method).
+  const unleveredBetas = waccInputs.comparables.map(comp => ({
+    ...comp,
+    unleveredBeta: unleverBeta(comp.leveredBeta, comp.debtToEquity, comp.taxRate)
+  }));
+  const medianUnleveredBeta = median(unleveredBetas.map(comp => comp.unleveredBeta));
+  const releveredBeta = medianUnleveredBeta !== null ? releverBeta(medianUnleveredBeta, targetDebtToEquity, waccInputs.taxRate) : null;
+  const comparables = releveredBeta !== null ? waccInputs.riskFreeRate + releveredBeta * waccInputs.marketRiskPremium : null;
+
+  const methods = {
+    capm: { costOfEquity: capm, beta: waccInputs.beta },
+    buildUp: { costOfEquity: buildUp, beta: null },
+    comparables: { costOfEquity: comparables, beta: releveredBeta },
+    manual: { costOfEquity: waccInputs.costOfEquity, beta: null }
+  };
+  const selected = methods[waccInputs.costOfEquityMethod];
+
+  return {
+    methods,
+    comparables: unleveredBetas,
+    medianUnleveredBeta,
+    releveredBeta,
+    costOfEquity: selected.costOfEquity,
+    // Beta behind the selected method; methods without one fall back to the entered beta
+    beta: selected.beta !== null ? selected.beta : waccInputs.beta
+  };
+};
+
+// WACC Calculations
+export const calculateWACC = (waccInputs, costOfEquityResults = calculateCostOfEquity(waccInputs)) => {
+  const totalValue = waccInputs.marketValueEquity + waccInputs.marketValueDebt;
+  const equityWeight = waccInputs.marketValueEquity / totalValue;
+  const debtWeight = waccInputs.marketValueDebt / totalValue;
+
+  const costOfEquity = costOfEquityResults.costOfEquity;
+  const afterTaxCostOfDebt = waccInputs.costOfDebt * (1 - waccInputs.taxRate / 100);
+  const wacc = (equityWeight * costOfEquity) + (debtWeight * afterTaxCostOfDebt);
+
+  // WACC under each cost of equity method, for the reconciliation table
+  const reconciliation = Object.keys(COST_OF_EQUITY_METHODS).map(method => ({
+    method,
+    label: COST_OF_EQUITY_METHODS[method],
+    beta: costOfEquityResults.methods[method].beta,
+    costOfEquity: costOfEquityResults.methods[method].costOfEquity,
+    wacc: costOfEquityResults.methods[method].costOfEquity !== null
+      ? (equityWeight * costOfEquityResults.methods[method].costOfEquity) + (debtWeight * afterTaxCostOfDebt)
+      : null
+  }));
+
+  return {
+    wacc,
+    equityWeight: equityWeight * 100,
+    debtWeight: debtWeight * 100,
+    capmCostOfEquity: costOfEquityResults.methods.capm.costOfEquity,
+    costOfEquity,
+    afterTaxCostOfDebt,
+    totalValue,
+    reconciliation
+  };
+};
+
+// Optimal Capital Structure
+// Sweeps debt / total capital holding total capital fixed: beta is relevered with Hamada,
+// the cost of debt steps up through the rating grid on Debt/EBITDA, and the interest tax
+// shield is capped once interest exceeds EBITDA. EBITDA and cash flow come from the debt stack.
+export const calculateOptimalCapitalStructure = (waccInputs, costOfEquityResults, { ebitda, cashFlow }) => {
+  const totalValue = waccInputs.marketValueEquity + waccInputs.marketValueDebt;
+  const taxRate = waccInputs.taxRate / 100;
+  const currentDebtToEquity = waccInputs.marketValueDebt / waccInputs.marketValueEquity;
+  const unleveredBeta = unleverBeta(costOfEquityResults.beta, currentDebtToEquity, waccInputs.taxRate);
+  const growth = waccInputs.perpetualGrowth / 100;
+  // Premium of the selected cost of equity method over plain CAPM, held constant across leverage
+  const equityPremium = costOfEquityResults.costOfEquity - (waccInputs.riskFreeRate + costOfEquityResults.beta * waccInputs.marketRiskPremium);
+
+  const points = [];
+  for (let step = 0; step <= 18; step++) {
+    const debtRatio = step * 0.05;
+    const debt = totalValue * debtRatio;
+    const debtToEquity = debtRatio / (1 - debtRatio);
+    const leveredBeta = releverBeta(unleveredBeta, debtToEquity, waccInputs.taxRate);
+    const costOfEquity = waccInputs.riskFreeRate + leveredBeta * waccInputs.marketRiskPremium + equityPremium;
+
+    const debtToEbitda = debt / ebitda;
+    const grade = RATING_GRID.find(row => debtToEbitda <= row.maxLeverage);
+    const costOfDebt = waccInputs.riskFreeRate + grade.spread;
+    const interest = debt * costOfDebt / 100;
+    const effectiveTaxRate = interest > 0 ? taxRate * Math.min(1, ebitda / interest) : taxRate;
+    const afterTaxCostOfDebt = costOfDebt * (1 - effectiveTaxRate);
+
+    const wacc = (1 - debtRatio) * costOfEquity + debtRatio * afterTaxCostOfDebt;
+    const firmValue = wacc / 100 > growth
+      ? cashFlow * (1 + growth) / (wacc / 100 - growth)
+      : null;
+
+    points.push({
+      debtRatio: debtRatio * 100,
+      debtToEbitda,
+      rating: grade.rating,
+      leveredBeta,
+      costOfEquity,
+      costOfDebt,
+      afterTaxCostOfDebt,
+      wacc,
+      firmValue
+    });
+  }
+
+  const optimal = points.reduce((best, point) => (point.wacc < best.wacc ? point : best), points[0]);
+  return {
+    points,
+    optimal,
+    unleveredBeta,
+    currentDebtRatio: (waccInputs.marketValueDebt / totalValue) * 100
+  };
+};
+
+// Valuation Sensitivity Engine
+// Recomputes WACC and NPV of the cash flow projection with any inputs shifted (keys: wacc,
+// terminalGrowth, costOfEquity, costOfDebt, taxRate, beta, debtToEquity, in their own units).
+// Beta and D/E changes flow into the selected cost of equity through CAPM (relevered with Hamada)
+// when the method uses beta; otherwise D/E only moves the weights.
+export const evaluateValuation = (waccInputs, costOfEquityResults, shifts = {}) => {
+  const shift = (key) => shifts[key] || 0;
+  const baseDebtToEquity = waccInputs.marketValueDebt / waccInputs.marketValueEquity;
+  const unleveredBeta = unleverBeta(costOfEquityResults.beta, baseDebtToEquity, waccInputs.taxRate);
+
+  const taxRate = waccInputs.taxRate + shift('taxRate');
+  const debtToEquity = Math.max(0, baseDebtToEquity + shift('debtToEquity'));
+  const leveredBeta = releverBeta(unleveredBeta, debtToEquity, taxRate) + shift('beta');
+  const betaShift = usesBeta(waccInputs.costOfEquityMethod) ? (leveredBeta - costOfEquityResults.beta) * waccInputs.marketRiskPremium : 0;
+  const costOfEquity = costOfEquityResults.costOfEquity + shift('costOfEquity') + betaShift;
+  const costOfDebt = waccInputs.costOfDebt + shift('costOfDebt');
+
+  const debtWeight = debtToEquity / (1 + debtToEquity);
+  const wacc = (1 - debtWeight) * costOfEquity + debtWeight * costOfDebt * (1 - taxRate / 100) + shift('wacc');
+  const growth = (waccInputs.perpetualGrowth + shift('terminalGrowth')) / 100;
+  const rate = wacc / 100;
+
+  const cashFlows = waccInputs.cashFlowProjection;
+  const pvCashFlows = cashFlows.reduce((sum, cashFlow, index) => sum + cashFlow / Math.pow(1 + rate, index + 1), 0);
+  const finalCashFlow = cashFlows.length > 0 ? cashFlows[cashFlows.length - 1] : 0;
+  const terminalValue = rate > growth ? finalCashFlow * (1 + growth) / (rate - growth) : null;
+  const pvTerminalValue = terminalValue !== null ? terminalValue / Math.pow(1 + rate, cashFlows.length) : null;
+
+  return {
+    wacc,
+    npv: pvTerminalValue !== null ? pvCashFlows + pvTerminalValue : null,
+    pvCashFlows,
+    pvTerminalValue
+  };
+};
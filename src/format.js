@@ -0,0 +1,60 @@
+// Number formatting for the Financial Modeling Suite.
+// Amounts are shown in the reporting currency, scaled to the selected units (K/M/B), with the
+// separators of the selected locale. Missing and non-finite values read 'n/a'.
+
+export const UNITS = {
+  K: { label: 'Thousands', divisor: 1000 },
+  M: { label: 'Millions', divisor: 1000000 },
+  B: { label: 'Billions', divisor: 1000000000 }
+};
+
+export const LOCALES = {
+  'en-US': 'English (US)',
+  'en-GB': 'English (UK)',
+  'de-DE': 'Deutsch',
+  'fr-FR': 'Français',
+  'ja-JP': '日本語'
+};
+
+export const DEFAULT_FORMAT = { reportingCurrency: 'USD', units: 'M', locale: 'en-US' };
+
+export const createFormatters = ({ reportingCurrency, units, locale } = DEFAULT_FORMAT) => {
+  const { divisor } = UNITS[units];
+  const cache = {};
+  const numberFormat = (digits, currency) => {
+    const key = `${currency || ''}${digits}`;
+    if (!cache[key]) {
+      cache[key] = new Intl.NumberFormat(locale, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+        ...(currency ? { style: 'currency', currency } : {})
+      });
+    }
+    return cache[key];
+  };
+  const finite = (format) => (value, ...args) => (Number.isFinite(value) ? format(value, ...args) : 'n/a');
+
+  const currencySymbol = numberFormat(0, reportingCurrency).formatToParts(0).find(part => part.type === 'currency').value;
+
+  // The unit letter follows the number wherever the locale puts the symbol: "$50.0M", "50,0M €"
+  const formatMoney = (value, digits = 1) => {
+    const parts = numberFormat(digits, reportingCurrency).formatToParts(value / divisor);
+    const lastDigit = parts.reduce((last, part, index) => (part.type === 'integer' || part.type === 'fraction' ? index : last), -1);
+    return parts.map((part, index) => (index === lastDigit ? `${part.value}${units}` : part.value)).join('');
+  };
+
+  return {
+    currencySymbol,
+    // Column and axis headings for scaled amounts: "Amount ($M)", "Amount (CHF M)"
+    moneyUnit: currencySymbol.length === 1 ? `${currencySymbol}${units}` : `${currencySymbol} ${units}`,
+    unitDivisor: divisor,
+    formatMoney: finite(formatMoney),
+    // Scaled amount without the symbol, under a moneyUnit heading
+    formatAmount: finite((value, digits = 1) => numberFormat(digits).format(value / divisor)),
+    // Unscaled amounts such as prices per share
+    formatPrice: finite((value, digits = 2) => numberFormat(digits, reportingCurrency).format(value)),
+    formatNumber: finite((value, digits = 0) => numberFormat(digits).format(value)),
+    formatPercent: finite((value, digits = 1) => `${numberFormat(digits).format(value)}%`),
+    formatMultiple: finite((value, digits = 2) => `${numberFormat(digits).format(value)}x`)
+  };
+};
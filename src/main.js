@@ -1,9 +1,42 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell } from 'recharts';
-import { Calculator, TrendingUp, DollarSign, Target, BarChart3 } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell, AreaChart, Area, ReferenceLine } from 'recharts';
+import { Calculator, TrendingUp, DollarSign, Target, BarChart3, Plus, Trash2, ChevronUp, ChevronDown, Briefcase, Activity, Layers, Save, Copy, FolderOpen, Download, Upload, AlertTriangle, Share2, FileText, Printer, X } from 'lucide-react';
+import { runSimulation } from './simulation';
+import {
+  COST_OF_EQUITY_METHODS,
+  COVENANT_DEFINITIONS,
+  DEBT_TYPES,
+  calculateCostOfEquity,
+  calculateWACC,
+  calculateOptimalCapitalStructure,
+  evaluateValuation,
+  usesBeta,
+  CURRENCIES,
+  FX_BASE_CURRENCY,
+  fxFactor,
+  ANTI_DILUTION_METHODS,
+  calculateDilution,
+  calculateWaterfall,
+  calculateWaterfallBreakpoints,
+  calculateCapTable,
+  calculateDebtMetrics,
+  calculateDebtSchedule,
+  calculateCovenants,
+  calculateDCF,
+  calculateLBOReturns,
+  generateLBOGrid,
+  convertModelInputs,
+  validateInputs,
+  collectWarnings,
+  VALIDATION_SCHEMA
+} from './engine';
+import { toCsv, toXlsx, serializeModel, parseModel, storedModel, readStoredModel, encodeModelLink, decodeModelLink, parseDebtScheduleCsv, parseCapTableCsv, TRANCHE_COLUMNS, SHAREHOLDER_CLASS_COLUMNS, ROUND_COLUMNS } from './modelFiles';
+import { REPORT_STYLES, formatReportValue, buildReportDocument } from './report';
+import { UNITS, LOCALES, createFormatters } from './format';
 
 const FinancialModelingSuite = () => {
   const [activeTab, setActiveTab] = useState('wacc');
+  const TAB_IDS = ['wacc', 'dilution', 'debt', 'dcf', 'lbo', 'simulation', 'scenarios'];
   
   // WACC State
   const [waccInputs, setWaccInputs] = useState({
@@ -14,131 +47,1773 @@ const FinancialModelingSuite = () => {
     taxRate: 25.0,                // 25%
     riskFreeRate: 4.5,            // 4.5%
     beta: 1.2,                    // Beta coefficient
-    marketRiskPremium: 8.0        // 8.0%
+    marketRiskPremium: 8.0,       // 8.0%
+    perpetualGrowth: 2.5,         // 2.5% terminal FCF growth
+    costOfEquityMethod: 'capm',   // 'capm', 'buildUp', 'comparables' or 'manual'
+    sizePremium: 3.0,             // 3.0% small-company premium
+    companySpecificPremium: 2.0,  // 2.0% company-specific risk premium
+    comparables: [
+      { id: 'comp-1', name: 'Comparable A', leveredBeta: 1.10, debtToEquity: 0.30, taxRate: 25.0 },
+      { id: 'comp-2', name: 'Comparable B', leveredBeta: 1.35, debtToEquity: 0.55, taxRate: 25.0 },
+      { id: 'comp-3', name: 'Comparable C', leveredBeta: 0.95, debtToEquity: 0.20, taxRate: 21.0 }
+    ],
+    cashFlowProjection: [60000000, 65000000, 70000000, 75000000, 80000000] // Annual FCF, years 1-5
   });
 
+  // Sensitivity Settings
+  const [sensitivitySettings, setSensitivitySettings] = useState({
+    variable: 'costOfEquity',
+    rowVariable: 'wacc',
+    columnVariable: 'terminalGrowth'
+  });
+
+  // Shift applied per sensitivity step, in the variable's own units
+  const SENSITIVITY_VARIABLES = {
+    wacc: { label: 'WACC', step: 0.5, unit: '%' },
+    terminalGrowth: { label: 'Terminal Growth', step: 0.5, unit: '%' },
+    costOfEquity: { label: 'Cost of Equity', step: 1.0, unit: '%' },
+    costOfDebt: { label: 'Cost of Debt', step: 0.5, unit: '%' },
+    taxRate: { label: 'Tax Rate', step: 5.0, unit: '%' },
+    beta: { label: 'Beta', step: 0.1, unit: '' },
+    debtToEquity: { label: 'Debt / Equity', step: 0.1, unit: 'x' }
+  };
+
   // Dilution State
   const [dilutionInputs, setDilutionInputs] = useState({
     currentShares: 10000000,      // 10M shares
     currentValuation: 500000000,  // $500M
     fundraiseAmount: 50000000,    // $50M
     preMoneyValuation: 450000000, // $450M
+    existingPoolShares: 1000000,  // 1M unallocated options, included in currentShares
+    targetPoolPercent: 10.0,      // 10% post-money
+    poolTreatment: 'preMoney',    // 'preMoney' (pool shuffle) or 'postMoney'
     liquidationPreference: 1.0,   // 1x
     participationRights: false,
-    proRataRights: true
+    participationCap: 0,          // 0 = uncapped, otherwise multiple of investment
+    proRataRights: true,
+    exitValue: 750000000,         // $750M
+    currency: 'USD',              // currency of the valuations, raise, convertibles, prior prices and exit value
+    // Preferred already outstanding (oldest first, included in currentShares) and its anti-dilution protection
+    priorRounds: [
+      { id: 'prior-seed', name: 'Seed', shares: 1500000, pricePerShare: 4.0, antiDilution: 'broadBased' },
+      { id: 'prior-seriesA', name: 'Series A', shares: 2000000, pricePerShare: 18.0, antiDilution: 'broadBased' }
+    ],
+    convertibles: [
+      { id: 'safe-1', name: 'Post-Money SAFE', type: 'postMoneySafe', principal: 5000000, valuationCap: 300000000, discount: 20, interestRate: 0, monthsOutstanding: 0 },
+      { id: 'note-1', name: 'Bridge Note', type: 'convertibleNote', principal: 3000000, valuationCap: 250000000, discount: 20, interestRate: 8, monthsOutstanding: 18 }
+    ]
+  });
+
+  // Cap Table State
+  const [capTableInputs, setCapTableInputs] = useState({
+    shareholderClasses: [
+      { id: 'founders', name: 'Founders', type: 'Common', shares: 8000000 },
+      { id: 'pool', name: 'Option Pool', type: 'Options', shares: 1500000 },
+      { id: 'safe', name: 'SAFE Holders', type: 'SAFE', shares: 500000 }
+    ],
+    rounds: [
+      { id: 'seed', name: 'Seed', investment: 5000000, preMoneyValuation: 20000000, currency: 'USD', liquidationPreference: 1.0, participating: false, seniority: 3 },
+      { id: 'seriesA', name: 'Series A', investment: 20000000, preMoneyValuation: 80000000, currency: 'USD', liquidationPreference: 1.0, participating: false, seniority: 2 },
+      { id: 'seriesB', name: 'Series B', investment: 50000000, preMoneyValuation: 450000000, currency: 'USD', liquidationPreference: 1.0, participating: false, seniority: 1 }
+    ]
   });
 
   // Debt Stack State
+  // Tranche rateType: 'fixed' uses rate (%), 'floating' uses baseRate (%) + spread (bps)
+  // Tranche amortizationType: 'bullet', 'straightLine' over maturity, or 'percent' of original per year
   const [debtStackInputs, setDebtStackInputs] = useState({
-    revolvingCredit: { amount: 50000000, rate: 5.5, maturity: 3 },
-    termLoanA: { amount: 100000000, rate: 6.5, maturity: 5 },
-    termLoanB: { amount: 75000000, rate: 8.0, maturity: 7 },
-    seniorNotes: { amount: 150000000, rate: 7.5, maturity: 10 },
-    subordinatedDebt: { amount: 50000000, rate: 12.0, maturity: 8 },
+    tranches: [
+      { id: 'revolver', name: 'Revolving Credit', type: 'Senior Secured', seniority: 1, secured: true, isRevolver: true, amount: 50000000, commitment: 75000000, currency: 'USD', rateType: 'floating', rate: 5.5, spread: 150, maturity: 3, oidPercent: 0.5, amortizationType: 'bullet', amortizationRate: 0 },
+      { id: 'tla', name: 'Term Loan A', type: 'Senior Secured', seniority: 1, secured: true, isRevolver: false, amount: 100000000, commitment: 0, currency: 'USD', rateType: 'floating', rate: 6.5, spread: 250, maturity: 5, oidPercent: 0.5, amortizationType: 'straightLine', amortizationRate: 0 },
+      { id: 'tlb', name: 'Term Loan B', type: 'Senior Secured', seniority: 1, secured: true, isRevolver: false, amount: 75000000, commitment: 0, currency: 'USD', rateType: 'floating', rate: 8.0, spread: 400, maturity: 7, oidPercent: 1.0, amortizationType: 'percent', amortizationRate: 1 },
+      { id: 'notes', name: 'Senior Notes', type: 'Senior Unsecured', seniority: 2, secured: false, isRevolver: false, amount: 150000000, commitment: 0, currency: 'USD', rateType: 'fixed', rate: 7.5, spread: 0, maturity: 10, oidPercent: 1.5, amortizationType: 'bullet', amortizationRate: 0 },
+      { id: 'sub', name: 'Subordinated Debt', type: 'Subordinated', seniority: 3, secured: false, isRevolver: false, amount: 50000000, commitment: 0, currency: 'USD', rateType: 'fixed', rate: 12.0, spread: 0, maturity: 8, oidPercent: 2.0, amortizationType: 'bullet', amortizationRate: 0 }
+    ],
+    baseRate: 4.0,     // 4.0% reference rate for floating tranches
     ebitda: 80000000, // $80M EBITDA
-    cashFlow: 60000000 // $60M Free Cash Flow
+    cashFlow: 60000000, // $60M Free Cash Flow (available for debt service)
+    ebitdaGrowth: 5.0,  // 5% per year
+    cashFlowGrowth: 5.0, // 5% per year
+    sweepPercent: 50,  // 50% of excess cash flow swept to prepay debt
+    capex: 12000000,   // $12M capex, grows with EBITDA (fixed charge coverage)
+    // Step-downs: max covenants tighten by `step` per year to `limit`, min covenants rise by `step` to `limit`
+    covenants: [
+      { metric: 'totalLeverage', enabled: true, initial: 6.0, step: 0.25, limit: 4.5 },
+      { metric: 'seniorSecuredLeverage', enabled: true, initial: 3.5, step: 0.25, limit: 2.5 },
+      { metric: 'interestCoverage', enabled: true, initial: 2.0, step: 0.25, limit: 3.0 },
+      { metric: 'fixedChargeCoverage', enabled: true, initial: 1.1, step: 0, limit: 1.1 }
+    ]
   });
 
-  // WACC Calculations
-  const calculateWACC = () => {
-    const totalValue = waccInputs.marketValueEquity + waccInputs.marketValueDebt;
-    const equityWeight = waccInputs.marketValueEquity / totalValue;
-    const debtWeight = waccInputs.marketValueDebt / totalValue;
-    
-    // CAPM Cost of Equity
-    const capmCostOfEquity = waccInputs.riskFreeRate + (waccInputs.beta * waccInputs.marketRiskPremium);
-    
-    const afterTaxCostOfDebt = waccInputs.costOfDebt * (1 - waccInputs.taxRate / 100);
-    const wacc = (equityWeight * waccInputs.costOfEquity) + (debtWeight * afterTaxCostOfDebt);
-    
-    return {
-      wacc: wacc.toFixed(2),
-      equityWeight: (equityWeight * 100).toFixed(1),
-      debtWeight: (debtWeight * 100).toFixed(1),
-      capmCostOfEquity: capmCostOfEquity.toFixed(2),
-      afterTaxCostOfDebt: afterTaxCostOfDebt.toFixed(2),
-      totalValue: totalValue
+  // DCF State
+  const [dcfInputs, setDcfInputs] = useState({
+    baseRevenue: 400000000,             // $400M last-twelve-months revenue
+    revenueGrowth: [12, 10, 8, 6, 5],   // % growth, one entry per projection year
+    ebitdaMargin: 20.0,                 // 20% of revenue
+    daPercent: 3.0,                     // D&A, 3% of revenue
+    capexPercent: 4.0,                  // Capex, 4% of revenue
+    nwcPercent: 10.0,                   // Net working capital, 10% of incremental revenue
+    taxRate: 25.0,                      // 25% cash tax on EBIT
+    terminalMethod: 'gordon',           // 'gordon' or 'exitMultiple'
+    terminalGrowth: 2.5,                // 2.5% perpetual growth
+    exitMultiple: 10.0,                 // 10.0x terminal EBITDA
+    cash: 25000000                      // $25M balance sheet cash
+  });
+
+  // LBO State
+  const [lboInputs, setLboInputs] = useState({
+    entryMultiple: 9.0,          // 9.0x EBITDA purchase price
+    exitMultiple: 9.0,           // 9.0x EBITDA at exit
+    holdPeriod: 5,               // years
+    transactionFeePercent: 2.0   // 2% of purchase enterprise value
+  });
+
+  // Currency State
+  // Tranches, rounds and the priced round each carry their own currency; the operating and
+  // valuation amounts share the model currency. Results are converted into the reporting
+  // currency. FX rates are USD per unit of each currency.
+  const [currencyInputs, setCurrencyInputs] = useState({
+    reportingCurrency: 'USD',
+    modelCurrency: 'USD',
+    units: 'M',                  // amounts shown in thousands (K), millions (M) or billions (B)
+    locale: 'en-US',
+    fxRates: { USD: 1, EUR: 1.08, GBP: 1.27, CHF: 1.12, CAD: 0.73, JPY: 0.0067 }
+  });
+
+  // Simulation State
+  // Each variable keeps parameters for every distribution type so switching types keeps edits
+  const [simulationInputs, setSimulationInputs] = useState({
+    trials: 5000,
+    seed: 42,
+    targetIrr: 20.0,    // 20% sponsor IRR hurdle
+    variables: {
+      ebitda: { type: 'normal', mean: 80000000, stdDev: 8000000, min: 64000000, mode: 80000000, max: 96000000 },
+      ebitdaGrowth: { type: 'triangular', mean: 5.0, stdDev: 2.0, min: 0.0, mode: 5.0, max: 8.0 },
+      costOfDebt: { type: 'uniform', mean: 6.0, stdDev: 0.5, min: 5.0, mode: 6.0, max: 7.5 },
+      beta: { type: 'normal', mean: 1.2, stdDev: 0.15, min: 0.9, mode: 1.2, max: 1.5 },
+      exitValue: { type: 'triangular', mean: 750000000, stdDev: 200000000, min: 250000000, mode: 750000000, max: 1500000000 },
+      exitMultiple: { type: 'normal', mean: 9.0, stdDev: 1.0, min: 7.0, mode: 9.0, max: 11.0 }
+    }
+  });
+  const [simulationState, setSimulationState] = useState({ status: 'idle', progress: 0, results: null });
+  const simulationWorker = useRef(null);
+
+  useEffect(() => () => {
+    if (simulationWorker.current) simulationWorker.current.terminate();
+  }, []);
+
+  // Scenario State
+  // Scenarios snapshot every input object; they and the working model persist to localStorage
+  // with the model file version and are read back like an imported model file
+  const SCENARIO_STORAGE_KEY = 'financialModelingSuite.scenarios';
+  const WORKSPACE_STORAGE_KEY = 'financialModelingSuite.workspace';
+
+  const readStorage = (key, fallback) => {
+    try {
+      const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+      return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  };
+
+  const writeStorage = (key, value) => {
+    try {
+      if (typeof localStorage !== 'undefined') localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      // Storage full or disabled: the model keeps working, it just isn't persisted
+    }
+  };
+
+  const [scenarios, setScenarios] = useState([]);
+  const [activeScenarioId, setActiveScenarioId] = useState(null);
+  const [comparedScenarioIds, setComparedScenarioIds] = useState([]);
+  const [newScenarioName, setNewScenarioName] = useState('');
+
+  // Import State
+  const [importStatus, setImportStatus] = useState(null);
+
+  // Sharing State
+  // Share links carry the whole model in the URL fragment; the report is a print view of it
+  const SHARE_LINK_PREFIX = '#model=';
+  const [shareLink, setShareLink] = useState(null);
+  const [report, setReport] = useState(null);
+  const reportRef = useRef(null);
+
+  const SCENARIO_INPUT_SETTERS = {
+    waccInputs: setWaccInputs,
+    sensitivitySettings: setSensitivitySettings,
+    dilutionInputs: setDilutionInputs,
+    capTableInputs: setCapTableInputs,
+    debtStackInputs: setDebtStackInputs,
+    dcfInputs: setDcfInputs,
+    lboInputs: setLboInputs,
+    currencyInputs: setCurrencyInputs,
+    simulationInputs: setSimulationInputs
+  };
+
+  // Key outputs shown in the comparison; `better` drives the delta highlighting and `money`
+  // marks the amounts restated in the current reporting currency
+  const SCENARIO_METRICS = [
+    { key: 'fundraiseAmount', label: 'Fundraise Amount', better: null, money: true, format: (value) => formatMoney(value, 1), formatDelta: (delta) => formatMoney(delta, 1) },
+    { key: 'preMoneyValuation', label: 'Pre-Money Valuation', better: null, money: true, format: (value) => formatMoney(value, 1), formatDelta: (delta) => formatMoney(delta, 1) },
+    { key: 'wacc', label: 'WACC', better: 'lower', format: (value) => formatPercent(value, 2), formatDelta: (delta) => `${delta.toFixed(2)} pts` },
+    { key: 'dilutionPercent', label: 'Dilution', better: 'lower', format: (value) => formatPercent(value, 1), formatDelta: (delta) => `${delta.toFixed(1)} pts` },
+    { key: 'totalLeverage', label: 'Total Leverage', better: 'lower', format: (value) => formatMultiple(value, 2), formatDelta: (delta) => formatMultiple(delta, 2) },
+    { key: 'interestCoverage', label: 'Interest Coverage', better: 'higher', format: (value) => formatMultiple(value, 2), formatDelta: (delta) => formatMultiple(delta, 2) }
+  ];
+
+  // Restore the saved scenarios and the working model from the last session. Entries that no
+  // longer fit the model are left out and reported.
+  useEffect(() => {
+    const template = captureScenarioInputs();
+    const errors = [];
+    const storedScenarios = readStorage(SCENARIO_STORAGE_KEY, []);
+    setScenarios((Array.isArray(storedScenarios) ? storedScenarios : []).flatMap((scenario, index) => {
+      const name = scenario && typeof scenario.name === 'string' ? scenario.name : `Scenario ${index + 1}`;
+      const stored = readStoredModel(scenario, template);
+      if (stored.errors.length === 0 && (!scenario.outputs || typeof scenario.outputs !== 'object')) stored.errors.push('outputs: missing');
+      if (stored.errors.length > 0) {
+        errors.push(...stored.errors.map(error => `${name}: ${error}`));
+        return [];
+      }
+      return [{ ...scenario, ...storedModel(stored.inputs) }];
+    }));
+
+    const workspace = readStorage(WORKSPACE_STORAGE_KEY, null);
+    if (workspace) {
+      const stored = readStoredModel(workspace, template);
+      if (stored.errors.length > 0) {
+        errors.push(...stored.errors.map(error => `Working model: ${error}`));
+      } else {
+        applyScenarioInputs(stored.inputs);
+        setActiveScenarioId(workspace.activeScenarioId || null);
+      }
+    }
+    if (errors.length > 0) setImportStatus({ type: 'error', message: 'Some of the last session could not be restored', errors });
+  }, []);
+
+  // A shared link takes precedence over the restored workspace. The fragment is cleared once
+  // read, so later edits are not lost to it on reload.
+  useEffect(() => {
+    if (typeof window === 'undefined' || !window.location.hash.startsWith(SHARE_LINK_PREFIX)) return;
+    decodeModelLink(window.location.hash.slice(SHARE_LINK_PREFIX.length), captureScenarioInputs()).then(({ inputs, tab, errors }) => {
+      window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+      if (errors.length > 0) {
+        setImportStatus({ type: 'error', message: 'The shared link could not be opened', errors });
+        return;
+      }
+      applyScenarioInputs(inputs);
+      setActiveScenarioId(null);
+      if (TAB_IDS.includes(tab)) setActiveTab(tab);
+      setImportStatus({ type: 'success', message: 'Loaded model from shared link', errors: [] });
+    });
+  }, []);
+
+  useEffect(() => {
+    writeStorage(SCENARIO_STORAGE_KEY, scenarios);
+  }, [scenarios]);
+
+  useEffect(() => {
+    writeStorage(WORKSPACE_STORAGE_KEY, { activeScenarioId, ...storedModel(captureScenarioInputs()) });
+  }, [activeScenarioId, waccInputs, sensitivitySettings, dilutionInputs, capTableInputs, debtStackInputs, dcfInputs, lboInputs, currencyInputs, simulationInputs]);
+
+  const SIMULATION_VARIABLES = {
+    ebitda: { label: `EBITDA (${currencyInputs.modelCurrency})`, step: 1000000 },
+    ebitdaGrowth: { label: 'EBITDA Growth (%)', step: 0.5 },
+    costOfDebt: { label: 'Cost of Debt (%)', step: 0.1 },
+    beta: { label: 'Beta', step: 0.05 },
+    exitValue: { label: `Exit Value (${dilutionInputs.currency})`, step: 10000000 },
+    exitMultiple: { label: 'LBO Exit Multiple (x)', step: 0.5 }
+  };
+
+  const SIMULATION_OUTPUTS = {
+    wacc: { label: 'WACC', format: (value) => formatPercent(value, 2) },
+    leverage: { label: 'Total Leverage', format: (value) => formatMultiple(value, 2) },
+    interestCoverage: { label: 'Interest Coverage', format: (value) => formatMultiple(value, 2) },
+    investorPayout: { label: 'Investor Payout', format: (value) => formatMoney(value, 1) },
+    irr: { label: 'Sponsor IRR', format: (value) => formatPercent(value, 1) }
+  };
+
+  // Number fields read '' while cleared; keep it (rather than NaN) so the field stays empty and fails validation
+  const readNumber = (e) => (e.target.value === '' ? '' : parseFloat(e.target.value));
+  const readInteger = (e) => (e.target.value === '' ? '' : parseInt(e.target.value));
+
+  const updateComparable = (index, field, value) => {
+    setWaccInputs({
+      ...waccInputs,
+      comparables: waccInputs.comparables.map((comp, i) => (i === index ? { ...comp, [field]: value } : comp))
+    });
+  };
+
+  const addComparable = () => {
+    setWaccInputs({
+      ...waccInputs,
+      comparables: [
+        ...waccInputs.comparables,
+        { id: `comp-${Date.now()}`, name: 'New Comparable', leveredBeta: 1.0, debtToEquity: 0.3, taxRate: 25.0 }
+      ]
+    });
+  };
+
+  const removeComparable = (index) => {
+    setWaccInputs({
+      ...waccInputs,
+      comparables: waccInputs.comparables.filter((_, i) => i !== index)
+    });
+  };
+
+  const updateConvertible = (index, field, value) => {
+    setDilutionInputs({
+      ...dilutionInputs,
+      convertibles: dilutionInputs.convertibles.map((instrument, i) => (i === index ? { ...instrument, [field]: value } : instrument))
+    });
+  };
+
+  const addConvertible = () => {
+    setDilutionInputs({
+      ...dilutionInputs,
+      convertibles: [
+        ...dilutionInputs.convertibles,
+        { id: `convertible-${Date.now()}`, name: 'New SAFE', type: 'postMoneySafe', principal: 1000000, valuationCap: 0, discount: 20, interestRate: 0, monthsOutstanding: 0 }
+      ]
+    });
+  };
+
+  const removeConvertible = (index) => {
+    setDilutionInputs({
+      ...dilutionInputs,
+      convertibles: dilutionInputs.convertibles.filter((_, i) => i !== index)
+    });
+  };
+
+  const updatePriorRound = (index, field, value) => {
+    setDilutionInputs({
+      ...dilutionInputs,
+      priorRounds: dilutionInputs.priorRounds.map((round, i) => (i === index ? { ...round, [field]: value } : round))
+    });
+  };
+
+  const addPriorRound = () => {
+    const lastRound = dilutionInputs.priorRounds[dilutionInputs.priorRounds.length - 1];
+    setDilutionInputs({
+      ...dilutionInputs,
+      priorRounds: [
+        ...dilutionInputs.priorRounds,
+        {
+          id: `prior-${Date.now()}`,
+          name: 'New Round',
+          shares: 1000000,
+          pricePerShare: lastRound ? lastRound.pricePerShare : 1.0,
+          antiDilution: lastRound ? lastRound.antiDilution : 'broadBased'
+        }
+      ]
+    });
+  };
+
+  const removePriorRound = (index) => {
+    setDilutionInputs({
+      ...dilutionInputs,
+      priorRounds: dilutionInputs.priorRounds.filter((_, i) => i !== index)
+    });
+  };
+
+  const updateShareholderClass = (index, field, value) => {
+    setCapTableInputs({
+      ...capTableInputs,
+      shareholderClasses: capTableInputs.shareholderClasses.map((cls, i) => (i === index ? { ...cls, [field]: value } : cls))
+    });
+  };
+
+  const addShareholderClass = () => {
+    setCapTableInputs({
+      ...capTableInputs,
+      shareholderClasses: [
+        ...capTableInputs.shareholderClasses,
+        { id: `class-${Date.now()}`, name: 'New Class', type: 'Common', shares: 0 }
+      ]
+    });
+  };
+
+  const removeShareholderClass = (index) => {
+    setCapTableInputs({
+      ...capTableInputs,
+      shareholderClasses: capTableInputs.shareholderClasses.filter((_, i) => i !== index)
+    });
+  };
+
+  const updateRound = (index, field, value) => {
+    setCapTableInputs({
+      ...capTableInputs,
+      rounds: capTableInputs.rounds.map((round, i) => (i === index ? { ...round, [field]: value } : round))
+    });
+  };
+
+  const addRound = () => {
+    const lastRound = capTableInputs.rounds[capTableInputs.rounds.length - 1];
+    setCapTableInputs({
+      ...capTableInputs,
+      rounds: [
+        ...capTableInputs.rounds,
+        {
+          id: `round-${Date.now()}`,
+          name: 'New Round',
+          investment: lastRound ? lastRound.investment : 10000000,
+          preMoneyValuation: lastRound ? lastRound.preMoneyValuation + lastRound.investment : 40000000,
+          currency: lastRound ? lastRound.currency : currencyInputs.reportingCurrency,
+          liquidationPreference: 1.0,
+          participating: false,
+          seniority: 1
+        }
+      ]
+    });
+  };
+
+  const removeRound = (index) => {
+    setCapTableInputs({
+      ...capTableInputs,
+      rounds: capTableInputs.rounds.filter((_, i) => i !== index)
+    });
+  };
+
+  const updateCovenant = (index, field, value) => {
+    setDebtStackInputs({
+      ...debtStackInputs,
+      covenants: debtStackInputs.covenants.map((covenant, i) => (i === index ? { ...covenant, [field]: value } : covenant))
+    });
+  };
+
+  // Monte Carlo Simulation
+  // Trials run in ./simulation on the validated model inputs, off the main thread where possible
+  const startSimulation = () => {
+    if (simulationWorker.current) simulationWorker.current.terminate();
+    const payload = {
+      inputs: model,
+      distributions: simulationInputs.variables,
+      trials: simulationInputs.trials,
+      seed: simulationInputs.seed,
+      targetIrr: simulationInputs.targetIrr
+    };
+    setSimulationState({ status: 'running', progress: 0, results: null });
+
+    if (typeof Worker === 'undefined') {
+      setSimulationState({ status: 'done', progress: 1, results: runSimulation(payload) });
+      return;
+    }
+    const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+    simulationWorker.current = worker;
+    worker.onmessage = (event) => {
+      if (event.data.type === 'progress') {
+        setSimulationState(state => ({ ...state, progress: event.data.progress }));
+      } else {
+        setSimulationState({ status: 'done', progress: 1, results: event.data.results });
+        worker.terminate();
+        simulationWorker.current = null;
+      }
     };
+    worker.postMessage(payload);
   };
 
-  // Dilution Calculations
-  const calculateDilution = () => {
-    const postMoneyValuation = dilutionInputs.preMoneyValuation + dilutionInputs.fundraiseAmount;
-    const pricePerShare = dilutionInputs.preMoneyValuation / dilutionInputs.currentShares;
-    const newShares = dilutionInputs.fundraiseAmount / pricePerShare;
-    const totalSharesPost = dilutionInputs.currentShares + newShares;
-    
-    const ownershipPre = 100;
-    const ownershipPost = (dilutionInputs.currentShares / totalSharesPost) * 100;
-    const dilutionPercent = ownershipPre - ownershipPost;
-    
-    const valuePerSharePre = dilutionInputs.currentValuation / dilutionInputs.currentShares;
-    const valuePerSharePost = postMoneyValuation / totalSharesPost;
-    
-    return {
-      postMoneyValuation,
-      pricePerShare: pricePerShare.toFixed(2),
-      newShares: Math.round(newShares),
-      totalSharesPost: Math.round(totalSharesPost),
-      ownershipPost: ownershipPost.toFixed(1),
-      dilutionPercent: dilutionPercent.toFixed(1),
-      valuePerSharePre: valuePerSharePre.toFixed(2),
-      valuePerSharePost: valuePerSharePost.toFixed(2)
+  const updateSimulationVariable = (key, field, value) => {
+    setSimulationInputs({
+      ...simulationInputs,
+      variables: {
+        ...simulationInputs.variables,
+        [key]: { ...simulationInputs.variables[key], [field]: value }
+      }
+    });
+  };
+
+  // Scenario Management
+  const captureScenarioInputs = () => ({
+    waccInputs,
+    sensitivitySettings,
+    dilutionInputs,
+    capTableInputs,
+    debtStackInputs,
+    dcfInputs,
+    lboInputs,
+    currencyInputs,
+    simulationInputs
+  });
+
+  // Merges over the current objects so snapshots saved before a field existed still load
+  const applyScenarioInputs = (inputs = {}) => {
+    Object.keys(SCENARIO_INPUT_SETTERS).forEach(key => {
+      if (inputs[key]) SCENARIO_INPUT_SETTERS[key](current => ({ ...current, ...inputs[key] }));
+    });
+  };
+
+  const captureScenarioOutputs = () => ({
+    fundraiseAmount: dilutionModelInputs.fundraiseAmount,
+    preMoneyValuation: dilutionModelInputs.preMoneyValuation,
+    wacc: waccResults.wacc,
+    dilutionPercent: dilutionResults.dilutionPercent,
+    totalLeverage: debtResults.totalLeverageRatio,
+    interestCoverage: debtResults.interestCoverage,
+    currency: model.currencyInputs.reportingCurrency
+  });
+
+  // Money outputs are saved in that scenario's reporting currency. Scenarios saved before the
+  // currency was recorded reported in the currency of their own inputs.
+  const restateScenarioOutputs = (scenario) => {
+    const { outputs, inputs } = scenario;
+    const currency = outputs.currency || (inputs.currencyInputs ? inputs.currencyInputs.reportingCurrency : FX_BASE_CURRENCY);
+    const factor = fxFactor(currency, model.currencyInputs);
+    const restated = { ...outputs, currency: model.currencyInputs.reportingCurrency };
+    SCENARIO_METRICS.filter(metric => metric.money && outputs[metric.key] !== null).forEach(metric => {
+      restated[metric.key] = outputs[metric.key] * factor;
+    });
+    return restated;
+  };
+
+  const saveScenario = () => {
+    const scenario = {
+      id: `scenario-${Date.now()}`,
+      name: newScenarioName.trim() || `Scenario ${scenarios.length + 1}`,
+      savedAt: new Date().toISOString(),
+      ...storedModel(captureScenarioInputs()),
+      outputs: captureScenarioOutputs()
     };
+    setScenarios([...scenarios, scenario]);
+    setActiveScenarioId(scenario.id);
+    setNewScenarioName('');
   };
 
-  // Debt Stack Calculations
-  const calculateDebtMetrics = () => {
-    const debtLevels = [
-      { name: 'Revolving Credit', ...debtStackInputs.revolvingCredit, type: 'Senior Secured' },
-      { name: 'Term Loan A', ...debtStackInputs.termLoanA, type: 'Senior Secured' },
-      { name: 'Term Loan B', ...debtStackInputs.termLoanB, type: 'Senior Secured' },
-      { name: 'Senior Notes', ...debtStackInputs.seniorNotes, type: 'Senior Unsecured' },
-      { name: 'Subordinated Debt', ...debtStackInputs.subordinatedDebt, type: 'Subordinated' }
-    ];
-    
-    const totalDebt = debtLevels.reduce((sum, debt) => sum + debt.amount, 0);
-    const weightedAverageCost = debtLevels.reduce((sum, debt) => sum + (debt.amount * debt.rate), 0) / totalDebt;
-    const totalLeverageRatio = totalDebt / debtStackInputs.ebitda;
-    const interestCoverage = debtStackInputs.ebitda / (totalDebt * weightedAverageCost / 100);
-    
-    return {
-      debtLevels: debtLevels.map(debt => ({
-        ...debt,
-        weight: ((debt.amount / totalDebt) * 100).toFixed(1),
-        annualInterest: (debt.amount * debt.rate / 100)
-      })),
-      totalDebt,
-      weightedAverageCost: weightedAverageCost.toFixed(2),
-      totalLeverageRatio: totalLeverageRatio.toFixed(2),
-      interestCoverage: interestCoverage.toFixed(2)
+  const overwriteScenario = (index) => {
+    const newScenarios = [...scenarios];
+    newScenarios[index] = {
+      ...newScenarios[index],
+      savedAt: new Date().toISOString(),
+      ...storedModel(captureScenarioInputs()),
+      outputs: captureScenarioOutputs()
     };
+    setScenarios(newScenarios);
+    setActiveScenarioId(newScenarios[index].id);
+  };
+
+  const loadScenario = (index) => {
+    applyScenarioInputs(scenarios[index].inputs);
+    setActiveScenarioId(scenarios[index].id);
+  };
+
+  const duplicateScenario = (index) => {
+    const newScenarios = [...scenarios];
+    newScenarios.splice(index + 1, 0, {
+      ...scenarios[index],
+      id: `scenario-${Date.now()}`,
+      name: `${scenarios[index].name} (Copy)`,
+      savedAt: new Date().toISOString()
+    });
+    setScenarios(newScenarios);
+  };
+
+  const renameScenario = (index, name) => {
+    const newScenarios = [...scenarios];
+    newScenarios[index] = { ...newScenarios[index], name };
+    setScenarios(newScenarios);
+  };
+
+  const removeScenario = (index) => {
+    const { id } = scenarios[index];
+    setScenarios(scenarios.filter((_, i) => i !== index));
+    setComparedScenarioIds(comparedScenarioIds.filter(comparedId => comparedId !== id));
+    if (activeScenarioId === id) setActiveScenarioId(null);
+  };
+
+  const toggleScenarioComparison = (id) => {
+    setComparedScenarioIds(comparedScenarioIds.includes(id)
+      ? comparedScenarioIds.filter(comparedId => comparedId !== id)
+      : [...comparedScenarioIds, id]);
+  };
+
+  const updateRevenueGrowth = (index, value) => {
+    setDcfInputs({
+      ...dcfInputs,
+      revenueGrowth: dcfInputs.revenueGrowth.map((growth, i) => (i === index ? value : growth))
+    });
+  };
+
+  const updateFxRate = (currency, value) => {
+    setCurrencyInputs({
+      ...currencyInputs,
+      fxRates: { ...currencyInputs.fxRates, [currency]: value }
+    });
+  };
+
+  const updateTranche = (index, field, value) => {
+    setDebtStackInputs({
+      ...debtStackInputs,
+      tranches: debtStackInputs.tranches.map((tranche, i) => (i === index ? { ...tranche, [field]: value } : tranche))
+    });
+  };
+
+  const addTranche = () => {
+    setDebtStackInputs({
+      ...debtStackInputs,
+      tranches: [
+        ...debtStackInputs.tranches,
+        {
+          id: `tranche-${Date.now()}`,
+          name: 'New Tranche',
+          type: 'Senior Unsecured',
+          seniority: Math.max(0, ...debtStackInputs.tranches.map(tranche => tranche.seniority)) + 1,
+          secured: false,
+          isRevolver: false,
+          amount: 25000000,
+          commitment: 0,
+          currency: currencyInputs.reportingCurrency,
+          rateType: 'fixed',
+          rate: 9.0,
+          spread: 0,
+          maturity: 7,
+          oidPercent: 1.0,
+          amortizationType: 'bullet',
+          amortizationRate: 0
+        }
+      ]
+    });
+  };
+
+  const removeTranche = (index) => {
+    setDebtStackInputs({
+      ...debtStackInputs,
+      tranches: debtStackInputs.tranches.filter((_, i) => i !== index)
+    });
+  };
+
+  const moveTranche = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= debtStackInputs.tranches.length) return;
+    const tranches = [...debtStackInputs.tranches];
+    [tranches[index], tranches[target]] = [tranches[target], tranches[index]];
+    setDebtStackInputs({ ...debtStackInputs, tranches });
+  };
+
+  // Validation
+  // Every input group is checked against the engine schema on each render. Results are computed
+  // from the last valid copy of each group, so a cleared or out-of-range field never reaches the
+  // engine; the panels that depend on an invalid group show its errors instead.
+  const scenarioInputs = captureScenarioInputs();
+  const inputErrors = validateInputs(scenarioInputs);
+  const inputErrorsByPath = Object.fromEntries(inputErrors.map(error => [error.path, error]));
+  const invalidGroups = Object.keys(SCENARIO_INPUT_SETTERS)
+    .filter(group => inputErrors.some(error => error.path.startsWith(`${group}.`)));
+  // Only written once a render commits, so a render React discards cannot leave its inputs behind
+  const lastValidInputs = useRef(scenarioInputs);
+  const model = Object.fromEntries(Object.entries(scenarioInputs).map(([group, inputs]) => [
+    group,
+    invalidGroups.includes(group) ? lastValidInputs.current[group] : inputs
+  ]));
+  useEffect(() => {
+    lastValidInputs.current = model;
+  });
+  const { formatMoney, formatAmount, formatPrice, formatNumber, formatPercent, formatMultiple, moneyUnit, currencySymbol, unitDivisor } = createFormatters(model.currencyInputs);
+
+  // Amounts restated in the reporting currency; tranches and financing rounds convert in the engine
+  const modelInputs = convertModelInputs(model);
+  const costOfEquityResults = calculateCostOfEquity(modelInputs.waccInputs);
+  const waccResults = calculateWACC(modelInputs.waccInputs, costOfEquityResults);
+  const dilutionModelInputs = modelInputs.dilutionInputs;
+  const dilutionResults = calculateDilution(dilutionModelInputs);
+  const debtResults = calculateDebtMetrics(modelInputs.debtStackInputs, model.currencyInputs);
+  const capitalStructureResults = calculateOptimalCapitalStructure(modelInputs.waccInputs, costOfEquityResults, modelInputs.debtStackInputs);
+  const debtSchedule = calculateDebtSchedule(modelInputs.debtStackInputs, debtResults);
+  const covenantResults = calculateCovenants(modelInputs.debtStackInputs, debtResults, debtSchedule);
+  const dcfResults = calculateDCF(modelInputs.dcfInputs, { wacc: waccResults.wacc, totalDebt: debtResults.totalDebt, shares: model.dilutionInputs.currentShares });
+  const lboResults = calculateLBOReturns(model.lboInputs, modelInputs.debtStackInputs, debtResults, debtSchedule);
+  const lboGrid = generateLBOGrid(model.lboInputs, modelInputs.debtStackInputs, debtResults, debtSchedule);
+  const capTableResults = calculateCapTable(model.capTableInputs, model.currencyInputs);
+  const waterfallResults = calculateWaterfall(dilutionModelInputs, dilutionResults, dilutionModelInputs.exitValue);
+  const waterfallBreakpoints = calculateWaterfallBreakpoints(dilutionModelInputs, dilutionResults);
+
+  // Warnings only describe groups that currently validate; stale results aren't shown anyway
+  const modelWarnings = collectWarnings(model, {
+    costOfEquity: costOfEquityResults,
+    wacc: waccResults,
+    dilution: dilutionResults,
+    debt: debtResults,
+    debtSchedule,
+    dcf: dcfResults,
+    lbo: lboResults
+  }).filter(warning => !invalidGroups.includes(warning.group));
+
+  const getFieldClass = (path, className = 'w-full p-2 border border-gray-300 rounded-lg') => (
+    inputErrorsByPath[path] ? className.replace('border-gray-300', 'border-red-500 bg-red-50') : className
+  );
+
+  const renderFieldError = (path) => inputErrorsByPath[path] && (
+    <p className="mt-1 text-xs text-red-600">{inputErrorsByPath[path].message}</p>
+  );
+
+  // Input groups each set of results is computed from
+  const RESULT_INPUT_GROUPS = {
+    wacc: ['waccInputs'],
+    capitalStructure: ['waccInputs', 'debtStackInputs'],
+    dilution: ['dilutionInputs', 'currencyInputs'],
+    capTable: ['capTableInputs', 'currencyInputs'],
+    debt: ['debtStackInputs', 'currencyInputs'],
+    dcf: ['dcfInputs', 'waccInputs', 'debtStackInputs', 'dilutionInputs', 'currencyInputs'],
+    lbo: ['lboInputs', 'debtStackInputs', 'currencyInputs'],
+    simulation: ['simulationInputs', 'waccInputs', 'dilutionInputs', 'debtStackInputs', 'lboInputs', 'currencyInputs']
+  };
+
+  const hasInvalidInputs = (results) => RESULT_INPUT_GROUPS[results].some(group => invalidGroups.includes(group));
+
+  // Stands in for results while any input group they are computed from is invalid
+  const renderInvalidState = (results, className = 'bg-white rounded-lg p-6 shadow-lg') => (
+    <div className={`${className} border-l-4 border-red-500`}>
+      <div className="flex items-center mb-2 text-red-700">
+        <AlertTriangle className="w-5 h-5 mr-2" />
+        <h2 className="text-xl font-semibold">Invalid Input</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">Results are hidden until these inputs are corrected:</p>
+      <ul className="text-sm text-red-700 list-disc list-inside">
+        {inputErrors
+          .filter(error => RESULT_INPUT_GROUPS[results].some(group => error.path.startsWith(`${group}.`)))
+          .map(error => (
+            <li key={error.path}>{error.label}: {error.message}</li>
+          ))}
+      </ul>
+    </div>
+  );
+
+  const renderWarnings = (groups) => {
+    const warnings = modelWarnings.filter(warning => groups.includes(warning.group));
+    if (warnings.length === 0) return null;
+    return (
+      <div className="lg:col-span-2 p-4 rounded-lg bg-yellow-50 text-yellow-800">
+        <div className="flex items-center font-medium">
+          <AlertTriangle className="w-4 h-4 mr-2" />
+          {warnings.length === 1 ? '1 warning' : `${warnings.length} warnings`}
+        </div>
+        <ul className="mt-2 text-sm list-disc list-inside">
+          {warnings.map((warning, index) => (
+            <li key={index}>{warning.message}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  const formatShift = (key, multiple) => {
+    const variable = SENSITIVITY_VARIABLES[key];
+    const value = variable.step * multiple;
+    return `${value > 0 ? '+' : ''}${value.toFixed(variable.step < 1 ? 1 : 0)}${variable.unit}`;
   };
 
-  const waccResults = calculateWACC();
-  const dilutionResults = calculateDilution();
-  const debtResults = calculateDebtMetrics();
+  // Absolute value of a sensitivity variable after shifting it by `multiple` steps
+  const formatShiftedValue = (key, multiple) => {
+    const variable = SENSITIVITY_VARIABLES[key];
+    const baseValues = {
+      wacc: evaluateValuation(modelInputs.waccInputs, costOfEquityResults).wacc,
+      terminalGrowth: modelInputs.waccInputs.perpetualGrowth,
+      costOfEquity: costOfEquityResults.costOfEquity,
+      costOfDebt: modelInputs.waccInputs.costOfDebt,
+      taxRate: modelInputs.waccInputs.taxRate,
+      beta: costOfEquityResults.beta,
+      debtToEquity: modelInputs.waccInputs.marketValueDebt / modelInputs.waccInputs.marketValueEquity
+    };
+    return `${(baseValues[key] + variable.step * multiple).toFixed(2)}${variable.unit}`;
+  };
 
   // Sensitivity Analysis Data
   const generateSensitivityData = () => {
-    const baseWACC = parseFloat(waccResults.wacc);
-    return [
-      { scenario: 'Base Case', wacc: baseWACC, npv: 100 },
-      { scenario: '-2% Cost of Equity', wacc: baseWACC - 1.2, npv: 115 },
-      { scenario: '-1% Cost of Equity', wacc: baseWACC - 0.6, npv: 107 },
-      { scenario: '+1% Cost of Equity', wacc: baseWACC + 0.6, npv: 94 },
-      { scenario: '+2% Cost of Equity', wacc: baseWACC + 1.2, npv: 87 }
-    ];
+    const key = model.sensitivitySettings.variable;
+    return [-2, -1, 0, 1, 2].map(multiple => {
+      const result = evaluateValuation(modelInputs.waccInputs, costOfEquityResults, { [key]: SENSITIVITY_VARIABLES[key].step * multiple });
+      return {
+        scenario: multiple === 0 ? 'Base Case' : `${formatShift(key, multiple)} ${SENSITIVITY_VARIABLES[key].label}`,
+        wacc: parseFloat(result.wacc.toFixed(2)),
+        npv: result.npv !== null ? parseFloat((result.npv / unitDivisor).toFixed(1)) : null
+      };
+    });
+  };
+
+  // Tornado: NPV swing from a two-step move down and up in each input, widest first.
+  // Beta has no bar under cost of equity methods that do not use it.
+  const generateTornadoData = () => {
+    const baseNPV = evaluateValuation(modelInputs.waccInputs, costOfEquityResults).npv;
+    return Object.keys(SENSITIVITY_VARIABLES)
+      .filter(key => key !== 'beta' || usesBeta(modelInputs.waccInputs.costOfEquityMethod))
+      .map(key => {
+        const low = evaluateValuation(modelInputs.waccInputs, costOfEquityResults, { [key]: -2 * SENSITIVITY_VARIABLES[key].step }).npv;
+        const high = evaluateValuation(modelInputs.waccInputs, costOfEquityResults, { [key]: 2 * SENSITIVITY_VARIABLES[key].step }).npv;
+        const lowDelta = low !== null && baseNPV !== null ? (low - baseNPV) / unitDivisor : 0;
+        const highDelta = high !== null && baseNPV !== null ? (high - baseNPV) / unitDivisor : 0;
+        return {
+          name: `${SENSITIVITY_VARIABLES[key].label} (±${formatShift(key, 2).slice(1)})`,
+          low: parseFloat(lowDelta.toFixed(1)),
+          high: parseFloat(highDelta.toFixed(1)),
+          range: Math.abs(highDelta - lowDelta)
+        };
+      })
+      .sort((a, b) => b.range - a.range);
+  };
+
+  // Two-Way Data Table
+  const generateTwoWayTable = () => {
+    const { rowVariable, columnVariable } = model.sensitivitySettings;
+    const multiples = [-2, -1, 0, 1, 2];
+    return {
+      columns: multiples.map(multiple => formatShiftedValue(columnVariable, multiple)),
+      rows: multiples.map(rowMultiple => ({
+        label: formatShiftedValue(rowVariable, rowMultiple),
+        values: multiples.map(columnMultiple => {
+          const shifts = { [rowVariable]: SENSITIVITY_VARIABLES[rowVariable].step * rowMultiple };
+          shifts[columnVariable] = (shifts[columnVariable] || 0) + SENSITIVITY_VARIABLES[columnVariable].step * columnMultiple;
+          return evaluateValuation(modelInputs.waccInputs, costOfEquityResults, shifts).npv;
+        })
+      }))
+    };
+  };
+
+  const updateProjectedCashFlow = (index, value) => {
+    setWaccInputs({
+      ...waccInputs,
+      cashFlowProjection: waccInputs.cashFlowProjection.map((cashFlow, i) => (i === index ? value : cashFlow))
+    });
   };
 
+  const baseValuation = evaluateValuation(modelInputs.waccInputs, costOfEquityResults);
+  const tornadoData = generateTornadoData();
+  const twoWayTable = generateTwoWayTable();
+
+  // Payout vs Exit Value Data (0x to 3x post-money)
+  const generateWaterfallData = () => {
+    const maxExit = dilutionResults.postMoneyValuation * 3;
+    const steps = 30;
+    const exitValues = Array.from({ length: steps + 1 }, (_, i) => (maxExit * i) / steps);
+    waterfallBreakpoints.forEach(bp => {
+      if (bp.exitValue > 0 && bp.exitValue < maxExit) exitValues.push(bp.exitValue);
+    });
+    return exitValues
+      .sort((a, b) => a - b)
+      .map(exitValue => calculateWaterfall(dilutionModelInputs, dilutionResults, exitValue));
+  };
+
+  const waterfallData = generateWaterfallData();
+  const waterfallTableData = [0.25, 0.5, 1, 1.5, 2, 3].map(multiple =>
+    calculateWaterfall(dilutionModelInputs, dilutionResults, dilutionResults.postMoneyValuation * multiple)
+  );
+
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8'];
 
+  // Outstanding balance by tranche at each year end, for the stacked area chart
+  const debtScheduleChartData = debtSchedule.years.map(row => ({ year: `Y${row.year}`, ...row.balances }));
+
+  // Ownership by class after each round, one row per stage for the stacked bar
+  const capTableChartData = capTableResults.stages.map(stage => {
+    const row = { stage: stage.stage };
+    capTableResults.holdings.forEach(holding => {
+      row[holding.key] = parseFloat((stage.ownership[holding.key] || 0).toFixed(2));
+    });
+    return row;
+  });
+
+  // Scenario comparison: the first compared scenario is the baseline for the deltas
+  const comparisonColumns = [
+    ...scenarios
+      .filter(scenario => comparedScenarioIds.includes(scenario.id))
+      .map(scenario => ({ id: scenario.id, name: scenario.name, outputs: restateScenarioOutputs(scenario) })),
+    inputErrors.length > 0
+      ? { id: 'current', name: 'Current Model (invalid input)', outputs: null }
+      : { id: 'current', name: 'Current Model', outputs: captureScenarioOutputs() }
+  ];
+  const comparisonBaseline = comparisonColumns[0];
+
+  const getDeltaClass = (metric, delta) => {
+    if (!metric.better || Math.abs(delta) < 1e-9) return 'text-gray-500';
+    const improved = metric.better === 'lower' ? delta < 0 : delta > 0;
+    return improved ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700';
+  };
+
+  // Charts
+  // Sized by their container in the tabs; the report renders them at a fixed size
+  const renderCapitalStructureChart = () => (
+    <LineChart data={capitalStructureResults.points}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="debtRatio" type="number" domain={[0, 90]} tickFormatter={(value) => `${value}%`} />
+      <YAxis yAxisId="left" label={{ value: 'Cost (%)', angle: -90, position: 'insideLeft' }} />
+      <YAxis yAxisId="right" orientation="right" tickFormatter={(value) => formatAmount(value, 0)} label={{ value: `Firm Value (${moneyUnit})`, angle: 90, position: 'insideRight' }} />
+      <Tooltip
+        formatter={(value, name) => (name === 'Firm Value' ? formatMoney(value, 0) : formatPercent(value, 2))}
+        labelFormatter={(value) => `Debt / Capital: ${value}%`}
+      />
+      <Legend />
+      <ReferenceLine yAxisId="left" x={capitalStructureResults.currentDebtRatio} stroke="#FF8042" strokeDasharray="4 4" label="Current" />
+      <ReferenceLine yAxisId="left" x={capitalStructureResults.optimal.debtRatio} stroke="#00C49F" strokeDasharray="4 4" label="Optimal" />
+      <Line yAxisId="left" type="monotone" dataKey="wacc" name="WACC" stroke="#8884d8" strokeWidth={2} />
+      <Line yAxisId="left" type="monotone" dataKey="costOfEquity" name="Cost of Equity" stroke="#0088FE" dot={false} />
+      <Line yAxisId="left" type="monotone" dataKey="afterTaxCostOfDebt" name="After-Tax Cost of Debt" stroke="#FFBB28" dot={false} />
+      <Line yAxisId="right" type="monotone" dataKey="firmValue" name="Firm Value" stroke="#82ca9d" strokeWidth={2} dot={false} />
+    </LineChart>
+  );
+
+  const renderSensitivityChart = () => (
+    <LineChart data={generateSensitivityData()}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="scenario" />
+      <YAxis yAxisId="left" label={{ value: 'WACC (%)', angle: -90, position: 'insideLeft' }} />
+      <YAxis yAxisId="right" orientation="right" label={{ value: `NPV (${moneyUnit})`, angle: 90, position: 'insideRight' }} />
+      <Tooltip />
+      <Legend />
+      <Line yAxisId="left" type="monotone" dataKey="wacc" name="WACC (%)" stroke="#8884d8" strokeWidth={2} />
+      <Line yAxisId="right" type="monotone" dataKey="npv" name={`NPV (${moneyUnit})`} stroke="#82ca9d" strokeWidth={2} />
+    </LineChart>
+  );
+
+  const renderTornadoChart = () => (
+    <BarChart data={tornadoData} layout="vertical" stackOffset="sign">
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis type="number" />
+      <YAxis type="category" dataKey="name" width={170} fontSize={12} />
+      <Tooltip formatter={(value) => `${value > 0 ? '+' : ''}${formatMoney(value * unitDivisor)}`} />
+      <Legend />
+      <ReferenceLine x={0} stroke="#666" />
+      <Bar dataKey="low" name="Downside Shift" stackId="swing" fill={COLORS[3]} />
+      <Bar dataKey="high" name="Upside Shift" stackId="swing" fill={COLORS[0]} />
+    </BarChart>
+  );
+
+  const renderOwnershipChart = () => (
+    <BarChart data={capTableChartData}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="stage" />
+      <YAxis domain={[0, 100]} label={{ value: 'Ownership (%)', angle: -90, position: 'insideLeft' }} />
+      <Tooltip formatter={(value) => formatPercent(value, 1)} />
+      <Legend />
+      {capTableResults.holdings.map((holding, index) => (
+        <Bar key={holding.key} dataKey={holding.key} name={holding.name} stackId="ownership" fill={COLORS[index % COLORS.length]} />
+      ))}
+    </BarChart>
+  );
+
+  const renderPayoutChart = () => (
+    <LineChart data={waterfallData}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis
+        dataKey="exitValue"
+        type="number"
+        domain={[0, 'dataMax']}
+        tickFormatter={(value) => formatMoney(value, 0)}
+      />
+      <YAxis
+        tickFormatter={(value) => formatMoney(value, 0)}
+        label={{ value: `Payout (${moneyUnit})`, angle: -90, position: 'insideLeft' }}
+      />
+      <Tooltip
+        formatter={(value) => formatMoney(value, 1)}
+        labelFormatter={(value) => `Exit: ${formatMoney(value, 0)}`}
+      />
+      <Legend />
+      <Line type="linear" dataKey="investorPayout" name="New Investors" stroke={COLORS[1]} strokeWidth={2} dot={false} />
+      <Line type="linear" dataKey="existingPayout" name="Existing Shareholders" stroke={COLORS[0]} strokeWidth={2} dot={false} />
+    </LineChart>
+  );
+
+  const renderDebtScheduleChart = () => (
+    <AreaChart data={debtScheduleChartData}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="year" />
+      <YAxis
+        tickFormatter={(value) => formatAmount(value, 0)}
+        label={{ value: `Amount (${moneyUnit})`, angle: -90, position: 'insideLeft' }}
+      />
+      <Tooltip formatter={(value) => formatMoney(value, 1)} />
+      <Legend />
+      {debtResults.debtLevels.map((debt, index) => (
+        <Area
+          key={debt.id}
+          type="monotone"
+          dataKey={debt.id}
+          name={debt.name}
+          stackId="debt"
+          stroke={COLORS[index % COLORS.length]}
+          fill={COLORS[index % COLORS.length]}
+        />
+      ))}
+    </AreaChart>
+  );
+
+  const renderCashFlowChart = () => (
+    <BarChart data={dcfResults.projections}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="year" tickFormatter={(value) => `Y${value}`} />
+      <YAxis tickFormatter={(value) => formatAmount(value, 0)} label={{ value: `Amount (${moneyUnit})`, angle: -90, position: 'insideLeft' }} />
+      <Tooltip formatter={(value) => formatMoney(value, 1)} labelFormatter={(value) => `Year ${value}`} />
+      <Legend />
+      <Bar dataKey="unleveredFcf" name="Unlevered FCF" fill={COLORS[0]} />
+      <Bar dataKey="presentValue" name="Present Value" fill={COLORS[1]} />
+    </BarChart>
+  );
+
+  const renderAttributionChart = () => (
+    <BarChart data={lboResults.attribution}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="name" fontSize={12} />
+      <YAxis tickFormatter={(value) => formatAmount(value, 0)} label={{ value: `Value Created (${moneyUnit})`, angle: -90, position: 'insideLeft' }} />
+      <Tooltip formatter={(value) => [formatMoney(value, 1), 'Value']} />
+      <ReferenceLine y={0} stroke="#666" />
+      <Bar dataKey="value">
+        {lboResults.attribution.map((entry, index) => (
+          <Cell key={`cell-${index}`} fill={entry.value >= 0 ? COLORS[1] : COLORS[3]} />
+        ))}
+      </Bar>
+    </BarChart>
+  );
+
+  const renderHistogramChart = (key, index) => (
+    <BarChart data={simulationState.results.summaries[key].histogram}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="midpoint" tickFormatter={SIMULATION_OUTPUTS[key].format} fontSize={12} />
+      <YAxis label={{ value: 'Trials', angle: -90, position: 'insideLeft' }} />
+      <Tooltip labelFormatter={SIMULATION_OUTPUTS[key].format} formatter={(value) => [value, 'Trials']} />
+      <Bar dataKey="count" fill={COLORS[index % COLORS.length]} />
+    </BarChart>
+  );
+
+  // Export Sheets
+  // One sheet per tab, built from titled sections separated by a blank row. Values stay numeric
+  // so they can be worked with in Excel; the CSV export writes the sheet for the active tab and
+  // the report prints the same sections. Input sections carry their `group`.
+  const buildSheet = (sections) => sections.flatMap((section, index) => [
+    ...(index > 0 ? [[]] : []),
+    [section.title],
+    ...section.rows
+  ]);
+
+  // Scalar fields of an input object as field/value pairs
+  const inputRows = (inputs) => [
+    ['Field', 'Value'],
+    ...Object.keys(inputs)
+      .filter(key => inputs[key] === null || typeof inputs[key] !== 'object')
+      .map(key => [key, inputs[key]])
+  ];
+
+  // Tranche amounts are exported as entered, in the tranche's own currency
+  const LOCAL_TRANCHE_FIELDS = { amount: 'localAmount', commitment: 'localCommitment' };
+
+  const buildExportSheets = () => {
+    const sensitivityData = generateSensitivityData();
+    return {
+      wacc: {
+        name: 'WACC',
+        sections: [
+          { title: 'WACC Inputs', group: 'waccInputs', rows: inputRows(waccInputs) },
+          {
+            title: 'WACC Components',
+            rows: [
+              ['Component', 'Value'],
+              ['Equity Weight (%)', waccResults.equityWeight],
+              ['Debt Weight (%)', waccResults.debtWeight],
+              ['Cost of Equity (%)', waccResults.costOfEquity],
+              ['After-Tax Cost of Debt (%)', waccResults.afterTaxCostOfDebt],
+              ['WACC (%)', waccResults.wacc]
+            ]
+          },
+          {
+            title: 'Cost of Equity Reconciliation',
+            rows: [
+              ['Method', 'Beta', 'Cost of Equity (%)', 'WACC (%)'],
+              ...waccResults.reconciliation.map(row => [row.label, row.beta, row.costOfEquity, row.wacc])
+            ]
+          },
+          {
+            title: 'Projected Cash Flows',
+            rows: [
+              ['Year', 'Free Cash Flow'],
+              ...modelInputs.waccInputs.cashFlowProjection.map((cashFlow, index) => [index + 1, cashFlow])
+            ]
+          },
+          {
+            title: `Sensitivity: ${SENSITIVITY_VARIABLES[model.sensitivitySettings.variable].label}`,
+            rows: [
+              ['Scenario', 'WACC (%)', `NPV (${moneyUnit})`],
+              ...sensitivityData.map(row => [row.scenario, row.wacc, row.npv])
+            ]
+          },
+          {
+            title: `Tornado (NPV change, ${moneyUnit})`,
+            rows: [
+              ['Input', 'Low', 'High'],
+              ...tornadoData.map(row => [row.name, row.low, row.high])
+            ]
+          },
+          {
+            title: `NPV: ${SENSITIVITY_VARIABLES[model.sensitivitySettings.rowVariable].label} (rows) by ${SENSITIVITY_VARIABLES[model.sensitivitySettings.columnVariable].label} (columns)`,
+            rows: [
+              ['', ...twoWayTable.columns],
+              ...twoWayTable.rows.map(row => [row.label, ...row.values])
+            ]
+          }
+        ]
+      },
+      dilution: {
+        name: 'Dilution',
+        sections: [
+          { title: 'Dilution Inputs', group: 'dilutionInputs', rows: inputRows(dilutionInputs) },
+          {
+            title: 'Dilution Results',
+            rows: [
+              ['Metric', 'Value'],
+              ['Post-Money Valuation', dilutionResults.postMoneyValuation],
+              ['Price per Share', dilutionResults.pricePerShare],
+              ['Headline Price per Share', dilutionResults.headlinePricePerShare],
+              ['New Shares', dilutionResults.newShares],
+              ['Conversion Shares', dilutionResults.conversionShares],
+              ['Pool Increase', dilutionResults.poolIncrease],
+              ['Total Shares Post', dilutionResults.totalSharesPost],
+              ['Existing Ownership Post (%)', dilutionResults.ownershipPost],
+              ['Dilution (%)', dilutionResults.dilutionPercent],
+              ['New Money Dilution (%)', dilutionResults.newMoneyDilution],
+              ['Pool Dilution (%)', dilutionResults.poolDilution],
+              ['Conversion Dilution (%)', dilutionResults.conversionDilution],
+              ['Effective Pre-Money Valuation', dilutionResults.effectivePreMoneyValuation],
+              ['Previous Round Price', dilutionResults.previousRoundPrice],
+              ['Down Round', dilutionResults.isDownRound],
+              ['Anti-Dilution Shares', dilutionResults.antiDilutionShares],
+              ['Founder Ownership Post (%)', dilutionResults.founderOwnershipPost],
+              ['Extra Founder Dilution (%)', dilutionResults.extraFounderDilution]
+            ]
+          },
+          {
+            title: 'Prior Rounds',
+            rows: [
+              ['Round', 'Shares', 'Price per Share', 'Anti-Dilution', 'Adjusted Conversion Price', 'Additional Shares'],
+              ...dilutionResults.adjustments.map(adjustment => [
+                adjustment.name, adjustment.shares, adjustment.pricePerShare, ANTI_DILUTION_METHODS[adjustment.antiDilution], adjustment.adjustedPrice, adjustment.additionalShares
+              ])
+            ]
+          },
+          {
+            title: 'Conversions',
+            rows: [
+              ['Instrument', 'Instrument Type', 'Conversion Amount', 'Conversion Price', 'Converted Shares', 'Ownership (%)'],
+              ...dilutionResults.conversions.map(conversion => [
+                conversion.name, conversion.type, conversion.conversionAmount, conversion.conversionPrice, conversion.shares, conversion.ownership
+              ])
+            ]
+          },
+          {
+            title: 'Shareholder Classes',
+            rows: [
+              SHAREHOLDER_CLASS_COLUMNS.map(column => column.header),
+              ...capTableInputs.shareholderClasses.map(cls => SHAREHOLDER_CLASS_COLUMNS.map(column => cls[column.field]))
+            ]
+          },
+          {
+            title: 'Financing Rounds',
+            rows: [
+              ROUND_COLUMNS.map(column => column.header),
+              ...capTableInputs.rounds.map(round => ROUND_COLUMNS.map(column => round[column.field]))
+            ]
+          },
+          {
+            title: 'Fully Diluted Cap Table',
+            rows: [
+              ['Holder', 'Holder Type', 'Holder Shares', 'Ownership (%)'],
+              ...capTableResults.holdings.map(holding => [holding.name, holding.type, holding.shares, holding.ownership])
+            ]
+          },
+          {
+            title: 'Exit Waterfall',
+            rows: [
+              ['Exit Value', 'Investor Payout', 'Existing Holders Payout', 'Investor Multiple (x)', 'Converts'],
+              ...waterfallTableData.map(row => [row.exitValue, row.investorPayout, row.existingPayout, row.investorMultiple, row.converts])
+            ]
+          }
+        ]
+      },
+      debt: {
+        name: 'Debt Stack',
+        sections: [
+          { title: 'Debt Stack Inputs', group: 'debtStackInputs', rows: inputRows(debtStackInputs) },
+          {
+            title: 'Tranches',
+            rows: [
+              [...TRANCHE_COLUMNS.map(column => column.header), `Amount (${currencyInputs.reportingCurrency})`, 'All-In Rate (%)', 'Yield to Maturity (%)', 'Weight (%)', 'Annual Interest', 'Annual Amortization'],
+              ...debtResults.debtLevels.map(debt => [
+                ...TRANCHE_COLUMNS.map(column => debt[LOCAL_TRANCHE_FIELDS[column.field] || column.field]),
+                debt.amount,
+                debt.allInRate,
+                debt.yieldToMaturity,
+                debt.weight,
+                debt.annualInterest,
+                debt.annualAmortization
+              ])
+            ]
+          },
+          {
+            title: 'Debt Metrics',
+            rows: [
+              ['Metric', 'Value'],
+              ['Total Debt', debtResults.totalDebt],
+              ['Weighted Average Cost (%)', debtResults.weightedAverageCost],
+              ['Weighted Average Yield (%)', debtResults.weightedAverageYield],
+              ['Total Leverage (x)', debtResults.totalLeverageRatio],
+              ['Interest Coverage (x)', debtResults.interestCoverage],
+              ['Debt Service Coverage (x)', debtResults.debtServiceCoverage],
+              ['Upfront Fees', debtResults.totalUpfrontFees],
+              ['Annual Debt Service', debtResults.annualDebtService]
+            ]
+          },
+          {
+            title: 'Debt Schedule',
+            rows: [
+              ['Year', 'EBITDA', 'Cash Flow', 'Interest', 'Scheduled Amortization', 'Revolver Draw', 'Revolver Repayment', 'Sweep', 'Shortfall', 'Total Debt', 'Leverage (x)', 'Interest Coverage (x)'],
+              ...debtSchedule.years.map(row => [
+                row.year, row.ebitda, row.cashFlow, row.interest, row.scheduledAmortization, row.revolverDraw,
+                row.revolverRepayment, row.sweep, row.shortfall, row.totalDebt, row.leverage, row.interestCoverage
+              ])
+            ]
+          },
+          {
+            title: 'Covenant Tests',
+            rows: [
+              ['Covenant', 'Year', 'Required', 'Actual', 'Pass', 'EBITDA Cushion (%)'],
+              ...covenantResults.tests.flatMap(test => test.results.map(result => [
+                test.label, result.year, result.required, result.actual, result.pass, result.ebitdaCushion
+              ]))
+            ]
+          }
+        ]
+      },
+      dcf: {
+        name: 'DCF',
+        sections: [
+          { title: 'DCF Inputs', group: 'dcfInputs', rows: inputRows(dcfInputs) },
+          {
+            title: 'Projections',
+            rows: [
+              ['Year', 'Revenue Growth (%)', 'Revenue', 'EBITDA', 'D&A', 'EBIT', 'Taxes', 'Capex', 'Change in NWC', 'Unlevered FCF', 'Discount Factor', 'Present Value'],
+              ...dcfResults.projections.map((row, index) => [
+                row.year, dcfInputs.revenueGrowth[index], row.revenue, row.ebitda, row.depreciation, row.ebit,
+                row.taxes, row.capex, row.changeInNwc, row.unleveredFcf, row.discountFactor, row.presentValue
+              ])
+            ]
+          },
+          {
+            title: 'Valuation',
+            rows: [
+              ['Metric', 'Value'],
+              ['WACC (%)', dcfResults.wacc],
+              ['PV of Cash Flows', dcfResults.pvCashFlows],
+              ['Terminal Value', dcfResults.terminalValue],
+              ['PV of Terminal Value', dcfResults.pvTerminalValue],
+              ['Enterprise Value', dcfResults.enterpriseValue],
+              ['Net Debt', dcfResults.netDebt],
+              ['Equity Value', dcfResults.equityValue],
+              ['Value per Share', dcfResults.valuePerShare]
+            ]
+          }
+        ]
+      },
+      lbo: {
+        name: 'LBO',
+        sections: [
+          { title: 'LBO Inputs', group: 'lboInputs', rows: inputRows(lboInputs) },
+          { title: 'Sources', rows: [['Source', 'Amount'], ...lboResults.sources.map(row => [row.name, row.amount])] },
+          { title: 'Uses', rows: [['Use', 'Amount'], ...lboResults.uses.map(row => [row.name, row.amount])] },
+          {
+            title: 'Returns',
+            rows: [
+              ['Metric', 'Value'],
+              ['Sponsor Equity', lboResults.sponsorEquity],
+              ['Entry Leverage (x)', lboResults.entryLeverage],
+              ['Exit EBITDA', lboResults.exitEbitda],
+              ['Exit Enterprise Value', lboResults.exitEnterpriseValue],
+              ['Exit Net Debt', lboResults.exitNetDebt],
+              ['Exit Equity', lboResults.exitEquity],
+              ['MOIC (x)', lboResults.moic],
+              ['IRR (%)', lboResults.irr]
+            ]
+          },
+          { title: 'Value Creation', rows: [['Driver', 'Value'], ...lboResults.attribution.map(row => [row.name, row.value])] },
+          {
+            title: 'IRR (%) by Entry (rows) and Exit (columns) Multiple',
+            rows: [
+              ['', ...lboGrid.exitMultiples],
+              ...lboGrid.rows.map(row => [row.entryMultiple, ...row.irrs])
+            ]
+          }
+        ]
+      },
+      simulation: {
+        name: 'Simulation',
+        sections: [
+          {
+            title: 'Input Distributions',
+            rows: [
+              ['Input', 'Distribution', 'Mean', 'Std Dev', 'Min', 'Mode', 'Max'],
+              ...Object.keys(SIMULATION_VARIABLES).map(key => {
+                const variable = simulationInputs.variables[key];
+                return [SIMULATION_VARIABLES[key].label, variable.type, variable.mean, variable.stdDev, variable.min, variable.mode, variable.max];
+              })
+            ]
+          },
+          ...(simulationState.results ? [{
+            title: `Percentiles (${simulationState.results.trials} trials, seed ${simulationState.results.seed})`,
+            rows: [
+              ['Percentile', ...Object.keys(SIMULATION_OUTPUTS).map(key => SIMULATION_OUTPUTS[key].label)],
+              ...simulationState.results.summaries.wacc.percentiles.map((percentile, index) => [
+                `P${percentile.p}`,
+                ...Object.keys(SIMULATION_OUTPUTS).map(key => simulationState.results.summaries[key].percentiles[index].value)
+              ]),
+              ['Mean', ...Object.keys(SIMULATION_OUTPUTS).map(key => simulationState.results.summaries[key].mean)],
+              [],
+              ['Failed Trials (EBITDA at or below zero)', simulationState.results.failedTrials],
+              ['Covenant Breach Probability (%)', simulationState.results.covenantBreachProbability],
+              ['IRR Below Target Probability (%)', simulationState.results.belowTargetProbability]
+            ]
+          }] : [])
+        ]
+      },
+      scenarios: {
+        name: 'Scenarios',
+        sections: [{
+          title: 'Scenario Comparison',
+          rows: [
+            ['Metric', ...comparisonColumns.map(column => column.name)],
+            ...SCENARIO_METRICS.map(metric => [metric.label, ...comparisonColumns.map(column => column.outputs[metric.key])])
+          ]
+        }]
+      }
+    };
+  };
+
+  const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const exportCsv = () => {
+    const sheet = buildExportSheets()[activeTab];
+    downloadFile(`${sheet.name.toLowerCase().replace(/\s+/g, '-')}.csv`, toCsv(buildSheet(sheet.sections)), 'text/csv;charset=utf-8');
+  };
+
+  const exportWorkbook = () => {
+    const sheets = Object.values(buildExportSheets()).map(sheet => ({ name: sheet.name, rows: buildSheet(sheet.sections) }));
+    downloadFile('financial-model.xlsx', toXlsx(sheets), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  };
+
+  const exportModel = () => {
+    downloadFile('financial-model.json', serializeModel(captureScenarioInputs()), 'application/json');
+  };
+
+  // JSON model files replace the inputs; CSV files are read as a debt schedule or a cap table,
+  // whichever header row they carry
+  const importFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result);
+      if (/\.json$/i.test(file.name)) {
+        const { inputs, errors } = parseModel(text, captureScenarioInputs());
+        if (errors.length > 0) {
+          setImportStatus({ type: 'error', message: `${file.name} was not imported`, errors });
+          return;
+        }
+        applyScenarioInputs(inputs);
+        setActiveScenarioId(null);
+        setImportStatus({ type: 'success', message: `Loaded model from ${file.name}`, errors: [] });
+        return;
+      }
+
+      const debt = parseDebtScheduleCsv(text);
+      const capTable = debt.found ? null : parseCapTableCsv(text);
+      if (!debt.found && !capTable.found) {
+        setImportStatus({
+          type: 'error',
+          message: `${file.name} is neither a debt schedule nor a cap table`,
+          errors: [...debt.errors, ...capTable.errors]
+        });
+        return;
+      }
+      const { errors } = debt.found ? debt : capTable;
+      if (errors.length > 0) {
+        setImportStatus({ type: 'error', message: `${file.name} was not imported`, errors });
+        return;
+      }
+
+      const stamp = Date.now();
+      if (debt.found) {
+        setDebtStackInputs({
+          ...debtStackInputs,
+          tranches: debt.tranches.map((tranche, index) => ({ id: `tranche-${stamp}-${index}`, ...tranche }))
+        });
+        setImportStatus({ type: 'success', message: `Imported ${debt.tranches.length} tranches from ${file.name}`, errors: [] });
+      } else {
+        setCapTableInputs({
+          shareholderClasses: capTable.shareholderClasses.map((cls, index) => ({ id: `class-${stamp}-${index}`, ...cls })),
+          rounds: capTable.rounds
+            ? capTable.rounds.map((round, index) => ({ id: `round-${stamp}-${index}`, ...round }))
+            : capTableInputs.rounds
+        });
+        setImportStatus({ type: 'success', message: `Imported cap table from ${file.name}`, errors: [] });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // Share Link
+  const createShareLink = async () => {
+    const fragment = `${SHARE_LINK_PREFIX}${await encodeModelLink(captureScenarioInputs(), activeTab)}`;
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${fragment}`;
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(url);
+      copied = true;
+    } catch (error) {
+      // Clipboard unavailable or denied: the link is shown to copy by hand
+    }
+    setShareLink({ url, copied });
+  };
+
+  // Report
+  // A cover with the headline metrics and warnings, the input summary, then a page per model
+  // with its export sections and charts. Printing (or saving as PDF) and the HTML download
+  // share one layout, so the download is exactly what was previewed.
+  const REPORT_CHART_SIZE = { width: 680, height: 260 };
+  const activeScenario = scenarios.find(scenario => scenario.id === activeScenarioId);
+  const reportName = activeScenario ? activeScenario.name : 'Unsaved Model';
+
+  const downloadReport = () => {
+    const fileName = `${reportName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'model'}-report.html`;
+    downloadFile(fileName, buildReportDocument(`${reportName} - Financial Model Report`, reportRef.current.outerHTML), 'text/html;charset=utf-8');
+  };
+
+  // Fixed-size, unanimated copy of a chart, so printing straight away captures the finished drawing
+  const renderStaticChart = (element, props = {}) => React.cloneElement(
+    element,
+    { ...props, isAnimationActive: false },
+    ...(React.Children.map(element.props.children, child => (React.isValidElement(child) ? renderStaticChart(child) : child)) || [])
+  );
+
+  const renderReportTable = (section) => {
+    const [header, ...body] = section.rows;
+    if (body.length === 0) return null;
+    const schema = VALIDATION_SCHEMA[section.group] || {};
+    return (
+      <div key={section.title}>
+        <h3>{section.title}</h3>
+        <table>
+          <thead>
+            <tr>
+              {header.map((cell, c) => <th key={c}>{formatReportValue(cell)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {body.map((row, r) => (
+              <tr key={r}>
+                {row.map((cell, c) => (
+                  <td key={c}>
+                    {section.group && c === 0
+                      ? (schema[cell] ? schema[cell].label : cell.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase()))
+                      : formatReportValue(cell, String(header.length === 2 ? row[0] : header[c]), currencyInputs.locale)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderReportPage = (title, content) => (
+    <section key={title} className="report-page">
+      <div className="report-running-header">
+        <span>{reportName}</span>
+        <span>{report.generatedAt.toLocaleString(currencyInputs.locale)}</span>
+      </div>
+      <h2>{title}</h2>
+      {content}
+    </section>
+  );
+
+  const renderReport = () => {
+    const sheets = buildExportSheets();
+    const outputs = captureScenarioOutputs();
+    const metrics = [
+      ...SCENARIO_METRICS.map(metric => ({
+        label: metric.label,
+        value: outputs[metric.key] !== null ? metric.format(outputs[metric.key]) : 'n/a'
+      })),
+      { label: 'DCF Enterprise Value', value: formatMoney(dcfResults.enterpriseValue, 1) },
+      { label: 'DCF Value per Share', value: formatPrice(dcfResults.valuePerShare) },
+      { label: 'LBO IRR', value: formatPercent(lboResults.irr, 1) },
+      { label: 'LBO MOIC', value: formatMultiple(lboResults.moic, 2) }
+    ];
+    const charts = {
+      wacc: [
+        { title: 'Optimal Capital Structure', render: renderCapitalStructureChart },
+        { title: 'WACC Sensitivity Analysis', render: renderSensitivityChart },
+        { title: `NPV Tornado (${moneyUnit} vs Base)`, render: renderTornadoChart }
+      ],
+      dilution: [
+        { title: 'Ownership Structure', render: renderOwnershipChart },
+        { title: 'Payout vs Exit Value', render: renderPayoutChart }
+      ],
+      debt: [{ title: 'Outstanding Debt by Tranche', render: renderDebtScheduleChart }],
+      dcf: [{ title: 'Projected Cash Flows', render: renderCashFlowChart }],
+      lbo: [{ title: 'Returns Attribution', render: renderAttributionChart }],
+      simulation: simulationState.results
+        ? Object.keys(SIMULATION_OUTPUTS).map((key, index) => ({
+          title: `${SIMULATION_OUTPUTS[key].label} Distribution`,
+          render: () => renderHistogramChart(key, index)
+        }))
+        : []
+    };
+    // The simulation page only appears once it has been run
+    const modelPages = ['wacc', 'dilution', 'debt', 'dcf', 'lbo', ...(simulationState.results ? ['simulation'] : [])];
+
+    return (
+      <div className="report-view">
+        <style>{REPORT_STYLES}</style>
+        <div className="report-toolbar">
+          <button
+            onClick={() => window.print()}
+            className="flex items-center px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+          >
+            <Printer className="w-4 h-4 mr-1" />
+            Print / Save as PDF
+          </button>
+          <button
+            onClick={downloadReport}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            HTML
+          </button>
+          <button
+            onClick={() => setReport(null)}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <X className="w-4 h-4 mr-1" />
+            Close
+          </button>
+        </div>
+        <div ref={reportRef} className="report">
+          <section className="report-page">
+            <h1>Financial Model Report</h1>
+            <p className="report-subtitle">{reportName} &middot; generated {report.generatedAt.toLocaleString(currencyInputs.locale)}</p>
+            <div className="report-metrics">
+              {metrics.map(metric => (
+                <div key={metric.label} className="report-metric">
+                  <div className="report-metric-value">{metric.value}</div>
+                  <div className="report-metric-label">{metric.label}</div>
+                </div>
+              ))}
+            </div>
+            {modelWarnings.length > 0 && (
+              <ul className="report-warnings">
+                {modelWarnings.map((warning, index) => (
+                  <li key={index}>{warning.message}</li>
+                ))}
+              </ul>
+            )}
+          </section>
+          {renderReportPage('Input Summary', (
+            <div className="report-columns">
+              {Object.values(sheets).flatMap(sheet => sheet.sections.filter(section => section.group)).map(renderReportTable)}
+            </div>
+          ))}
+          {modelPages.map(key => renderReportPage(sheets[key].name, (
+            <>
+              {sheets[key].sections.filter(section => !section.group).map(renderReportTable)}
+              {charts[key].map(chart => (
+                <div key={chart.title} className="report-chart">
+                  <h3>{chart.title}</h3>
+                  {renderStaticChart(chart.render(), REPORT_CHART_SIZE)}
+                </div>
+              ))}
+            </>
+          )))}
+        </div>
+      </div>
+    );
+  };
+
+  if (report) return renderReport();
+
   return (
     <div className="w-full max-w-7xl mx-auto p-6 bg-gray-50 min-h-screen">
-      <h1 className="text-3xl font-bold text-gray-900 mb-8 flex items-center">
-        <Calculator className="mr-3 text-blue-600" />
-        Advanced Financial Modeling Suite
-      </h1>
+      <div className="flex items-center justify-between mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+          <Calculator className="mr-3 text-blue-600" />
+          Advanced Financial Modeling Suite
+        </h1>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={exportCsv}
+            disabled={inputErrors.length > 0}
+            title={inputErrors.length > 0 ? 'Correct the invalid inputs to export' : undefined}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            CSV
+          </button>
+          <button
+            onClick={exportWorkbook}
+            disabled={inputErrors.length > 0}
+            title={inputErrors.length > 0 ? 'Correct the invalid inputs to export' : undefined}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            Excel
+          </button>
+          <button
+            onClick={exportModel}
+            disabled={inputErrors.length > 0}
+            title={inputErrors.length > 0 ? 'Correct the invalid inputs to export' : undefined}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            JSON
+          </button>
+          <button
+            onClick={createShareLink}
+            disabled={inputErrors.length > 0}
+            title={inputErrors.length > 0 ? 'Correct the invalid inputs to share' : undefined}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Share2 className="w-4 h-4 mr-1" />
+            Share Link
+          </button>
+          <button
+            onClick={() => setReport({ generatedAt: new Date() })}
+            disabled={inputErrors.length > 0}
+            title={inputErrors.length > 0 ? 'Correct the invalid inputs to generate a report' : undefined}
+            className="flex items-center px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <FileText className="w-4 h-4 mr-1" />
+            Generate Report
+          </button>
+          <label className="flex items-center px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 cursor-pointer">
+            <Upload className="w-4 h-4 mr-1" />
+            Import
+            <input
+              type="file"
+              accept=".json,.csv"
+              onChange={(e) => {
+                importFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+              className="hidden"
+            />
+          </label>
+        </div>
+      </div>
+
+      {shareLink && (
+        <div className="mb-6 p-4 rounded-lg bg-blue-50 text-blue-700">
+          <div className="flex items-center justify-between">
+            <p className="font-medium">
+              {shareLink.copied ? 'Share link copied to the clipboard' : 'Copy this link to share the model'}
+            </p>
+            <button onClick={() => setShareLink(null)} className="text-sm hover:underline">Dismiss</button>
+          </div>
+          <input
+            type="text"
+            readOnly
+            value={shareLink.url}
+            onFocus={(e) => e.target.select()}
+            className="mt-2 w-full p-2 text-sm text-gray-700 border border-blue-200 rounded-lg"
+          />
+          <p className="mt-2 text-sm">Anyone opening it sees this model and tab. The model is in the link itself and is not uploaded anywhere.</p>
+        </div>
+      )}
+
+      {importStatus && (
+        <div className={`mb-6 p-4 rounded-lg ${importStatus.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+          <div className="flex items-center justify-between">
+            <p className="font-medium">{importStatus.message}</p>
+            <button onClick={() => setImportStatus(null)} className="text-sm hover:underline">Dismiss</button>
+          </div>
+          {importStatus.errors.length > 0 && (
+            <ul className="mt-2 text-sm list-disc list-inside">
+              {importStatus.errors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Currency & Units */}
+      <div className="mb-6 bg-white rounded-lg p-4 shadow-lg">
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reporting Currency</label>
+            <select
+              value={currencyInputs.reportingCurrency}
+              onChange={(e) => setCurrencyInputs({...currencyInputs, reportingCurrency: e.target.value})}
+              className="p-2 border border-gray-300 rounded-lg"
+            >
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Model Currency</label>
+            <select
+              value={currencyInputs.modelCurrency}
+              onChange={(e) => setCurrencyInputs({...currencyInputs, modelCurrency: e.target.value})}
+              className="p-2 border border-gray-300 rounded-lg"
+            >
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Units</label>
+            <select
+              value={currencyInputs.units}
+              onChange={(e) => setCurrencyInputs({...currencyInputs, units: e.target.value})}
+              className="p-2 border border-gray-300 rounded-lg"
+            >
+              {Object.keys(UNITS).map(units => (
+                <option key={units} value={units}>{UNITS[units].label}</option>
+              ))}
+            </select>
+            {renderFieldError('currencyInputs.units')}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Number Format</label>
+            <select
+              value={currencyInputs.locale}
+              onChange={(e) => setCurrencyInputs({...currencyInputs, locale: e.target.value})}
+              className="p-2 border border-gray-300 rounded-lg"
+            >
+              {Object.keys(LOCALES).map(locale => (
+                <option key={locale} value={locale}>{LOCALES[locale]}</option>
+              ))}
+            </select>
+            {renderFieldError('currencyInputs.locale')}
+          </div>
+          {CURRENCIES.filter(currency => currency !== 'USD').map(currency => (
+            <div key={currency}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{currency} (USD)</label>
+              <input
+                type="number"
+                step="0.0001"
+                value={currencyInputs.fxRates[currency]}
+                onChange={(e) => updateFxRate(currency, readNumber(e))}
+                className={getFieldClass(`currencyInputs.fxRates.${currency}`, 'w-24 p-2 border border-gray-300 rounded-lg')}
+              />
+              {renderFieldError(`currencyInputs.fxRates.${currency}`)}
+            </div>
+          ))}
+        </div>
+        <p className="mt-2 text-xs text-gray-500">FX rates are USD per unit of each currency. Operating and valuation amounts are entered in {currencyInputs.modelCurrency}; tranches, rounds and the priced round in their own currency. Everything is reported in {currencyInputs.reportingCurrency}.</p>
+      </div>
 
       {/* Tab Navigation */}
       <div className="flex mb-8 border-b border-gray-200">
@@ -163,340 +1838,2794 @@ const FinancialModelingSuite = () => {
           <BarChart3 className="inline mr-2 w-4 h-4" />
           Debt Stack
         </button>
+        <button
+          onClick={() => setActiveTab('dcf')}
+          className={`px-6 py-3 font-medium ${activeTab === 'dcf' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+        >
+          <DollarSign className="inline mr-2 w-4 h-4" />
+          DCF Valuation
+        </button>
+        <button
+          onClick={() => setActiveTab('lbo')}
+          className={`px-6 py-3 font-medium ${activeTab === 'lbo' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+        >
+          <Briefcase className="inline mr-2 w-4 h-4" />
+          LBO Returns
+        </button>
+        <button
+          onClick={() => setActiveTab('simulation')}
+          className={`px-6 py-3 font-medium ${activeTab === 'simulation' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+        >
+          <Activity className="inline mr-2 w-4 h-4" />
+          Simulation
+        </button>
+        <button
+          onClick={() => setActiveTab('scenarios')}
+          className={`px-6 py-3 font-medium ${activeTab === 'scenarios' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
+        >
+          <Layers className="inline mr-2 w-4 h-4" />
+          Scenarios
+        </button>
       </div>
 
-      {/* WACC Analysis Tab */}
-      {activeTab === 'wacc' && (
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          {/* WACC Inputs */}
+      {/* WACC Analysis Tab */}
+      {activeTab === 'wacc' && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {renderWarnings(['waccInputs'])}
+
+          {/* WACC Inputs */}
+          <div className="bg-white rounded-lg p-6 shadow-lg">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">WACC Model Inputs</h2>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Market Value of Equity ({currencyInputs.modelCurrency})</label>
+                <input
+                  type="number"
+                  value={waccInputs.marketValueEquity}
+                  onChange={(e) => setWaccInputs({...waccInputs, marketValueEquity: readInteger(e)})}
+                  className={getFieldClass('waccInputs.marketValueEquity')}
+                />
+                {renderFieldError('waccInputs.marketValueEquity')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Market Value of Debt ({currencyInputs.modelCurrency})</label>
+                <input
+                  type="number"
+                  value={waccInputs.marketValueDebt}
+                  onChange={(e) => setWaccInputs({...waccInputs, marketValueDebt: readInteger(e)})}
+                  className={getFieldClass('waccInputs.marketValueDebt')}
+                />
+                {renderFieldError('waccInputs.marketValueDebt')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Cost of Equity Method</label>
+                <select
+                  value={waccInputs.costOfEquityMethod}
+                  onChange={(e) => setWaccInputs({...waccInputs, costOfEquityMethod: e.target.value})}
+                  className="w-full p-2 border border-gray-300 rounded-lg"
+                >
+                  {Object.keys(COST_OF_EQUITY_METHODS).map(method => (
+                    <option key={method} value={method}>{COST_OF_EQUITY_METHODS[method]}</option>
+                  ))}
+                </select>
+                {renderFieldError('waccInputs.costOfEquityMethod')}
+              </div>
+              {waccInputs.costOfEquityMethod === 'manual' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Cost of Equity (%)</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={waccInputs.costOfEquity}
+                    onChange={(e) => setWaccInputs({...waccInputs, costOfEquity: readNumber(e)})}
+                    className={getFieldClass('waccInputs.costOfEquity')}
+                  />
+                  {renderFieldError('waccInputs.costOfEquity')}
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Risk-Free Rate (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={waccInputs.riskFreeRate}
+                  onChange={(e) => setWaccInputs({...waccInputs, riskFreeRate: readNumber(e)})}
+                  className={getFieldClass('waccInputs.riskFreeRate')}
+                />
+                {renderFieldError('waccInputs.riskFreeRate')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Market Risk Premium (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={waccInputs.marketRiskPremium}
+                  onChange={(e) => setWaccInputs({...waccInputs, marketRiskPremium: readNumber(e)})}
+                  className={getFieldClass('waccInputs.marketRiskPremium')}
+                />
+                {renderFieldError('waccInputs.marketRiskPremium')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Cost of Debt (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={waccInputs.costOfDebt}
+                  onChange={(e) => setWaccInputs({...waccInputs, costOfDebt: readNumber(e)})}
+                  className={getFieldClass('waccInputs.costOfDebt')}
+                />
+                {renderFieldError('waccInputs.costOfDebt')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Tax Rate (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={waccInputs.taxRate}
+                  onChange={(e) => setWaccInputs({...waccInputs, taxRate: readNumber(e)})}
+                  className={getFieldClass('waccInputs.taxRate')}
+                />
+                {renderFieldError('waccInputs.taxRate')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Beta</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={waccInputs.beta}
+                  onChange={(e) => setWaccInputs({...waccInputs, beta: readNumber(e)})}
+                  className={getFieldClass('waccInputs.beta')}
+                />
+                {renderFieldError('waccInputs.beta')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Perpetual FCF Growth (%)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={waccInputs.perpetualGrowth}
+                  onChange={(e) => setWaccInputs({...waccInputs, perpetualGrowth: readNumber(e)})}
+                  className={getFieldClass('waccInputs.perpetualGrowth')}
+                />
+                {renderFieldError('waccInputs.perpetualGrowth')}
+              </div>
+              <button
+                onClick={() => setWaccInputs({
+                  ...waccInputs,
+                  // Debt results are in the reporting currency; WACC market values in the model currency
+                  marketValueDebt: Math.round(debtResults.totalDebt / fxFactor(model.currencyInputs.modelCurrency, model.currencyInputs)),
+                  costOfDebt: parseFloat(debtResults.weightedAverageCost.toFixed(2))
+                })}
+                className="w-full px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50"
+              >
+                Use Debt Stack ({formatMoney(debtResults.totalDebt, 0)} at {formatPercent(debtResults.weightedAverageCost, 2)})
+              </button>
+            </div>
+          </div>
+
+          {hasInvalidInputs('wacc') ? renderInvalidState('wacc') : (
+            <>
+              {/* WACC Results */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">WACC Results</h2>
+                <div className="space-y-4">
+                  <div className="bg-blue-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-blue-600">{formatPercent(waccResults.wacc, 2)}</h3>
+                    <p className="text-gray-600">Weighted Average Cost of Capital</p>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Equity Weight</p>
+                      <p className="text-lg font-semibold">{formatPercent(waccResults.equityWeight, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Debt Weight</p>
+                      <p className="text-lg font-semibold">{formatPercent(waccResults.debtWeight, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Cost of Equity ({COST_OF_EQUITY_METHODS[model.waccInputs.costOfEquityMethod]})</p>
+                      <p className="text-lg font-semibold">{formatPercent(waccResults.costOfEquity, 2)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">After-Tax Cost of Debt</p>
+                      <p className="text-lg font-semibold">{formatPercent(waccResults.afterTaxCostOfDebt, 2)}</p>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* Cost of Equity Builder */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Cost of Equity Builder</h2>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Size Premium (%)</label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={waccInputs.sizePremium}
+                      onChange={(e) => setWaccInputs({...waccInputs, sizePremium: readNumber(e)})}
+                      className={getFieldClass('waccInputs.sizePremium')}
+                    />
+                    {renderFieldError('waccInputs.sizePremium')}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Company-Specific Premium (%)</label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={waccInputs.companySpecificPremium}
+                      onChange={(e) => setWaccInputs({...waccInputs, companySpecificPremium: readNumber(e)})}
+                      className={getFieldClass('waccInputs.companySpecificPremium')}
+                    />
+                    {renderFieldError('waccInputs.companySpecificPremium')}
+                  </div>
+                </div>
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-lg font-medium">Comparable Companies</h3>
+                    <button onClick={addComparable} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+                      <Plus className="w-4 h-4 mr-1" />
+                      Add Comparable
+                    </button>
+                  </div>
+                  {renderFieldError('waccInputs.comparables')}
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-2 py-2 text-left text-sm font-medium text-gray-700">Company</th>
+                        <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Levered Beta</th>
+                        <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">D/E</th>
+                        <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Tax (%)</th>
+                        <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Unlevered</th>
+                        <th className="px-2 py-2"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {waccInputs.comparables.map((comp, index) => (
+                        <tr key={comp.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-2 py-2">
+                            <input
+                              type="text"
+                              value={comp.name}
+                              onChange={(e) => updateComparable(index, 'name', e.target.value)}
+                              className="w-full p-1 border border-gray-300 rounded text-sm"
+                            />
+                          </td>
+                          <td className="px-2 py-2">
+                            <input
+                              type="number"
+                              step="0.05"
+                              value={comp.leveredBeta}
+                              onChange={(e) => updateComparable(index, 'leveredBeta', readNumber(e))}
+                              className={getFieldClass(`waccInputs.comparables.${index}.leveredBeta`, 'w-20 p-1 border border-gray-300 rounded text-sm text-right')}
+                            />
+                            {renderFieldError(`waccInputs.comparables.${index}.leveredBeta`)}
+                          </td>
+                          <td className="px-2 py-2">
+                            <input
+                              type="number"
+                              step="0.05"
+                              value={comp.debtToEquity}
+                              onChange={(e) => updateComparable(index, 'debtToEquity', readNumber(e))}
+                              className={getFieldClass(`waccInputs.comparables.${index}.debtToEquity`, 'w-20 p-1 border border-gray-300 rounded text-sm text-right')}
+                            />
+                            {renderFieldError(`waccInputs.comparables.${index}.debtToEquity`)}
+                          </td>
+                          <td className="px-2 py-2">
+                            <input
+                              type="number"
+                              step="1"
+                              value={comp.taxRate}
+                              onChange={(e) => updateComparable(index, 'taxRate', readNumber(e))}
+                              className={getFieldClass(`waccInputs.comparables.${index}.taxRate`, 'w-16 p-1 border border-gray-300 rounded text-sm text-right')}
+                            />
+                            {renderFieldError(`waccInputs.comparables.${index}.taxRate`)}
+                          </td>
+                          <td className="px-2 py-2 text-sm text-gray-900 text-right">
+                            {hasInvalidInputs('wacc') ? '-' : costOfEquityResults.comparables[index].unleveredBeta.toFixed(2)}
+                          </td>
+                          <td className="px-2 py-2 text-right">
+                            <button onClick={() => removeComparable(index)} className="text-gray-400 hover:text-red-600">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="grid grid-cols-2 gap-4 mt-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Median Unlevered Beta</p>
+                      <p className="text-lg font-semibold">{hasInvalidInputs('wacc') || costOfEquityResults.medianUnleveredBeta === null ? '-' : costOfEquityResults.medianUnleveredBeta.toFixed(2)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Relevered Beta at Target D/E</p>
+                      <p className="text-lg font-semibold">{hasInvalidInputs('wacc') || costOfEquityResults.releveredBeta === null ? '-' : costOfEquityResults.releveredBeta.toFixed(2)}</p>
+                    </div>
+                  </div>
+                </div>
+              </div>
+              {hasInvalidInputs('wacc') ? renderInvalidState('wacc', 'p-4') : (
+                <div>
+                  <h3 className="text-lg font-medium mb-2">Method Reconciliation</h3>
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Method</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Beta</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Cost of Equity (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">WACC (%)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {waccResults.reconciliation.map((row, index) => (
+                        <tr
+                          key={row.method}
+                          onClick={() => setWaccInputs({...waccInputs, costOfEquityMethod: row.method})}
+                          className={`cursor-pointer ${row.method === waccInputs.costOfEquityMethod ? 'bg-blue-50 font-semibold' : index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}`}
+                        >
+                          <td className="px-4 py-2 text-sm text-gray-900">{row.label}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{row.beta !== null ? row.beta.toFixed(2) : '-'}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(row.costOfEquity, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(row.wacc, 2)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="text-sm text-gray-500 mt-2">The highlighted method feeds WACC. Click a row to select it.</p>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {hasInvalidInputs('capitalStructure') ? renderInvalidState('capitalStructure', 'bg-white rounded-lg p-6 shadow-lg lg:col-span-2') : (
+            <>
+              {/* Optimal Capital Structure */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Optimal Capital Structure</h2>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                  <div className="bg-blue-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-blue-600">{formatPercent(capitalStructureResults.optimal.debtRatio, 0)}</h3>
+                    <p className="text-gray-600">Optimal Debt / Capital</p>
+                  </div>
+                  <div className="bg-gray-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-gray-800">{formatPercent(capitalStructureResults.optimal.wacc, 2)}</h3>
+                    <p className="text-gray-600">Minimum WACC</p>
+                  </div>
+                  <div className="bg-gray-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-gray-800">{capitalStructureResults.optimal.rating}</h3>
+                    <p className="text-gray-600">Implied Rating at Optimum</p>
+                  </div>
+                  <div className="bg-gray-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-gray-800">{formatPercent(capitalStructureResults.currentDebtRatio, 1)}</h3>
+                    <p className="text-gray-600">Current Debt / Capital</p>
+                  </div>
+                </div>
+                <ResponsiveContainer width="100%" height={300}>
+                  {renderCapitalStructureChart()}
+                </ResponsiveContainer>
+                <div className="overflow-x-auto mt-6">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Debt / Capital (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Debt / EBITDA (x)</th>
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Rating</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Levered Beta</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Cost of Equity (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Pre-Tax Cost of Debt (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">WACC (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Firm Value ({moneyUnit})</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {capitalStructureResults.points.map((point, index) => (
+                        <tr
+                          key={point.debtRatio}
+                          className={point === capitalStructureResults.optimal ? 'bg-green-50 font-semibold' : index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}
+                        >
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(point.debtRatio, 0)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(point.debtToEbitda, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900">{point.rating}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(point.leveredBeta, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(point.costOfEquity, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(point.costOfDebt, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(point.wacc, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{point.firmValue !== null ? formatAmount(point.firmValue, 0) : '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* Cash Flow Projection */}
+          <div className="bg-white rounded-lg p-6 shadow-lg">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-800">Cash Flow Projection ({currencyInputs.modelCurrency})</h2>
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => setWaccInputs({...waccInputs, cashFlowProjection: [...waccInputs.cashFlowProjection, waccInputs.cashFlowProjection[waccInputs.cashFlowProjection.length - 1] || 0]})}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add Year
+                </button>
+                <button
+                  onClick={() => setWaccInputs({...waccInputs, cashFlowProjection: waccInputs.cashFlowProjection.slice(0, -1)})}
+                  disabled={waccInputs.cashFlowProjection.length <= 1}
+                  className="flex items-center text-sm text-gray-500 hover:text-red-600 disabled:opacity-30"
+                >
+                  <Trash2 className="w-4 h-4 mr-1" />
+                  Remove Year
+                </button>
+              </div>
+            </div>
+            <div className="space-y-2">
+              {waccInputs.cashFlowProjection.map((cashFlow, index) => (
+                <div key={index} className="flex items-center space-x-3">
+                  <label className="w-20 text-sm font-medium text-gray-700">Year {index + 1}</label>
+                  <input
+                    type="number"
+                    value={cashFlow}
+                    onChange={(e) => updateProjectedCashFlow(index, readInteger(e))}
+                    className={getFieldClass(`waccInputs.cashFlowProjection.${index}`, 'flex-1 p-2 border border-gray-300 rounded-lg')}
+                  />
+                  {renderFieldError(`waccInputs.cashFlowProjection.${index}`)}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {hasInvalidInputs('wacc') ? renderInvalidState('wacc') : (
+            <>
+              {/* Base Valuation */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Base Case NPV</h2>
+                <div className="space-y-4">
+                  <div className="bg-green-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-green-600">
+                      {formatMoney(baseValuation.npv, 0)}
+                    </h3>
+                    <p className="text-gray-600">NPV at {formatPercent(baseValuation.wacc, 2)} WACC</p>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">PV of Projected Cash Flows</p>
+                      <p className="text-lg font-semibold">{formatMoney(baseValuation.pvCashFlows, 0)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">PV of Terminal Value</p>
+                      <p className="text-lg font-semibold">
+                        {formatMoney(baseValuation.pvTerminalValue, 0)}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              {/* WACC Sensitivity Chart */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-semibold text-gray-800">WACC Sensitivity Analysis</h2>
+                  <select
+                    value={sensitivitySettings.variable}
+                    onChange={(e) => setSensitivitySettings({...sensitivitySettings, variable: e.target.value})}
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                  >
+                    {Object.keys(SENSITIVITY_VARIABLES).filter(key => key !== 'wacc').map(key => (
+                      <option key={key} value={key}>{SENSITIVITY_VARIABLES[key].label}</option>
+                    ))}
+                  </select>
+                  {renderFieldError('sensitivitySettings.variable')}
+                </div>
+                <ResponsiveContainer width="100%" height={300}>
+                  {renderSensitivityChart()}
+                </ResponsiveContainer>
+              </div>
+
+              {/* Tornado Chart */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">NPV Tornado ({moneyUnit} vs Base)</h2>
+                <ResponsiveContainer width="100%" height={300}>
+                  {renderTornadoChart()}
+                </ResponsiveContainer>
+              </div>
+
+              {/* Two-Way Data Table */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Two-Way NPV Table ({moneyUnit})</h2>
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Rows</label>
+                    <select
+                      value={sensitivitySettings.rowVariable}
+                      onChange={(e) => setSensitivitySettings({...sensitivitySettings, rowVariable: e.target.value})}
+                      className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.keys(SENSITIVITY_VARIABLES).map(key => (
+                        <option key={key} value={key}>{SENSITIVITY_VARIABLES[key].label}</option>
+                      ))}
+                    </select>
+                    {renderFieldError('sensitivitySettings.rowVariable')}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Columns</label>
+                    <select
+                      value={sensitivitySettings.columnVariable}
+                      onChange={(e) => setSensitivitySettings({...sensitivitySettings, columnVariable: e.target.value})}
+                      className="w-full p-2 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {Object.keys(SENSITIVITY_VARIABLES).map(key => (
+                        <option key={key} value={key}>{SENSITIVITY_VARIABLES[key].label}</option>
+                      ))}
+                    </select>
+                    {renderFieldError('sensitivitySettings.columnVariable')}
+                  </div>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-700">
+                          {SENSITIVITY_VARIABLES[model.sensitivitySettings.rowVariable].label} \ {SENSITIVITY_VARIABLES[model.sensitivitySettings.columnVariable].label}
+                        </th>
+                        {twoWayTable.columns.map(column => (
+                          <th key={column} className="px-3 py-2 text-right text-sm font-medium text-gray-700">{column}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {twoWayTable.rows.map((row, rowIndex) => (
+                        <tr key={row.label} className={rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-3 py-2 text-sm font-medium text-gray-700">{row.label}</td>
+                          {row.values.map((value, columnIndex) => (
+                            <td
+                              key={columnIndex}
+                              className={`px-3 py-2 text-sm text-right ${rowIndex === 2 && columnIndex === 2 ? 'font-bold text-blue-600' : 'text-gray-900'}`}
+                            >
+                              {formatAmount(value, 0)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Dilution Analysis Tab */}
+      {activeTab === 'dilution' && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {renderWarnings(['dilutionInputs', 'capTableInputs'])}
+
+          {/* Dilution Inputs */}
+          <div className="bg-white rounded-lg p-6 shadow-lg">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Fundraising Parameters</h2>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Round Currency</label>
+                <select
+                  value={dilutionInputs.currency}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, currency: e.target.value})}
+                  className="w-full p-2 border border-gray-300 rounded-lg"
+                >
+                  {CURRENCIES.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+                {dilutionInputs.currency !== currencyInputs.reportingCurrency && (
+                  <p className="mt-1 text-xs text-gray-500">Results are converted to {currencyInputs.reportingCurrency} at the FX rates above.</p>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Current Shares Outstanding</label>
+                <input
+                  type="number"
+                  value={dilutionInputs.currentShares}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, currentShares: readInteger(e)})}
+                  className={getFieldClass('dilutionInputs.currentShares')}
+                />
+                {renderFieldError('dilutionInputs.currentShares')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Current Valuation ({dilutionInputs.currency})</label>
+                <input
+                  type="number"
+                  value={dilutionInputs.currentValuation}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, currentValuation: readInteger(e)})}
+                  className={getFieldClass('dilutionInputs.currentValuation')}
+                />
+                {renderFieldError('dilutionInputs.currentValuation')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Pre-Money Valuation ({dilutionInputs.currency})</label>
+                <input
+                  type="number"
+                  value={dilutionInputs.preMoneyValuation}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, preMoneyValuation: readInteger(e)})}
+                  className={getFieldClass('dilutionInputs.preMoneyValuation')}
+                />
+                {renderFieldError('dilutionInputs.preMoneyValuation')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Fundraise Amount ({dilutionInputs.currency})</label>
+                <input
+                  type="number"
+                  value={dilutionInputs.fundraiseAmount}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, fundraiseAmount: readInteger(e)})}
+                  className={getFieldClass('dilutionInputs.fundraiseAmount')}
+                />
+                {renderFieldError('dilutionInputs.fundraiseAmount')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Existing Option Pool (Shares)</label>
+                <input
+                  type="number"
+                  value={dilutionInputs.existingPoolShares}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, existingPoolShares: readInteger(e)})}
+                  className={getFieldClass('dilutionInputs.existingPoolShares')}
+                />
+                {renderFieldError('dilutionInputs.existingPoolShares')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Target Post-Money Pool (%)</label>
+                <input
+                  type="number"
+                  step="0.5"
+                  value={dilutionInputs.targetPoolPercent}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, targetPoolPercent: readNumber(e)})}
+                  className={getFieldClass('dilutionInputs.targetPoolPercent')}
+                />
+                {renderFieldError('dilutionInputs.targetPoolPercent')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Pool Treatment</label>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                  <button
+                    onClick={() => setDilutionInputs({...dilutionInputs, poolTreatment: 'preMoney'})}
+                    className={`flex-1 px-3 py-2 text-sm ${dilutionInputs.poolTreatment === 'preMoney' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+                  >
+                    Pre-Money (Shuffle)
+                  </button>
+                  <button
+                    onClick={() => setDilutionInputs({...dilutionInputs, poolTreatment: 'postMoney'})}
+                    className={`flex-1 px-3 py-2 text-sm ${dilutionInputs.poolTreatment === 'postMoney' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+                  >
+                    Post-Money
+                  </button>
+                </div>
+                {renderFieldError('dilutionInputs.poolTreatment')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Liquidation Preference (x)</label>
+                <input
+                  type="number"
+                  step="0.1"
+                  value={dilutionInputs.liquidationPreference}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, liquidationPreference: readNumber(e)})}
+                  className={getFieldClass('dilutionInputs.liquidationPreference')}
+                />
+                {renderFieldError('dilutionInputs.liquidationPreference')}
+              </div>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  id="participation"
+                  checked={dilutionInputs.participationRights}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, participationRights: e.target.checked})}
+                  className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
+                />
+                <label htmlFor="participation" className="text-sm font-medium text-gray-700">Participation Rights</label>
+              </div>
+              {dilutionInputs.participationRights && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Participation Cap (x, 0 = uncapped)</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={dilutionInputs.participationCap}
+                    onChange={(e) => setDilutionInputs({...dilutionInputs, participationCap: readNumber(e)})}
+                    className={getFieldClass('dilutionInputs.participationCap')}
+                  />
+                  {renderFieldError('dilutionInputs.participationCap')}
+                </div>
+              )}
+              <div className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  id="prorata"
+                  checked={dilutionInputs.proRataRights}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, proRataRights: e.target.checked})}
+                  className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
+                />
+                <label htmlFor="prorata" className="text-sm font-medium text-gray-700">Pro Rata Rights</label>
+              </div>
+            </div>
+          </div>
+
+          {hasInvalidInputs('dilution') ? renderInvalidState('dilution') : (
+            <>
+              {/* Dilution Results */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Dilution Impact</h2>
+                <div className="space-y-4">
+                  <div className="bg-red-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-red-600">{formatPercent(dilutionResults.dilutionPercent, 1)}</h3>
+                    <p className="text-gray-600">Ownership Dilution</p>
+                  </div>
+                  {dilutionResults.previousRoundPrice !== null && (
+                    <div className={`flex items-center p-3 rounded-lg ${dilutionResults.isDownRound ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'}`}>
+                      {dilutionResults.isDownRound && <AlertTriangle className="w-4 h-4 mr-2" />}
+                      <p className="text-sm font-medium">
+                        {dilutionResults.isDownRound ? 'Down Round' : 'Up Round'}: {formatPrice(dilutionResults.pricePerShare)} vs {formatPrice(dilutionResults.previousRoundPrice)} per share in the previous round
+                      </p>
+                    </div>
+                  )}
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Price per Share</p>
+                      <p className="text-lg font-semibold">{formatPrice(dilutionResults.pricePerShare)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">New Shares Issued</p>
+                      <p className="text-lg font-semibold">{formatNumber(dilutionResults.newShares)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Post-Money Valuation</p>
+                      <p className="text-lg font-semibold">{formatMoney(dilutionResults.postMoneyValuation, 0)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Post-Raise Ownership</p>
+                      <p className="text-lg font-semibold">{formatPercent(dilutionResults.ownershipPost, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Headline Price per Share</p>
+                      <p className="text-lg font-semibold">{formatPrice(dilutionResults.headlinePricePerShare)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Effective Pre-Money</p>
+                      <p className="text-lg font-semibold">{formatMoney(dilutionResults.effectivePreMoneyValuation, 0)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Option Pool Increase</p>
+                      <p className="text-lg font-semibold">{formatNumber(dilutionResults.poolIncrease)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Post-Money Pool</p>
+                      <p className="text-lg font-semibold">{formatPercent(dilutionResults.postMoneyPoolPercent, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Value per Share Pre</p>
+                      <p className="text-lg font-semibold">{formatPrice(dilutionResults.valuePerSharePre)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Value per Share Post</p>
+                      <p className="text-lg font-semibold">{formatPrice(dilutionResults.valuePerSharePost)}</p>
+                    </div>
+                  </div>
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Sources of Dilution</h3>
+                    <div className="grid grid-cols-3 gap-4">
+                      <div className="bg-gray-50 p-3 rounded">
+                        <p className="text-sm text-gray-600">New Money</p>
+                        <p className="text-lg font-semibold">{formatPercent(dilutionResults.newMoneyDilution, 1)}</p>
+                      </div>
+                      <div className="bg-gray-50 p-3 rounded">
+                        <p className="text-sm text-gray-600">Option Pool</p>
+                        <p className="text-lg font-semibold">{formatPercent(dilutionResults.poolDilution, 1)}</p>
+                      </div>
+                      <div className="bg-gray-50 p-3 rounded">
+                        <p className="text-sm text-gray-600">Conversions</p>
+                        <p className="text-lg font-semibold">{formatPercent(dilutionResults.conversionDilution, 1)}</p>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* Convertible Instruments */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-800">SAFEs &amp; Convertible Notes</h2>
+              <button onClick={addConvertible} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+                <Plus className="w-4 h-4 mr-1" />
+                Add Instrument
+              </button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Instrument</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Type</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Principal ({dilutionInputs.currency})</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Valuation Cap ({dilutionInputs.currency})</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Discount (%)</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Interest (%)</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Months</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dilutionInputs.convertibles.map((instrument, index) => (
+                    <tr key={instrument.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="px-4 py-2">
+                        <input
+                          type="text"
+                          value={instrument.name}
+                          onChange={(e) => updateConvertible(index, 'name', e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded text-sm"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <select
+                          value={instrument.type}
+                          onChange={(e) => updateConvertible(index, 'type', e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded text-sm"
+                        >
+                          <option value="postMoneySafe">Post-Money SAFE</option>
+                          <option value="preMoneySafe">Pre-Money SAFE</option>
+                          <option value="convertibleNote">Convertible Note</option>
+                        </select>
+                        {renderFieldError(`dilutionInputs.convertibles.${index}.type`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={instrument.principal}
+                          onChange={(e) => updateConvertible(index, 'principal', readInteger(e))}
+                          className={getFieldClass(`dilutionInputs.convertibles.${index}.principal`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`dilutionInputs.convertibles.${index}.principal`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={instrument.valuationCap}
+                          onChange={(e) => updateConvertible(index, 'valuationCap', readInteger(e))}
+                          className={getFieldClass(`dilutionInputs.convertibles.${index}.valuationCap`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`dilutionInputs.convertibles.${index}.valuationCap`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="1"
+                          value={instrument.discount}
+                          onChange={(e) => updateConvertible(index, 'discount', readNumber(e))}
+                          className={getFieldClass(`dilutionInputs.convertibles.${index}.discount`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`dilutionInputs.convertibles.${index}.discount`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.5"
+                          value={instrument.interestRate}
+                          disabled={instrument.type !== 'convertibleNote'}
+                          onChange={(e) => updateConvertible(index, 'interestRate', readNumber(e))}
+                          className={getFieldClass(`dilutionInputs.convertibles.${index}.interestRate`, 'w-full p-1 border border-gray-300 rounded text-sm text-right disabled:bg-gray-100')}
+                        />
+                        {renderFieldError(`dilutionInputs.convertibles.${index}.interestRate`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={instrument.monthsOutstanding}
+                          disabled={instrument.type !== 'convertibleNote'}
+                          onChange={(e) => updateConvertible(index, 'monthsOutstanding', readInteger(e))}
+                          className={getFieldClass(`dilutionInputs.convertibles.${index}.monthsOutstanding`, 'w-full p-1 border border-gray-300 rounded text-sm text-right disabled:bg-gray-100')}
+                        />
+                        {renderFieldError(`dilutionInputs.convertibles.${index}.monthsOutstanding`)}
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <button onClick={() => removeConvertible(index)} className="text-gray-400 hover:text-red-600">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {hasInvalidInputs('dilution') ? renderInvalidState('dilution', 'mt-6 p-4') : (
+              <>
+                <h3 className="text-lg font-medium mt-6 mb-2">Conversion at Priced Round</h3>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Instrument</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Converting Amount ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Accrued Interest ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Conversion Price ({currencySymbol})</th>
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Basis</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Shares Issued</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Ownership (%)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {dilutionResults.conversions.map((conversion, index) => (
+                        <tr key={conversion.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{conversion.name}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(conversion.conversionAmount, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(conversion.accruedInterest, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(conversion.conversionPrice, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900">{conversion.convertsAtCap ? 'Valuation Cap' : 'Discount'}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(conversion.shares)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(conversion.ownership, 1)}</td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-gray-200 font-semibold">
+                        <td className="px-4 py-2 text-sm text-gray-900" colSpan={5}>Total Conversion Shares</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(dilutionResults.conversionShares)}</td>
+                        <td className="px-4 py-2"></td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Prior Rounds & Anti-Dilution */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-800">Prior Rounds &amp; Anti-Dilution</h2>
+              <button onClick={addPriorRound} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+                <Plus className="w-4 h-4 mr-1" />
+                Add Prior Round
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">Preferred already outstanding, oldest first. Its shares are part of Current Shares Outstanding.</p>
+            {renderFieldError('dilutionInputs.priorRounds')}
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Round</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Shares</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Price per Share ({dilutionInputs.currency})</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Anti-Dilution</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dilutionInputs.priorRounds.map((round, index) => (
+                    <tr key={round.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="px-4 py-2">
+                        <input
+                          type="text"
+                          value={round.name}
+                          onChange={(e) => updatePriorRound(index, 'name', e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded text-sm"
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          value={round.shares}
+                          onChange={(e) => updatePriorRound(index, 'shares', readInteger(e))}
+                          className={getFieldClass(`dilutionInputs.priorRounds.${index}.shares`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`dilutionInputs.priorRounds.${index}.shares`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={round.pricePerShare}
+                          onChange={(e) => updatePriorRound(index, 'pricePerShare', readNumber(e))}
+                          className={getFieldClass(`dilutionInputs.priorRounds.${index}.pricePerShare`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`dilutionInputs.priorRounds.${index}.pricePerShare`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <select
+                          value={round.antiDilution}
+                          onChange={(e) => updatePriorRound(index, 'antiDilution', e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded text-sm"
+                        >
+                          {Object.keys(ANTI_DILUTION_METHODS).map(method => (
+                            <option key={method} value={method}>{ANTI_DILUTION_METHODS[method]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <button onClick={() => removePriorRound(index)} className="text-gray-400 hover:text-red-600">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {hasInvalidInputs('dilution') ? renderInvalidState('dilution', 'mt-6 p-4') : (
+              <>
+                <h3 className="text-lg font-medium mt-6 mb-2">Adjustment in This Round</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                  <div className="bg-gray-50 p-3 rounded">
+                    <p className="text-sm text-gray-600">Anti-Dilution Shares</p>
+                    <p className="text-lg font-semibold">{formatNumber(dilutionResults.antiDilutionShares)}</p>
+                  </div>
+                  <div className="bg-gray-50 p-3 rounded">
+                    <p className="text-sm text-gray-600">Founder Ownership Post</p>
+                    <p className="text-lg font-semibold">{formatPercent(dilutionResults.founderOwnershipPost, 1)}</p>
+                  </div>
+                  <div className="bg-gray-50 p-3 rounded">
+                    <p className="text-sm text-gray-600">Extra Founder Dilution</p>
+                    <p className="text-lg font-semibold">{formatPercent(dilutionResults.extraFounderDilution, 2)}</p>
+                  </div>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Round</th>
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Protection</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Original Price ({currencySymbol})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Adjusted Conversion Price ({currencySymbol})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Additional Shares</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {dilutionResults.adjustments.map((adjustment, index) => (
+                        <tr key={adjustment.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{adjustment.name}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900">{ANTI_DILUTION_METHODS[adjustment.antiDilution]}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(adjustment.pricePerShare, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(adjustment.adjustedPrice, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(adjustment.additionalShares)}</td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-gray-200 font-semibold">
+                        <td className="px-4 py-2 text-sm text-gray-900" colSpan={4}>Total Anti-Dilution Shares</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(dilutionResults.antiDilutionShares)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+
+          {/* Cap Table Configuration */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Cap Table</h2>
+            <div className="space-y-6">
+              <div className="overflow-x-auto">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-lg font-medium">Shareholder Classes</h3>
+                  <button onClick={addShareholderClass} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add Class
+                  </button>
+                </div>
+                <table className="min-w-full bg-white">
+                  <thead>
+                    <tr className="bg-gray-50">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Class</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Type</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Shares</th>
+                      <th className="px-4 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {capTableInputs.shareholderClasses.map((cls, index) => (
+                      <tr key={cls.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="px-4 py-2">
+                          <input
+                            type="text"
+                            value={cls.name}
+                            onChange={(e) => updateShareholderClass(index, 'name', e.target.value)}
+                            className="w-full p-1 border border-gray-300 rounded text-sm"
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <select
+                            value={cls.type}
+                            onChange={(e) => updateShareholderClass(index, 'type', e.target.value)}
+                            className="w-full p-1 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="Common">Common</option>
+                            <option value="Options">Options</option>
+                            <option value="SAFE">SAFE</option>
+                          </select>
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            value={cls.shares}
+                            onChange={(e) => updateShareholderClass(index, 'shares', readInteger(e))}
+                            className={getFieldClass(`capTableInputs.shareholderClasses.${index}.shares`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                          />
+                          {renderFieldError(`capTableInputs.shareholderClasses.${index}.shares`)}
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          <button onClick={() => removeShareholderClass(index)} className="text-gray-400 hover:text-red-600">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="overflow-x-auto">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-lg font-medium">Financing Rounds</h3>
+                  <button onClick={addRound} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add Round
+                  </button>
+                </div>
+                <table className="min-w-full bg-white">
+                  <thead>
+                    <tr className="bg-gray-50">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Round</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Investment</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Pre-Money</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Currency</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Preference (x)</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Seniority</th>
+                      <th className="px-4 py-2 text-center text-sm font-medium text-gray-700">Participating</th>
+                      <th className="px-4 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {capTableInputs.rounds.map((round, index) => (
+                      <tr key={round.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="px-4 py-2">
+                          <input
+                            type="text"
+                            value={round.name}
+                            onChange={(e) => updateRound(index, 'name', e.target.value)}
+                            className="w-full p-1 border border-gray-300 rounded text-sm"
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            value={round.investment}
+                            onChange={(e) => updateRound(index, 'investment', readInteger(e))}
+                            className={getFieldClass(`capTableInputs.rounds.${index}.investment`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                          />
+                          {renderFieldError(`capTableInputs.rounds.${index}.investment`)}
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            value={round.preMoneyValuation}
+                            onChange={(e) => updateRound(index, 'preMoneyValuation', readInteger(e))}
+                            className={getFieldClass(`capTableInputs.rounds.${index}.preMoneyValuation`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                          />
+                          {renderFieldError(`capTableInputs.rounds.${index}.preMoneyValuation`)}
+                        </td>
+                        <td className="px-4 py-2">
+                          <select
+                            value={round.currency}
+                            onChange={(e) => updateRound(index, 'currency', e.target.value)}
+                            className="p-1 border border-gray-300 rounded text-sm"
+                          >
+                            {CURRENCIES.map(currency => (
+                              <option key={currency} value={currency}>{currency}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            step="0.1"
+                            value={round.liquidationPreference}
+                            onChange={(e) => updateRound(index, 'liquidationPreference', readNumber(e))}
+                            className={getFieldClass(`capTableInputs.rounds.${index}.liquidationPreference`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                          />
+                          {renderFieldError(`capTableInputs.rounds.${index}.liquidationPreference`)}
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            min="1"
+                            value={round.seniority}
+                            onChange={(e) => updateRound(index, 'seniority', readInteger(e))}
+                            className={getFieldClass(`capTableInputs.rounds.${index}.seniority`, 'w-full p-1 border border-gray-300 rounded text-sm text-right')}
+                          />
+                          {renderFieldError(`capTableInputs.rounds.${index}.seniority`)}
+                        </td>
+                        <td className="px-4 py-2 text-center">
+                          <input
+                            type="checkbox"
+                            checked={round.participating}
+                            onChange={(e) => updateRound(index, 'participating', e.target.checked)}
+                            className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
+                          />
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          <button onClick={() => removeRound(index)} className="text-gray-400 hover:text-red-600">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {hasInvalidInputs('capTable') ? renderInvalidState('capTable', 'p-4') : (
+                <div className="overflow-x-auto">
+                  <h3 className="text-lg font-medium mb-2">Fully Diluted Ownership</h3>
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Class</th>
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Type</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Shares</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Price per Share</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Preference (x)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Seniority</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Ownership (%)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {capTableResults.holdings.map((holding, index) => (
+                        <tr key={holding.key} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{holding.name}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900">{holding.type}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(holding.shares)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{holding.pricePerShare !== null ? formatPrice(holding.pricePerShare) : '-'}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{holding.liquidationPreference !== null ? holding.liquidationPreference.toFixed(1) : '-'}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{holding.seniority !== null ? holding.seniority : '-'}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(holding.ownership, 1)}</td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-gray-200 font-semibold">
+                        <td className="px-4 py-2 text-sm text-gray-900" colSpan={2}>Total</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(capTableResults.totalShares)}</td>
+                        <td className="px-4 py-2" colSpan={3}></td>
+                        <td className="px-4 py-2 text-sm text-gray-900 text-right">100.0</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {hasInvalidInputs('capTable') ? renderInvalidState('capTable', 'bg-white rounded-lg p-6 shadow-lg lg:col-span-2') : (
+            <>
+              {/* Dilution Visualization */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Ownership Structure</h2>
+                <ResponsiveContainer width="100%" height={300}>
+                  {renderOwnershipChart()}
+                </ResponsiveContainer>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mt-6">
+                  {capTableResults.stages.map(stage => {
+                    const pieData = capTableResults.holdings
+                      .map((holding, index) => ({ name: holding.name, value: parseFloat((stage.ownership[holding.key] || 0).toFixed(1)), color: COLORS[index % COLORS.length] }))
+                      .filter(entry => entry.value > 0);
+                    return (
+                      <div key={stage.stage}>
+                        <h3 className="text-lg font-medium mb-2">
+                          {stage.stage}
+                          {stage.pricePerShare !== null && <span className="text-sm text-gray-500 ml-2">{formatPrice(stage.pricePerShare)}/share</span>}
+                        </h3>
+                        <ResponsiveContainer width="100%" height={200}>
+                          <PieChart>
+                            <Pie data={pieData} cx="50%" cy="50%" outerRadius={80} dataKey="value">
+                              {pieData.map((entry, index) => (
+                                <Cell key={`cell-${index}`} fill={entry.color} />
+                              ))}
+                            </Pie>
+                            <Tooltip formatter={(value) => `${value}%`} />
+                          </PieChart>
+                        </ResponsiveContainer>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* Liquidation Waterfall */}
           <div className="bg-white rounded-lg p-6 shadow-lg">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">WACC Model Inputs</h2>
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Exit Waterfall</h2>
             <div className="space-y-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Market Value of Equity ($)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Exit Value ({dilutionInputs.currency})</label>
                 <input
                   type="number"
-                  value={waccInputs.marketValueEquity}
-                  onChange={(e) => setWaccInputs({...waccInputs, marketValueEquity: parseInt(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  value={dilutionInputs.exitValue}
+                  onChange={(e) => setDilutionInputs({...dilutionInputs, exitValue: readInteger(e)})}
+                  className={getFieldClass('dilutionInputs.exitValue')}
+                />
+                {renderFieldError('dilutionInputs.exitValue')}
+              </div>
+              {hasInvalidInputs('dilution') ? renderInvalidState('dilution', 'p-4') : (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">New Investor Payout</p>
+                      <p className="text-lg font-semibold">{formatMoney(waterfallResults.investorPayout, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Existing Holder Payout</p>
+                      <p className="text-lg font-semibold">{formatMoney(waterfallResults.existingPayout, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Investor Multiple</p>
+                      <p className="text-lg font-semibold">{formatMultiple(waterfallResults.investorMultiple, 2)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Investor Election</p>
+                      <p className="text-lg font-semibold">{waterfallResults.converts ? 'Convert to Common' : 'Take Preference'}</p>
+                    </div>
+                  </div>
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Breakpoints</h3>
+                    {waterfallBreakpoints.map((bp, index) => (
+                      <div key={index} className="flex justify-between text-sm text-gray-900 py-1">
+                        <span>{bp.label}</span>
+                        <span>{formatMoney(bp.exitValue, 0)}</span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
+          {hasInvalidInputs('dilution') ? renderInvalidState('dilution') : (
+            <>
+              {/* Payout Table */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Payout by Exit Value</h2>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Exit ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Preference ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Participation ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Investors ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Existing ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Investor Share (%)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {waterfallTableData.map((row, index) => (
+                        <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(row.exitValue, 0)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(row.preferencePayout, 1)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(row.participationPayout, 1)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(row.investorPayout, 1)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(row.existingPayout, 1)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(row.investorShare, 1)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* Payout vs Exit Value Chart */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Payout vs Exit Value</h2>
+                <ResponsiveContainer width="100%" height={300}>
+                  {renderPayoutChart()}
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Debt Stack Tab */}
+      {activeTab === 'debt' && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {renderWarnings(['debtStackInputs'])}
+
+          {/* Debt Stack Configuration */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-800">Debt Stack Configuration</h2>
+              <button onClick={addTranche} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+                <Plus className="w-4 h-4 mr-1" />
+                Add Tranche
+              </button>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">EBITDA ({currencyInputs.modelCurrency})</label>
+                <input
+                  type="number"
+                  value={debtStackInputs.ebitda}
+                  onChange={(e) => setDebtStackInputs({...debtStackInputs, ebitda: readInteger(e)})}
+                  className={getFieldClass('debtStackInputs.ebitda')}
                 />
+                {renderFieldError('debtStackInputs.ebitda')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Market Value of Debt ($)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Free Cash Flow ({currencyInputs.modelCurrency})</label>
                 <input
                   type="number"
-                  value={waccInputs.marketValueDebt}
-                  onChange={(e) => setWaccInputs({...waccInputs, marketValueDebt: parseInt(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  value={debtStackInputs.cashFlow}
+                  onChange={(e) => setDebtStackInputs({...debtStackInputs, cashFlow: readInteger(e)})}
+                  className={getFieldClass('debtStackInputs.cashFlow')}
                 />
+                {renderFieldError('debtStackInputs.cashFlow')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Cost of Equity (%)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Floating Base Rate (%)</label>
                 <input
                   type="number"
-                  step="0.1"
-                  value={waccInputs.costOfEquity}
-                  onChange={(e) => setWaccInputs({...waccInputs, costOfEquity: parseFloat(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  step="0.05"
+                  value={debtStackInputs.baseRate}
+                  onChange={(e) => setDebtStackInputs({...debtStackInputs, baseRate: readNumber(e)})}
+                  className={getFieldClass('debtStackInputs.baseRate')}
                 />
+                {renderFieldError('debtStackInputs.baseRate')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Cost of Debt (%)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">EBITDA Growth (%/yr)</label>
                 <input
                   type="number"
-                  step="0.1"
-                  value={waccInputs.costOfDebt}
-                  onChange={(e) => setWaccInputs({...waccInputs, costOfDebt: parseFloat(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  step="0.5"
+                  value={debtStackInputs.ebitdaGrowth}
+                  onChange={(e) => setDebtStackInputs({...debtStackInputs, ebitdaGrowth: readNumber(e)})}
+                  className={getFieldClass('debtStackInputs.ebitdaGrowth')}
                 />
+                {renderFieldError('debtStackInputs.ebitdaGrowth')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Tax Rate (%)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Cash Flow Growth (%/yr)</label>
                 <input
                   type="number"
-                  step="0.1"
-                  value={waccInputs.taxRate}
-                  onChange={(e) => setWaccInputs({...waccInputs, taxRate: parseFloat(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  step="0.5"
+                  value={debtStackInputs.cashFlowGrowth}
+                  onChange={(e) => setDebtStackInputs({...debtStackInputs, cashFlowGrowth: readNumber(e)})}
+                  className={getFieldClass('debtStackInputs.cashFlowGrowth')}
                 />
+                {renderFieldError('debtStackInputs.cashFlowGrowth')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Beta</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Excess Cash Flow Sweep (%)</label>
                 <input
                   type="number"
-                  step="0.1"
-                  value={waccInputs.beta}
-                  onChange={(e) => setWaccInputs({...waccInputs, beta: parseFloat(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  step="5"
+                  value={debtStackInputs.sweepPercent}
+                  onChange={(e) => setDebtStackInputs({...debtStackInputs, sweepPercent: readNumber(e)})}
+                  className={getFieldClass('debtStackInputs.sweepPercent')}
+                />
+                {renderFieldError('debtStackInputs.sweepPercent')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Capex ({currencyInputs.modelCurrency})</label>
+                <input
+                  type="number"
+                  value={debtStackInputs.capex}
+                  onChange={(e) => setDebtStackInputs({...debtStackInputs, capex: readInteger(e)})}
+                  className={getFieldClass('debtStackInputs.capex')}
                 />
+                {renderFieldError('debtStackInputs.capex')}
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="px-2 py-2"></th>
+                    <th className="px-2 py-2 text-left text-sm font-medium text-gray-700">Tranche</th>
+                    <th className="px-2 py-2 text-left text-sm font-medium text-gray-700">Debt Type</th>
+                    <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Seniority</th>
+                    <th className="px-2 py-2 text-center text-sm font-medium text-gray-700">Secured</th>
+                    <th className="px-2 py-2 text-center text-sm font-medium text-gray-700">Revolver</th>
+                    <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Amount</th>
+                    <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Commitment</th>
+                    <th className="px-2 py-2 text-left text-sm font-medium text-gray-700">Currency</th>
+                    <th className="px-2 py-2 text-left text-sm font-medium text-gray-700">Rate Type</th>
+                    <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Rate (%) / Spread (bps)</th>
+                    <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">Maturity (Years)</th>
+                    <th className="px-2 py-2 text-right text-sm font-medium text-gray-700">OID / Fees (%)</th>
+                    <th className="px-2 py-2 text-left text-sm font-medium text-gray-700">Amortization</th>
+                    <th className="px-2 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {debtStackInputs.tranches.map((tranche, index) => (
+                    <tr key={tranche.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="px-2 py-2">
+                        <div className="flex flex-col">
+                          <button onClick={() => moveTranche(index, -1)} disabled={index === 0} className="text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                            <ChevronUp className="w-4 h-4" />
+                          </button>
+                          <button onClick={() => moveTranche(index, 1)} disabled={index === debtStackInputs.tranches.length - 1} className="text-gray-400 hover:text-gray-700 disabled:opacity-30">
+                            <ChevronDown className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                      <td className="px-2 py-2">
+                        <input
+                          type="text"
+                          value={tranche.name}
+                          onChange={(e) => updateTranche(index, 'name', e.target.value)}
+                          className="w-36 p-1 border border-gray-300 rounded text-sm"
+                        />
+                      </td>
+                      <td className="px-2 py-2">
+                        <select
+                          value={tranche.type}
+                          onChange={(e) => updateTranche(index, 'type', e.target.value)}
+                          className="p-1 border border-gray-300 rounded text-sm"
+                        >
+                          {DEBT_TYPES.map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                        {renderFieldError(`debtStackInputs.tranches.${index}.type`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        <input
+                          type="number"
+                          min="1"
+                          value={tranche.seniority}
+                          onChange={(e) => updateTranche(index, 'seniority', readInteger(e))}
+                          className={getFieldClass(`debtStackInputs.tranches.${index}.seniority`, 'w-16 p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`debtStackInputs.tranches.${index}.seniority`)}
+                      </td>
+                      <td className="px-2 py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={tranche.secured}
+                          onChange={(e) => updateTranche(index, 'secured', e.target.checked)}
+                          className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
+                        />
+                      </td>
+                      <td className="px-2 py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={tranche.isRevolver}
+                          onChange={(e) => updateTranche(index, 'isRevolver', e.target.checked)}
+                          className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
+                        />
+                        {renderFieldError(`debtStackInputs.tranches.${index}.isRevolver`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        <input
+                          type="number"
+                          value={tranche.amount}
+                          onChange={(e) => updateTranche(index, 'amount', readInteger(e))}
+                          className={getFieldClass(`debtStackInputs.tranches.${index}.amount`, 'w-32 p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`debtStackInputs.tranches.${index}.amount`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        <input
+                          type="number"
+                          value={tranche.commitment}
+                          disabled={!tranche.isRevolver}
+                          onChange={(e) => updateTranche(index, 'commitment', readInteger(e))}
+                          className={getFieldClass(`debtStackInputs.tranches.${index}.commitment`, 'w-32 p-1 border border-gray-300 rounded text-sm text-right disabled:bg-gray-100')}
+                        />
+                        {renderFieldError(`debtStackInputs.tranches.${index}.commitment`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        <select
+                          value={tranche.currency}
+                          onChange={(e) => updateTranche(index, 'currency', e.target.value)}
+                          className="p-1 border border-gray-300 rounded text-sm"
+                        >
+                          {CURRENCIES.map(currency => (
+                            <option key={currency} value={currency}>{currency}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-2 py-2">
+                        <select
+                          value={tranche.rateType}
+                          onChange={(e) => updateTranche(index, 'rateType', e.target.value)}
+                          className="p-1 border border-gray-300 rounded text-sm"
+                        >
+                          <option value="fixed">Fixed</option>
+                          <option value="floating">Floating</option>
+                        </select>
+                        {renderFieldError(`debtStackInputs.tranches.${index}.rateType`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        {tranche.rateType === 'floating' ? (
+                          <input
+                            type="number"
+                            step="25"
+                            value={tranche.spread}
+                            onChange={(e) => updateTranche(index, 'spread', readNumber(e))}
+                            className={getFieldClass(`debtStackInputs.tranches.${index}.spread`, 'w-24 p-1 border border-gray-300 rounded text-sm text-right')}
+                          />
+                        ) : (
+                          <input
+                            type="number"
+                            step="0.1"
+                            value={tranche.rate}
+                            onChange={(e) => updateTranche(index, 'rate', readNumber(e))}
+                            className={getFieldClass(`debtStackInputs.tranches.${index}.rate`, 'w-24 p-1 border border-gray-300 rounded text-sm text-right')}
+                          />
+                        )}
+                        {renderFieldError(`debtStackInputs.tranches.${index}.${tranche.rateType === 'floating' ? 'spread' : 'rate'}`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        <input
+                          type="number"
+                          value={tranche.maturity}
+                          onChange={(e) => updateTranche(index, 'maturity', readInteger(e))}
+                          className={getFieldClass(`debtStackInputs.tranches.${index}.maturity`, 'w-16 p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`debtStackInputs.tranches.${index}.maturity`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        <input
+                          type="number"
+                          step="0.25"
+                          value={tranche.oidPercent}
+                          onChange={(e) => updateTranche(index, 'oidPercent', readNumber(e))}
+                          className={getFieldClass(`debtStackInputs.tranches.${index}.oidPercent`, 'w-20 p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`debtStackInputs.tranches.${index}.oidPercent`)}
+                      </td>
+                      <td className="px-2 py-2">
+                        <div className="flex items-center space-x-1">
+                          <select
+                            value={tranche.amortizationType}
+                            onChange={(e) => updateTranche(index, 'amortizationType', e.target.value)}
+                            className="p-1 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="bullet">Bullet</option>
+                            <option value="straightLine">Straight-Line</option>
+                            <option value="percent">% per Year</option>
+                          </select>
+                          {tranche.amortizationType === 'percent' && (
+                            <input
+                              type="number"
+                              step="0.5"
+                              value={tranche.amortizationRate}
+                              onChange={(e) => updateTranche(index, 'amortizationRate', readNumber(e))}
+                              className={getFieldClass(`debtStackInputs.tranches.${index}.amortizationRate`, 'w-16 p-1 border border-gray-300 rounded text-sm text-right')}
+                            />
+                          )}
+                        </div>
+                        {renderFieldError(`debtStackInputs.tranches.${index}.amortizationType`)}
+                        {renderFieldError(`debtStackInputs.tranches.${index}.amortizationRate`)}
+                      </td>
+                      <td className="px-2 py-2 text-right">
+                        <button onClick={() => removeTranche(index)} className="text-gray-400 hover:text-red-600">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {hasInvalidInputs('debt') ? renderInvalidState('debt', 'mt-6 p-4') : (
+              <>
+                <h3 className="text-lg font-medium mt-6 mb-2">Tranche Summary</h3>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Debt Type</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Amount ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">All-in Rate (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Yield incl. OID (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Maturity (Years)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Weight (%)</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Annual Interest ({moneyUnit})</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Annual Amortization ({moneyUnit})</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {debtResults.debtLevels.map((debt, index) => (
+                        <tr key={debt.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{debt.name} <span className="text-gray-500">({debt.type})</span></td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(debt.amount, 0)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(debt.allInRate, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(debt.yieldToMaturity, 2)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{debt.maturity}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(debt.weight, 1)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(debt.annualInterest, 1)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(debt.annualAmortization, 1)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+
+          {hasInvalidInputs('debt') ? renderInvalidState('debt') : (
+            <>
+              {/* Debt Metrics */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Key Debt Metrics</h2>
+                <div className="space-y-4">
+                  <div className="bg-blue-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-blue-600">{formatMultiple(debtResults.totalLeverageRatio, 2)}</h3>
+                    <p className="text-gray-600">Total Leverage Ratio</p>
+                  </div>
+                  <div className="grid grid-cols-1 gap-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Total Debt</p>
+                      <p className="text-lg font-semibold">{formatMoney(debtResults.totalDebt, 0)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Weighted Avg Cost</p>
+                      <p className="text-lg font-semibold">{formatPercent(debtResults.weightedAverageCost, 2)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Weighted Avg Yield incl. OID</p>
+                      <p className="text-lg font-semibold">{formatPercent(debtResults.weightedAverageYield, 2)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Interest Coverage</p>
+                      <p className="text-lg font-semibold">{formatMultiple(debtResults.interestCoverage, 2)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Upfront OID / Fees</p>
+                      <p className="text-lg font-semibold">{formatMoney(debtResults.totalUpfrontFees, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Annual Debt Service</p>
+                      <p className="text-lg font-semibold">{formatMoney(debtResults.annualDebtService, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">FCF / Debt Service</p>
+                      <p className="text-lg font-semibold">{formatMultiple(debtResults.debtServiceCoverage, 2)}</p>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              {/* Outstanding Debt Over Time */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Outstanding Debt by Tranche</h2>
+                <ResponsiveContainer width="100%" height={300}>
+                  {renderDebtScheduleChart()}
+                </ResponsiveContainer>
+              </div>
+
+              {/* Debt Schedule */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Debt Schedule ({moneyUnit})</h2>
+                {debtSchedule.totalShortfall > 0 && (
+                  <div className="bg-red-50 text-red-700 text-sm p-3 rounded mb-4">
+                    Cash flow and revolver capacity fall short of scheduled debt service by {formatMoney(debtSchedule.totalShortfall, 1)} over the schedule; maturities will need to be refinanced.
+                  </div>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700"></th>
+                        {debtSchedule.years.map(row => (
+                          <th key={row.year} className="px-4 py-2 text-right text-sm font-medium text-gray-700">Y{row.year}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        { label: 'EBITDA', value: row => formatAmount(row.ebitda, 1) },
+                        { label: 'Cash Flow Available', value: row => formatAmount(row.cashFlow, 1) },
+                        { label: 'Interest', value: row => formatAmount(row.interest, 1) },
+                        { label: 'Scheduled Amortization', value: row => formatAmount(row.scheduledAmortization, 1) },
+                        { label: 'Revolver Draw', value: row => formatAmount(row.revolverDraw, 1) },
+                        { label: 'Revolver Repayment', value: row => formatAmount(row.revolverRepayment, 1) },
+                        { label: 'Cash Sweep', value: row => formatAmount(row.sweep, 1) },
+                        { label: 'Funding Shortfall', value: row => formatAmount(row.shortfall, 1) },
+                        ...debtResults.debtLevels.map(debt => ({
+                          label: `${debt.name} Balance`,
+                          value: row => formatAmount(row.balances[debt.id], 1)
+                        })),
+                        { label: 'Total Debt', value: row => formatAmount(row.totalDebt, 1), bold: true },
+                        { label: 'Cash Balance', value: row => formatAmount(row.cashBalance, 1) },
+                        { label: 'Total Leverage (x)', value: row => row.leverage.toFixed(2), bold: true },
+                        { label: 'Interest Coverage (x)', value: row => (row.interestCoverage !== null ? row.interestCoverage.toFixed(2) : '-'), bold: true }
+                      ].map((line, index) => (
+                        <tr key={line.label} className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} ${line.bold ? 'font-semibold' : ''}`}>
+                          <td className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap">{line.label}</td>
+                          {debtSchedule.years.map(row => (
+                            <td key={row.year} className="px-4 py-2 text-sm text-gray-900 text-right">{line.value(row)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* Covenant Tests */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Covenant Tests</h2>
+            {hasInvalidInputs('debt') ? renderInvalidState('debt', 'mb-6 p-4') : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <div className={`p-4 rounded-lg ${covenantResults.firstBreachYear === null ? 'bg-green-50' : 'bg-red-50'}`}>
+                  <h3 className={`text-2xl font-bold ${covenantResults.firstBreachYear === null ? 'text-green-600' : 'text-red-600'}`}>
+                    {covenantResults.firstBreachYear === null ? 'In Compliance' : `Breach in Y${covenantResults.firstBreachYear}`}
+                  </h3>
+                  <p className="text-gray-600">Covenant Status</p>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <h3 className="text-2xl font-bold text-gray-800">
+                    {covenantResults.minimumCushion !== null ? `${covenantResults.minimumCushion.toFixed(1)}%` : '-'}
+                  </h3>
+                  <p className="text-gray-600">Tightest EBITDA Cushion</p>
+                </div>
               </div>
+            )}
+            <div className="overflow-x-auto mb-6">
+              <table className="min-w-full bg-white">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="px-4 py-2 text-center text-sm font-medium text-gray-700">Test</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Covenant</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Y1 Level (x)</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Step per Year (x)</th>
+                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Final Level (x)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {debtStackInputs.covenants.map((covenant, index) => (
+                    <tr key={covenant.metric} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="px-4 py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={covenant.enabled}
+                          onChange={(e) => updateCovenant(index, 'enabled', e.target.checked)}
+                          className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
+                        />
+                        {renderFieldError(`debtStackInputs.covenants.${index}.enabled`)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        {COVENANT_DEFINITIONS[covenant.metric] ? COVENANT_DEFINITIONS[covenant.metric].label : String(covenant.metric)}
+                        {renderFieldError(`debtStackInputs.covenants.${index}.metric`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.25"
+                          value={covenant.initial}
+                          onChange={(e) => updateCovenant(index, 'initial', readNumber(e))}
+                          className={getFieldClass(`debtStackInputs.covenants.${index}.initial`, 'w-24 p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`debtStackInputs.covenants.${index}.initial`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.05"
+                          value={covenant.step}
+                          onChange={(e) => updateCovenant(index, 'step', readNumber(e))}
+                          className={getFieldClass(`debtStackInputs.covenants.${index}.step`, 'w-24 p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`debtStackInputs.covenants.${index}.step`)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.25"
+                          value={covenant.limit}
+                          onChange={(e) => updateCovenant(index, 'limit', readNumber(e))}
+                          className={getFieldClass(`debtStackInputs.covenants.${index}.limit`, 'w-24 p-1 border border-gray-300 rounded text-sm text-right')}
+                        />
+                        {renderFieldError(`debtStackInputs.covenants.${index}.limit`)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
+            {hasInvalidInputs('debt') ? renderInvalidState('debt', 'p-4') : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full bg-white">
+                  <thead>
+                    <tr className="bg-gray-50">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700"></th>
+                      {debtSchedule.years.filter(row => row.year > 0).map(row => (
+                        <th key={row.year} className="px-4 py-2 text-right text-sm font-medium text-gray-700">Y{row.year}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {covenantResults.tests.map(test => (
+                      <React.Fragment key={test.metric}>
+                        <tr className="bg-gray-50 font-semibold">
+                          <td className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap" colSpan={test.results.length + 1}>{test.label}</td>
+                        </tr>
+                        <tr>
+                          <td className="px-4 py-2 text-sm text-gray-600">Required (x)</td>
+                          {test.results.map(result => (
+                            <td key={result.year} className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(result.required, 2)}</td>
+                          ))}
+                        </tr>
+                        <tr>
+                          <td className="px-4 py-2 text-sm text-gray-600">Actual (x)</td>
+                          {test.results.map(result => (
+                            <td key={result.year} className={`px-4 py-2 text-sm text-right font-semibold ${result.pass ? 'text-green-600' : 'text-red-600'}`}>
+                              {Number.isFinite(result.actual) ? result.actual.toFixed(2) : 'n/a'} {result.pass ? 'Pass' : 'Fail'}
+                            </td>
+                          ))}
+                        </tr>
+                        <tr>
+                          <td className="px-4 py-2 text-sm text-gray-600">Headroom (x)</td>
+                          {test.results.map(result => (
+                            <td key={result.year} className="px-4 py-2 text-sm text-gray-900 text-right">{Number.isFinite(result.headroom) ? result.headroom.toFixed(2) : 'n/a'}</td>
+                          ))}
+                        </tr>
+                        <tr>
+                          <td className="px-4 py-2 text-sm text-gray-600">EBITDA Cushion (%)</td>
+                          {test.results.map(result => (
+                            <td key={result.year} className="px-4 py-2 text-sm text-gray-900 text-right">{formatNumber(result.ebitdaCushion, 1)}</td>
+                          ))}
+                        </tr>
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
           </div>
+        </div>
+      )}
 
-          {/* WACC Results */}
+      {/* DCF Valuation Tab */}
+      {activeTab === 'dcf' && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {renderWarnings(['dcfInputs'])}
+
+          {/* DCF Inputs */}
           <div className="bg-white rounded-lg p-6 shadow-lg">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">WACC Results</h2>
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">DCF Assumptions</h2>
             <div className="space-y-4">
-              <div className="bg-blue-50 p-4 rounded-lg">
-                <h3 className="text-2xl font-bold text-blue-600">{waccResults.wacc}%</h3>
-                <p className="text-gray-600">Weighted Average Cost of Capital</p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Base Revenue ({currencyInputs.modelCurrency})</label>
+                <input
+                  type="number"
+                  value={dcfInputs.baseRevenue}
+                  onChange={(e) => setDcfInputs({...dcfInputs, baseRevenue: readInteger(e)})}
+                  className={getFieldClass('dcfInputs.baseRevenue')}
+                />
+                {renderFieldError('dcfInputs.baseRevenue')}
+              </div>
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-gray-700">Revenue Growth by Year (%)</label>
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={() => setDcfInputs({...dcfInputs, revenueGrowth: [...dcfInputs.revenueGrowth, dcfInputs.revenueGrowth[dcfInputs.revenueGrowth.length - 1] || 0]})}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <Plus className="w-4 h-4 mr-1" />
+                      Add Year
+                    </button>
+                    <button
+                      onClick={() => setDcfInputs({...dcfInputs, revenueGrowth: dcfInputs.revenueGrowth.slice(0, -1)})}
+                      disabled={dcfInputs.revenueGrowth.length <= 1}
+                      className="flex items-center text-sm text-gray-500 hover:text-red-600 disabled:opacity-30"
+                    >
+                      <Trash2 className="w-4 h-4 mr-1" />
+                      Remove Year
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-5 gap-2">
+                  {dcfInputs.revenueGrowth.map((growth, index) => (
+                    <div key={index}>
+                      <span className="block text-xs text-gray-500 mb-1">Y{index + 1}</span>
+                      <input
+                        type="number"
+                        step="0.5"
+                        value={growth}
+                        onChange={(e) => updateRevenueGrowth(index, readNumber(e))}
+                        className={getFieldClass(`dcfInputs.revenueGrowth.${index}`)}
+                      />
+                      {renderFieldError(`dcfInputs.revenueGrowth.${index}`)}
+                    </div>
+                  ))}
+                </div>
               </div>
               <div className="grid grid-cols-2 gap-4">
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Equity Weight</p>
-                  <p className="text-lg font-semibold">{waccResults.equityWeight}%</p>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">EBITDA Margin (%)</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={dcfInputs.ebitdaMargin}
+                    onChange={(e) => setDcfInputs({...dcfInputs, ebitdaMargin: readNumber(e)})}
+                    className={getFieldClass('dcfInputs.ebitdaMargin')}
+                  />
+                  {renderFieldError('dcfInputs.ebitdaMargin')}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">D&amp;A (% of Revenue)</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={dcfInputs.daPercent}
+                    onChange={(e) => setDcfInputs({...dcfInputs, daPercent: readNumber(e)})}
+                    className={getFieldClass('dcfInputs.daPercent')}
+                  />
+                  {renderFieldError('dcfInputs.daPercent')}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Capex (% of Revenue)</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={dcfInputs.capexPercent}
+                    onChange={(e) => setDcfInputs({...dcfInputs, capexPercent: readNumber(e)})}
+                    className={getFieldClass('dcfInputs.capexPercent')}
+                  />
+                  {renderFieldError('dcfInputs.capexPercent')}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">NWC (% of Incremental Revenue)</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={dcfInputs.nwcPercent}
+                    onChange={(e) => setDcfInputs({...dcfInputs, nwcPercent: readNumber(e)})}
+                    className={getFieldClass('dcfInputs.nwcPercent')}
+                  />
+                  {renderFieldError('dcfInputs.nwcPercent')}
                 </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Debt Weight</p>
-                  <p className="text-lg font-semibold">{waccResults.debtWeight}%</p>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Tax Rate (%)</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={dcfInputs.taxRate}
+                    onChange={(e) => setDcfInputs({...dcfInputs, taxRate: readNumber(e)})}
+                    className={getFieldClass('dcfInputs.taxRate')}
+                  />
+                  {renderFieldError('dcfInputs.taxRate')}
                 </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">CAPM Cost of Equity</p>
-                  <p className="text-lg font-semibold">{waccResults.capmCostOfEquity}%</p>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Cash ({currencyInputs.modelCurrency})</label>
+                  <input
+                    type="number"
+                    value={dcfInputs.cash}
+                    onChange={(e) => setDcfInputs({...dcfInputs, cash: readInteger(e)})}
+                    className={getFieldClass('dcfInputs.cash')}
+                  />
+                  {renderFieldError('dcfInputs.cash')}
                 </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">After-Tax Cost of Debt</p>
-                  <p className="text-lg font-semibold">{waccResults.afterTaxCostOfDebt}%</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Terminal Value Method</label>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                  <button
+                    onClick={() => setDcfInputs({...dcfInputs, terminalMethod: 'gordon'})}
+                    className={`flex-1 px-3 py-2 text-sm ${dcfInputs.terminalMethod === 'gordon' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+                  >
+                    Gordon Growth
+                  </button>
+                  <button
+                    onClick={() => setDcfInputs({...dcfInputs, terminalMethod: 'exitMultiple'})}
+                    className={`flex-1 px-3 py-2 text-sm ${dcfInputs.terminalMethod === 'exitMultiple' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+                  >
+                    Exit Multiple
+                  </button>
                 </div>
+                {renderFieldError('dcfInputs.terminalMethod')}
               </div>
+              {dcfInputs.terminalMethod === 'gordon' ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Terminal Growth (%)</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={dcfInputs.terminalGrowth}
+                    onChange={(e) => setDcfInputs({...dcfInputs, terminalGrowth: readNumber(e)})}
+                    className={getFieldClass('dcfInputs.terminalGrowth')}
+                  />
+                  {renderFieldError('dcfInputs.terminalGrowth')}
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Exit Multiple (x EBITDA)</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    value={dcfInputs.exitMultiple}
+                    onChange={(e) => setDcfInputs({...dcfInputs, exitMultiple: readNumber(e)})}
+                    className={getFieldClass('dcfInputs.exitMultiple')}
+                  />
+                  {renderFieldError('dcfInputs.exitMultiple')}
+                </div>
+              )}
             </div>
           </div>
 
-          {/* WACC Sensitivity Chart */}
-          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">WACC Sensitivity Analysis</h2>
-            <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={generateSensitivityData()}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="scenario" />
-                <YAxis yAxisId="left" label={{ value: 'WACC (%)', angle: -90, position: 'insideLeft' }} />
-                <YAxis yAxisId="right" orientation="right" label={{ value: 'NPV Index', angle: 90, position: 'insideRight' }} />
-                <Tooltip />
-                <Legend />
-                <Line yAxisId="left" type="monotone" dataKey="wacc" stroke="#8884d8" strokeWidth={2} />
-                <Line yAxisId="right" type="monotone" dataKey="npv" stroke="#82ca9d" strokeWidth={2} />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+          {hasInvalidInputs('dcf') ? renderInvalidState('dcf') : (
+            <>
+              {/* DCF Results */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Valuation</h2>
+                <div className="space-y-4">
+                  <div className="bg-blue-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-blue-600">
+                      {formatMoney(dcfResults.enterpriseValue, 0)}
+                    </h3>
+                    <p className="text-gray-600">Enterprise Value at {formatPercent(dcfResults.wacc, 2)} WACC</p>
+                  </div>
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-700 mb-2">Equity Bridge</h3>
+                    <table className="min-w-full bg-white">
+                      <tbody>
+                        <tr className="bg-white">
+                          <td className="px-4 py-2 text-sm text-gray-900">PV of Projected Cash Flows</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatMoney(dcfResults.pvCashFlows, 1)}</td>
+                        </tr>
+                        <tr className="bg-gray-50">
+                          <td className="px-4 py-2 text-sm text-gray-900">PV of Terminal Value</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                            {formatMoney(dcfResults.pvTerminalValue, 1)}
+                          </td>
+                        </tr>
+                        <tr className="bg-white font-semibold">
+                          <td className="px-4 py-2 text-sm text-gray-900">Enterprise Value</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                            {formatMoney(dcfResults.enterpriseValue, 1)}
+                          </td>
+                        </tr>
+                        <tr className="bg-gray-50">
+                          <td className="px-4 py-2 text-sm text-gray-900">Less: Total Debt (Debt Stack)</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">({formatMoney(dcfResults.totalDebt, 1)})</td>
+                        </tr>
+                        <tr className="bg-white">
+                          <td className="px-4 py-2 text-sm text-gray-900">Plus: Cash</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatMoney(dcfResults.cash, 1)}</td>
+                        </tr>
+                        <tr className="bg-gray-50 font-semibold">
+                          <td className="px-4 py-2 text-sm text-gray-900">Equity Value</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">
+                            {formatMoney(dcfResults.equityValue, 1)}
+                          </td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Value per Share</p>
+                      <p className="text-lg font-semibold">
+                        {formatPrice(dcfResults.valuePerShare)}
+                      </p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Terminal Value % of EV</p>
+                      <p className="text-lg font-semibold">
+                        {formatPercent(dcfResults.terminalValueShare, 1)}
+                      </p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Implied Exit Multiple (Gordon)</p>
+                      <p className="text-lg font-semibold">
+                        {formatMultiple(dcfResults.impliedExitMultiple, 1)}
+                      </p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Implied Growth (Exit Multiple)</p>
+                      <p className="text-lg font-semibold">
+                        {formatPercent(dcfResults.impliedTerminalGrowth, 2)}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              {/* Projection Table */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Unlevered Free Cash Flow ({moneyUnit})</h2>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700"></th>
+                        {dcfResults.projections.map(row => (
+                          <th key={row.year} className="px-4 py-2 text-right text-sm font-medium text-gray-700">Y{row.year}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        { label: 'Revenue', key: 'revenue' },
+                        { label: 'EBITDA', key: 'ebitda' },
+                        { label: 'Less: D&A', key: 'depreciation' },
+                        { label: 'EBIT', key: 'ebit' },
+                        { label: 'Less: Taxes', key: 'taxes' },
+                        { label: 'Plus: D&A', key: 'depreciation' },
+                        { label: 'Less: Capex', key: 'capex' },
+                        { label: 'Less: Change in NWC', key: 'changeInNwc' },
+                        { label: 'Unlevered FCF', key: 'unleveredFcf', bold: true },
+                        { label: 'PV of Unlevered FCF', key: 'presentValue', bold: true }
+                      ].map((line, index) => (
+                        <tr key={line.label} className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} ${line.bold ? 'font-semibold' : ''}`}>
+                          <td className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap">{line.label}</td>
+                          {dcfResults.projections.map(row => (
+                            <td key={row.year} className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(row[line.key], 1)}</td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* Cash Flow Chart */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Projected Cash Flows</h2>
+                <ResponsiveContainer width="100%" height={300}>
+                  {renderCashFlowChart()}
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
         </div>
       )}
 
-      {/* Dilution Analysis Tab */}
-      {activeTab === 'dilution' && (
+      {/* LBO Returns Tab */}
+      {activeTab === 'lbo' && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          {/* Dilution Inputs */}
+          {renderWarnings(['lboInputs'])}
+
+          {hasInvalidInputs('lbo') ? renderInvalidState('lbo', 'bg-white rounded-lg p-6 shadow-lg lg:col-span-2') : (
+            <>
+              {/* Entry / Exit IRR Grid */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">IRR by Entry and Exit Multiple</h2>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Entry \ Exit</th>
+                        {lboGrid.exitMultiples.map(multiple => (
+                          <th key={multiple} className="px-4 py-2 text-right text-sm font-medium text-gray-700">{formatMultiple(multiple, 1)}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lboGrid.rows.map((row, rowIndex) => (
+                        <tr key={row.entryMultiple} className={rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm font-medium text-gray-700">{formatMultiple(row.entryMultiple, 1)}</td>
+                          {row.irrs.map((irr, columnIndex) => (
+                            <td
+                              key={columnIndex}
+                              className={`px-4 py-2 text-sm text-right ${rowIndex === 2 && columnIndex === 2 ? 'font-bold text-blue-600' : irr !== null && irr < 15 ? 'text-red-600' : 'text-gray-900'}`}
+                            >
+                              {formatPercent(irr, 1)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+
+          {/* LBO Inputs */}
           <div className="bg-white rounded-lg p-6 shadow-lg">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">Fundraising Parameters</h2>
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Transaction Assumptions</h2>
             <div className="space-y-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Current Shares Outstanding</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Entry Multiple (x EBITDA)</label>
                 <input
                   type="number"
-                  value={dilutionInputs.currentShares}
-                  onChange={(e) => setDilutionInputs({...dilutionInputs, currentShares: parseInt(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  step="0.5"
+                  value={lboInputs.entryMultiple}
+                  onChange={(e) => setLboInputs({...lboInputs, entryMultiple: readNumber(e)})}
+                  className={getFieldClass('lboInputs.entryMultiple')}
                 />
+                {renderFieldError('lboInputs.entryMultiple')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Pre-Money Valuation ($)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Exit Multiple (x EBITDA)</label>
                 <input
                   type="number"
-                  value={dilutionInputs.preMoneyValuation}
-                  onChange={(e) => setDilutionInputs({...dilutionInputs, preMoneyValuation: parseInt(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  step="0.5"
+                  value={lboInputs.exitMultiple}
+                  onChange={(e) => setLboInputs({...lboInputs, exitMultiple: readNumber(e)})}
+                  className={getFieldClass('lboInputs.exitMultiple')}
                 />
+                {renderFieldError('lboInputs.exitMultiple')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Fundraise Amount ($)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Hold Period (Years)</label>
                 <input
                   type="number"
-                  value={dilutionInputs.fundraiseAmount}
-                  onChange={(e) => setDilutionInputs({...dilutionInputs, fundraiseAmount: parseInt(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
+                  min="1"
+                  max={debtSchedule.years.length - 1}
+                  value={lboInputs.holdPeriod}
+                  onChange={(e) => setLboInputs({...lboInputs, holdPeriod: readInteger(e)})}
+                  className={getFieldClass('lboInputs.holdPeriod')}
                 />
+                {renderFieldError('lboInputs.holdPeriod')}
               </div>
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Liquidation Preference (x)</label>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Transaction Fees (% of EV)</label>
                 <input
                   type="number"
-                  step="0.1"
-                  value={dilutionInputs.liquidationPreference}
-                  onChange={(e) => setDilutionInputs({...dilutionInputs, liquidationPreference: parseFloat(e.target.value)})}
-                  className="w-full p-2 border border-gray-300 rounded-lg"
-                />
-              </div>
-              <div className="flex items-center space-x-2">
-                <input
-                  type="checkbox"
-                  id="participation"
-                  checked={dilutionInputs.participationRights}
-                  onChange={(e) => setDilutionInputs({...dilutionInputs, participationRights: e.target.checked})}
-                  className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
-                />
-                <label htmlFor="participation" className="text-sm font-medium text-gray-700">Participation Rights</label>
-              </div>
-              <div className="flex items-center space-x-2">
-                <input
-                  type="checkbox"
-                  id="prorata"
-                  checked={dilutionInputs.proRataRights}
-                  onChange={(e) => setDilutionInputs({...dilutionInputs, proRataRights: e.target.checked})}
-                  className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded"
+                  step="0.25"
+                  value={lboInputs.transactionFeePercent}
+                  onChange={(e) => setLboInputs({...lboInputs, transactionFeePercent: readNumber(e)})}
+                  className={getFieldClass('lboInputs.transactionFeePercent')}
                 />
-                <label htmlFor="prorata" className="text-sm font-medium text-gray-700">Pro Rata Rights</label>
+                {renderFieldError('lboInputs.transactionFeePercent')}
               </div>
+              <p className="text-sm text-gray-500">
+                Entry EBITDA of {formatMoney(modelInputs.debtStackInputs.ebitda, 0)}, growth of {debtStackInputs.ebitdaGrowth}% per year and debt paydown are taken from the Debt Stack tab.
+              </p>
             </div>
           </div>
 
-          {/* Dilution Results */}
-          <div className="bg-white rounded-lg p-6 shadow-lg">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">Dilution Impact</h2>
-            <div className="space-y-4">
-              <div className="bg-red-50 p-4 rounded-lg">
-                <h3 className="text-2xl font-bold text-red-600">{dilutionResults.dilutionPercent}%</h3>
-                <p className="text-gray-600">Ownership Dilution</p>
-              </div>
-              <div className="grid grid-cols-2 gap-4">
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Price per Share</p>
-                  <p className="text-lg font-semibold">${dilutionResults.pricePerShare}</p>
-                </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">New Shares Issued</p>
-                  <p className="text-lg font-semibold">{dilutionResults.newShares.toLocaleString()}</p>
-                </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Post-Money Valuation</p>
-                  <p className="text-lg font-semibold">${(dilutionResults.postMoneyValuation / 1000000).toFixed(0)}M</p>
-                </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Post-Raise Ownership</p>
-                  <p className="text-lg font-semibold">{dilutionResults.ownershipPost}%</p>
+          {hasInvalidInputs('lbo') ? renderInvalidState('lbo') : (
+            <>
+              {/* Returns */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Sponsor Returns</h2>
+                <div className="space-y-4">
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-blue-50 p-4 rounded-lg">
+                      <h3 className="text-2xl font-bold text-blue-600">{formatPercent(lboResults.irr, 1)}</h3>
+                      <p className="text-gray-600">IRR</p>
+                    </div>
+                    <div className="bg-blue-50 p-4 rounded-lg">
+                      <h3 className="text-2xl font-bold text-blue-600">{formatMultiple(lboResults.moic, 2)}</h3>
+                      <p className="text-gray-600">MOIC</p>
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Sponsor Equity</p>
+                      <p className="text-lg font-semibold">{formatMoney(lboResults.sponsorEquity, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Entry Leverage</p>
+                      <p className="text-lg font-semibold">{formatMultiple(lboResults.entryLeverage, 2)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Exit EBITDA (Y{lboResults.holdPeriod})</p>
+                      <p className="text-lg font-semibold">{formatMoney(lboResults.exitEbitda, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Exit Enterprise Value</p>
+                      <p className="text-lg font-semibold">{formatMoney(lboResults.exitEnterpriseValue, 0)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Net Debt at Exit</p>
+                      <p className="text-lg font-semibold">{formatMoney(lboResults.exitNetDebt, 1)}</p>
+                    </div>
+                    <div className="bg-gray-50 p-3 rounded">
+                      <p className="text-sm text-gray-600">Exit Equity Value</p>
+                      <p className="text-lg font-semibold">{formatMoney(lboResults.exitEquity, 1)}</p>
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
-          </div>
 
-          {/* Dilution Visualization */}
-          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">Ownership Structure</h2>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-              <div>
-                <h3 className="text-lg font-medium mb-2">Pre-Money</h3>
-                <ResponsiveContainer width="100%" height={200}>
-                  <PieChart>
-                    <Pie
-                      data={[{name: 'Existing Shareholders', value: 100}]}
-                      cx="50%"
-                      cy="50%"
-                      outerRadius={80}
-                      fill="#8884d8"
-                      dataKey="value"
-                      label={(entry) => `${entry.name}: ${entry.value}%`}
-                    />
-                  </PieChart>
-                </ResponsiveContainer>
-              </div>
-              <div>
-                <h3 className="text-lg font-medium mb-2">Post-Money</h3>
-                <ResponsiveContainer width="100%" height={200}>
-                  <PieChart>
-                    <Pie
-                      data={[
-                        {name: 'Existing Shareholders', value: parseFloat(dilutionResults.ownershipPost)},
-                        {name: 'New Investors', value: parseFloat(dilutionResults.dilutionPercent)}
-                      ]}
-                      cx="50%"
-                      cy="50%"
-                      outerRadius={80}
-                      fill="#8884d8"
-                      dataKey="value"
-                    >
-                      {[{}, {}].map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+              {/* Sources & Uses */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Sources &amp; Uses ({moneyUnit})</h2>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Sources</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">{moneyUnit}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lboResults.sources.map((source, index) => (
+                        <tr key={source.name} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{source.name}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(source.amount, 1)}</td>
+                        </tr>
                       ))}
-                    </Pie>
-                    <Tooltip />
-                    <Legend />
-                  </PieChart>
+                      <tr className="border-t border-gray-200 font-semibold">
+                        <td className="px-4 py-2 text-sm text-gray-900">Total</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(lboResults.totalUses, 1)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Uses</th>
+                        <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">{moneyUnit}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lboResults.uses.map((use, index) => (
+                        <tr key={use.name} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{use.name}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(use.amount, 1)}</td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-gray-200 font-semibold">
+                        <td className="px-4 py-2 text-sm text-gray-900">Total</td>
+                        <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatAmount(lboResults.totalUses, 1)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+
+              {/* Returns Attribution */}
+              <div className="bg-white rounded-lg p-6 shadow-lg">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">Returns Attribution</h2>
+                <ResponsiveContainer width="100%" height={250}>
+                  {renderAttributionChart()}
                 </ResponsiveContainer>
+                <table className="min-w-full bg-white mt-4">
+                  <tbody>
+                    {lboResults.attribution.map((entry, index) => {
+                      const totalGain = lboResults.exitEquity - lboResults.sponsorEquity;
+                      return (
+                        <tr key={entry.name} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">{entry.name}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{formatMoney(entry.value, 1)}</td>
+                          <td className="px-4 py-2 text-sm text-gray-900 text-right">{totalGain !== 0 ? `${((entry.value / totalGain) * 100).toFixed(0)}%` : '-'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
               </div>
-            </div>
-          </div>
+            </>
+          )}
         </div>
       )}
 
-      {/* Debt Stack Tab */}
-      {activeTab === 'debt' && (
+      {/* Simulation Tab */}
+      {activeTab === 'simulation' && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-          {/* Debt Stack Configuration */}
+          {/* Input Distributions */}
           <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">Debt Stack Configuration</h2>
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Input Distributions</h2>
             <div className="overflow-x-auto">
               <table className="min-w-full bg-white">
                 <thead>
                   <tr className="bg-gray-50">
-                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Debt Type</th>
-                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Amount ($M)</th>
-                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Rate (%)</th>
-                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Maturity (Years)</th>
-                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Weight (%)</th>
-                    <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Annual Interest ($M)</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Input</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Distribution</th>
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Parameters</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {debtResults.debtLevels.map((debt, index) => (
-                    <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                      <td className="px-4 py-2 text-sm text-gray-900">{debt.name}</td>
-                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{(debt.amount / 1000000).toFixed(0)}</td>
-                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{debt.rate.toFixed(1)}</td>
-                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{debt.maturity}</td>
-                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{debt.weight}</td>
-                      <td className="px-4 py-2 text-sm text-gray-900 text-right">{(debt.annualInterest / 1000000).toFixed(1)}</td>
-                    </tr>
-                  ))}
+                  {Object.keys(SIMULATION_VARIABLES).map((key, index) => {
+                    const variable = simulationInputs.variables[key];
+                    const fields = {
+                      fixed: [],
+                      normal: [['mean', 'Mean'], ['stdDev', 'Std Dev']],
+                      triangular: [['min', 'Min'], ['mode', 'Mode'], ['max', 'Max']],
+                      uniform: [['min', 'Min'], ['max', 'Max']]
+                    }[variable.type];
+                    return (
+                      <tr key={key} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="px-4 py-2 text-sm text-gray-900">{SIMULATION_VARIABLES[key].label}</td>
+                        <td className="px-4 py-2">
+                          <select
+                            value={variable.type}
+                            onChange={(e) => updateSimulationVariable(key, 'type', e.target.value)}
+                            className="p-1 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="fixed">Fixed (Base Case)</option>
+                            <option value="normal">Normal</option>
+                            <option value="triangular">Triangular</option>
+                            <option value="uniform">Uniform</option>
+                          </select>
+                          {renderFieldError(`simulationInputs.variables.${key}.type`)}
+                        </td>
+                        <td className="px-4 py-2">
+                          <div className="flex space-x-3">
+                            {fields.map(([field, label]) => (
+                              <label key={field} className="flex items-center space-x-1 text-sm text-gray-600">
+                                <span>{label}</span>
+                                <input
+                                  type="number"
+                                  step={SIMULATION_VARIABLES[key].step}
+                                  value={variable[field]}
+                                  onChange={(e) => updateSimulationVariable(key, field, readNumber(e))}
+                                  className={getFieldClass(`simulationInputs.variables.${key}.${field}`, 'w-32 p-1 border border-gray-300 rounded text-sm text-right')}
+                                />
+                                {renderFieldError(`simulationInputs.variables.${key}.${field}`)}
+                              </label>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-6 items-end">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Trials</label>
+                <input
+                  type="number"
+                  step="1000"
+                  value={simulationInputs.trials}
+                  onChange={(e) => setSimulationInputs({...simulationInputs, trials: readInteger(e)})}
+                  className={getFieldClass('simulationInputs.trials')}
+                />
+                {renderFieldError('simulationInputs.trials')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Random Seed</label>
+                <input
+                  type="number"
+                  value={simulationInputs.seed}
+                  onChange={(e) => setSimulationInputs({...simulationInputs, seed: readInteger(e)})}
+                  className={getFieldClass('simulationInputs.seed')}
+                />
+                {renderFieldError('simulationInputs.seed')}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Target IRR (%)</label>
+                <input
+                  type="number"
+                  step="1"
+                  value={simulationInputs.targetIrr}
+                  onChange={(e) => setSimulationInputs({...simulationInputs, targetIrr: readNumber(e)})}
+                  className={getFieldClass('simulationInputs.targetIrr')}
+                />
+                {renderFieldError('simulationInputs.targetIrr')}
+              </div>
+              <button
+                onClick={startSimulation}
+                disabled={simulationState.status === 'running' || hasInvalidInputs('simulation')}
+                className="px-4 py-2 font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {simulationState.status === 'running' ? `Running… ${(simulationState.progress * 100).toFixed(0)}%` : 'Run Simulation'}
+              </button>
+            </div>
           </div>
 
-          {/* Debt Metrics */}
-          <div className="bg-white rounded-lg p-6 shadow-lg">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">Key Debt Metrics</h2>
-            <div className="space-y-4">
-              <div className="bg-blue-50 p-4 rounded-lg">
-                <h3 className="text-2xl font-bold text-blue-600">{debtResults.totalLeverageRatio}x</h3>
-                <p className="text-gray-600">Total Leverage Ratio</p>
-              </div>
-              <div className="grid grid-cols-1 gap-4">
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Total Debt</p>
-                  <p className="text-lg font-semibold">${(debtResults.totalDebt / 1000000).toFixed(0)}M</p>
+          {hasInvalidInputs('simulation') && renderInvalidState('simulation', 'bg-white rounded-lg p-6 shadow-lg lg:col-span-2')}
+
+          {simulationState.results && !hasInvalidInputs('simulation') && (
+            <>
+              {/* Risk Summary */}
+              <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+                <h2 className="text-xl font-semibold mb-4 text-gray-800">
+                  Risk Summary <span className="text-sm font-normal text-gray-500">({formatNumber(simulationState.results.trials)} trials, seed {simulationState.results.seed})</span>
+                </h2>
+                {simulationState.results.failedTrials > 0 && (
+                  <div className="flex items-center mb-4 p-3 rounded-lg bg-yellow-50 text-sm text-yellow-800">
+                    <AlertTriangle className="w-4 h-4 mr-2" />
+                    {formatNumber(simulationState.results.failedTrials)} of {formatNumber(simulationState.results.trials)} trials drew an EBITDA at or below zero and failed; the results cover the other {formatNumber(simulationState.results.trials - simulationState.results.failedTrials)}.
+                  </div>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                  <div className="bg-red-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-red-600">{formatPercent(simulationState.results.covenantBreachProbability, 1)}</h3>
+                    <p className="text-gray-600">Probability of a Covenant Breach Over the Schedule</p>
+                  </div>
+                  <div className="bg-red-50 p-4 rounded-lg">
+                    <h3 className="text-2xl font-bold text-red-600">{formatPercent(simulationState.results.belowTargetProbability, 1)}</h3>
+                    <p className="text-gray-600">Probability of Sponsor IRR Below {simulationInputs.targetIrr}%</p>
+                  </div>
                 </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Weighted Avg Cost</p>
-                  <p className="text-lg font-semibold">{debtResults.weightedAverageCost}%</p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full bg-white">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Percentile</th>
+                        {Object.keys(SIMULATION_OUTPUTS).map(key => (
+                          <th key={key} className="px-4 py-2 text-right text-sm font-medium text-gray-700">{SIMULATION_OUTPUTS[key].label}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {simulationState.results.summaries.wacc.percentiles.map((row, index) => (
+                        <tr key={row.p} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                          <td className="px-4 py-2 text-sm text-gray-900">P{formatNumber(row.p, 0)}</td>
+                          {Object.keys(SIMULATION_OUTPUTS).map(key => (
+                            <td key={key} className="px-4 py-2 text-sm text-gray-900 text-right">
+                              {SIMULATION_OUTPUTS[key].format(simulationState.results.summaries[key].percentiles[index].value)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                      <tr className="border-t border-gray-200 font-semibold">
+                        <td className="px-4 py-2 text-sm text-gray-900">Mean</td>
+                        {Object.keys(SIMULATION_OUTPUTS).map(key => (
+                          <td key={key} className="px-4 py-2 text-sm text-gray-900 text-right">
+                            {SIMULATION_OUTPUTS[key].format(simulationState.results.summaries[key].mean)}
+                          </td>
+                        ))}
+                      </tr>
+                    </tbody>
+                  </table>
                 </div>
-                <div className="bg-gray-50 p-3 rounded">
-                  <p className="text-sm text-gray-600">Interest Coverage</p>
-                  <p className="text-lg font-semibold">{debtResults.interestCoverage}x</p>
+              </div>
+
+              {/* Histograms */}
+              {Object.keys(SIMULATION_OUTPUTS).map((key, index) => (
+                <div key={key} className="bg-white rounded-lg p-6 shadow-lg">
+                  <h2 className="text-xl font-semibold mb-4 text-gray-800">{SIMULATION_OUTPUTS[key].label} Distribution</h2>
+                  <ResponsiveContainer width="100%" height={250}>
+                    {renderHistogramChart(key, index)}
+                  </ResponsiveContainer>
                 </div>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Scenarios Tab */}
+      {activeTab === 'scenarios' && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* Saved Scenarios */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Saved Scenarios</h2>
+            <div className="flex items-end space-x-4 mb-6">
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Scenario Name</label>
+                <input
+                  type="text"
+                  value={newScenarioName}
+                  placeholder={`Scenario ${scenarios.length + 1}`}
+                  onChange={(e) => setNewScenarioName(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg"
+                />
               </div>
+              <button
+                onClick={saveScenario}
+                disabled={inputErrors.length > 0}
+                title={inputErrors.length > 0 ? 'Correct the invalid inputs to save' : undefined}
+                className="flex items-center px-4 py-2 font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4 mr-2" />
+                Save Current Model
+              </button>
             </div>
+            {scenarios.length === 0 ? (
+              <p className="text-sm text-gray-500">No saved scenarios yet. Save the current model to snapshot every input across the tabs.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full bg-white">
+                  <thead>
+                    <tr className="bg-gray-50">
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Compare</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Name</th>
+                      <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Saved</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">WACC</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Dilution</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Leverage</th>
+                      <th className="px-4 py-2 text-right text-sm font-medium text-gray-700">Coverage</th>
+                      <th className="px-4 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {scenarios.map((scenario, index) => (
+                      <tr key={scenario.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            checked={comparedScenarioIds.includes(scenario.id)}
+                            onChange={() => toggleScenarioComparison(scenario.id)}
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <div className="flex items-center space-x-2">
+                            <input
+                              type="text"
+                              value={scenario.name}
+                              onChange={(e) => renameScenario(index, e.target.value)}
+                              className="w-48 p-1 border border-gray-300 rounded text-sm"
+                            />
+                            {scenario.id === activeScenarioId && (
+                              <span className="text-xs font-medium text-blue-600">Loaded</span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-500">{new Date(scenario.savedAt).toLocaleString(currencyInputs.locale)}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">{formatPercent(scenario.outputs.wacc, 2)}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">{formatPercent(scenario.outputs.dilutionPercent, 1)}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMultiple(scenario.outputs.totalLeverage, 2)}</td>
+                        <td className="px-4 py-2 text-sm text-right text-gray-900">{formatMultiple(scenario.outputs.interestCoverage, 2)}</td>
+                        <td className="px-4 py-2">
+                          <div className="flex items-center justify-end space-x-3">
+                            <button onClick={() => loadScenario(index)} title="Load into the model" className="text-gray-400 hover:text-blue-600">
+                              <FolderOpen className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => overwriteScenario(index)} disabled={inputErrors.length > 0} title="Overwrite with the current model" className="text-gray-400 hover:text-blue-600 disabled:opacity-30">
+                              <Save className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => duplicateScenario(index)} title="Duplicate" className="text-gray-400 hover:text-blue-600">
+                              <Copy className="w-4 h-4" />
+                            </button>
+                            <button onClick={() => removeScenario(index)} title="Delete" className="text-gray-400 hover:text-red-600">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
           </div>
 
-          {/* Debt Stack Visualization */}
-          <div className="bg-white rounded-lg p-6 shadow-lg">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800">Debt Stack Composition</h2>
-            <ResponsiveContainer width="100%" height={300}>
-              <BarChart data={debtResults.debtLevels}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="name" angle={-45} textAnchor="end" height={80} fontSize={12} />
-                <YAxis label={{ value: 'Amount ($M)', angle: -90, position: 'insideLeft' }} />
-                <Tooltip formatter={(value) => [`$${(value / 1000000).toFixed(0)}M`, 'Amount']} />
-                <Bar dataKey="amount" fill="#8884d8" />
-              </BarChart>
-            </ResponsiveContainer>
+          {/* Scenario Comparison */}
+          <div className="bg-white rounded-lg p-6 shadow-lg lg:col-span-2">
+            <h2 className="text-xl font-semibold mb-4 text-gray-800">Scenario Comparison</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              {comparisonBaseline.id === 'current'
+                ? 'Tick saved scenarios above to compare them side by side with the current model.'
+                : `Deltas are against ${comparisonBaseline.name}, the first compared scenario. Green is an improvement, red a deterioration.`}
+            </p>
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-white">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className="px-4 py-2 text-left text-sm font-medium text-gray-700">Metric</th>
+                    {comparisonColumns.map(column => (
+                      <th key={column.id} className="px-4 py-2 text-right text-sm font-medium text-gray-700">{column.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {SCENARIO_METRICS.map((metric, index) => (
+                    <tr key={metric.key} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="px-4 py-2 text-sm text-gray-900">{metric.label}</td>
+                      {comparisonColumns.map(column => {
+                        const value = column.outputs ? column.outputs[metric.key] : null;
+                        const baseline = comparisonBaseline.outputs ? comparisonBaseline.outputs[metric.key] : null;
+                        const delta = value !== null && baseline !== null ? value - baseline : null;
+                        return (
+                          <td key={column.id} className="px-4 py-2 text-sm text-right">
+                            <div className="font-medium text-gray-900">{value !== null ? metric.format(value) : 'n/a'}</div>
+                            {column.id !== comparisonBaseline.id && delta !== null && (
+                              <span className={`inline-block px-1 rounded text-xs ${getDeltaClass(metric, delta)}`}>
+                                {delta > 0 ? '+' : ''}{metric.formatDelta(delta)}
+                              </span>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
           </div>
         </div>
       )}
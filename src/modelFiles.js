@@ -0,0 +1,522 @@
+// Import and export of model files for the Financial Modeling Suite.
+// Framework-free: the component hands over plain row arrays and input objects, and this
+// module turns them into CSV, an .xlsx workbook, a versioned JSON model file or a share link and back.
+
+import { CURRENCIES, FX_BASE_CURRENCY } from './engine/currency.js';
+
+export const MODEL_FILE_FORMAT = 'financial-modeling-suite';
+export const MODEL_FILE_VERSION = 3;
+
+// Column definitions shared by the exports and the CSV imports, so an exported table
+// imports back unchanged. Headers match on either the label or the field name.
+export const TRANCHE_COLUMNS = [
+  { field: 'name', header: 'Name', kind: 'text', required: true },
+  { field: 'type', header: 'Type', kind: 'text', defaultValue: 'Senior Unsecured' },
+  { field: 'seniority', header: 'Seniority', kind: 'number', min: 1 },
+  { field: 'secured', header: 'Secured', kind: 'boolean', defaultValue: false },
+  { field: 'isRevolver', header: 'Revolver', kind: 'boolean', defaultValue: false },
+  { field: 'amount', header: 'Amount', kind: 'number', required: true, min: 0 },
+  { field: 'commitment', header: 'Commitment', kind: 'number', defaultValue: 0, min: 0 },
+  { field: 'currency', header: 'Currency', kind: 'enum', values: CURRENCIES, defaultValue: FX_BASE_CURRENCY },
+  { field: 'rateType', header: 'Rate Type', kind: 'enum', values: ['fixed', 'floating'], defaultValue: 'fixed' },
+  { field: 'rate', header: 'Rate (%)', kind: 'number', required: true, min: 0 },
+  { field: 'spread', header: 'Spread (bps)', kind: 'number', defaultValue: 0, min: 0 },
+  { field: 'maturity', header: 'Maturity (years)', kind: 'number', required: true, min: 0 },
+  { field: 'oidPercent', header: 'OID (%)', kind: 'number', defaultValue: 0, min: 0 },
+  { field: 'amortizationType', header: 'Amortization', kind: 'enum', values: ['bullet', 'straightLine', 'percent'], defaultValue: 'bullet' },
+  { field: 'amortizationRate', header: 'Amortization Rate (%)', kind: 'number', defaultValue: 0, min: 0 }
+];
+
+export const SHAREHOLDER_CLASS_COLUMNS = [
+  { field: 'name', header: 'Class', kind: 'text', required: true },
+  { field: 'type', header: 'Type', kind: 'enum', values: ['Common', 'Options', 'SAFE'], required: true },
+  { field: 'shares', header: 'Shares', kind: 'number', required: true, min: 0 }
+];
+
+export const ROUND_COLUMNS = [
+  { field: 'name', header: 'Round', kind: 'text', required: true },
+  { field: 'investment', header: 'Investment', kind: 'number', required: true, min: 0 },
+  { field: 'preMoneyValuation', header: 'Pre-Money Valuation', kind: 'number', required: true, min: 0 },
+  { field: 'currency', header: 'Currency', kind: 'enum', values: CURRENCIES, defaultValue: FX_BASE_CURRENCY },
+  { field: 'liquidationPreference', header: 'Liquidation Preference', kind: 'number', defaultValue: 1, min: 0 },
+  { field: 'participating', header: 'Participating', kind: 'boolean', defaultValue: false },
+  { field: 'seniority', header: 'Seniority', kind: 'number', min: 1 }
+];
+
+// CSV (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// XLSX: a SpreadsheetML package zipped with stored (uncompressed) entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const zip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);        // version needed
+    local.setUint16(8, 0, true);         // stored
+    local.setUint16(12, 0x0021, true);   // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);      // version made by
+    central.setUint16(6, 20, true);      // version needed
+    central.setUint16(10, 0, true);      // stored
+    central.setUint16(14, 0x0021, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+const worksheetXml = (rows) => {
+  const rowXml = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number') return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+      if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${rowXml}</sheetData></worksheet>`;
+};
+
+// Sheet names are capped at 31 characters and may not contain []:*?/\
+const sheetName = (name) => name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+
+export const toXlsx = (sheets) => {
+  const sheetEntries = sheets.map((sheet, index) => ({ ...sheet, id: index + 1 }));
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheetEntries.map(sheet => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+        + sheetEntries.map(sheet => `<sheet name="${escapeXml(sheetName(sheet.name))}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheetEntries.map(sheet => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('')
+        + '</Relationships>'
+    },
+    ...sheetEntries.map(sheet => ({ name: `xl/worksheets/sheet${sheet.id}.xml`, content: worksheetXml(sheet.rows) }))
+  ]);
+};
+
+// Versioned JSON model file
+const modelFile = (inputs) => ({
+  format: MODEL_FILE_FORMAT,
+  version: MODEL_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  inputs
+});
+
+export const serializeModel = (inputs) => JSON.stringify(modelFile(inputs), null, 2);
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'an array' : `a ${typeof value}`;
+};
+
+// Shape of one entry of each array in the model. Entries are checked against these rather
+// than the current arrays, which may be empty.
+export const ARRAY_ITEM_TEMPLATES = {
+  'waccInputs.comparables': { id: '', name: '', leveredBeta: 0, debtToEquity: 0, taxRate: 0 },
+  'waccInputs.cashFlowProjection': 0,
+  'dilutionInputs.convertibles': {
+    id: '', name: '', type: '', principal: 0, valuationCap: 0, discount: 0, interestRate: 0, monthsOutstanding: 0
+  },
+  'dilutionInputs.priorRounds': { id: '', name: '', shares: 0, pricePerShare: 0, antiDilution: '' },
+  'capTableInputs.shareholderClasses': { id: '', name: '', type: '', shares: 0 },
+  'capTableInputs.rounds': {
+    id: '', name: '', investment: 0, preMoneyValuation: 0, currency: '', liquidationPreference: 0, participating: false, seniority: 0
+  },
+  'debtStackInputs.tranches': {
+    id: '', name: '', type: '', seniority: 0, secured: false, isRevolver: false, amount: 0, commitment: 0, currency: '',
+    rateType: '', rate: 0, spread: 0, maturity: 0, oidPercent: 0, amortizationType: '', amortizationRate: 0
+  },
+  'debtStackInputs.covenants': { metric: '', enabled: false, initial: 0, step: 0, limit: 0 },
+  'dcfInputs.revenueGrowth': 0
+};
+
+// A model file read on its own (e.g. by the CLI) has no current model to merge over, so its
+// arrays are checked against their item shapes and must be present. Files saved before prior
+// rounds existed have none; the engine reads that as no prior rounds.
+const OPTIONAL_ARRAYS = ['dilutionInputs.priorRounds'];
+const STANDALONE_TEMPLATE = Object.keys(ARRAY_ITEM_TEMPLATES).reduce((template, path) => {
+  const [group, field] = path.split('.');
+  return { ...template, [group]: { ...template[group], [field]: [] } };
+}, {});
+
+// Checks `value` against the shape of the current model. Top-level input objects may omit
+// fields (they are merged over the current ones); anything nested must be complete.
+const validateShape = (value, template, path, errors, partial) => {
+  if (Array.isArray(template)) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: expected an array, found ${describeType(value)}`);
+      return;
+    }
+    const itemPath = path.replace(/^inputs\./, '');
+    if (!(itemPath in ARRAY_ITEM_TEMPLATES)) {
+      if (value.length > 0) errors.push(`${path}: unexpected entries`);
+      return;
+    }
+    value.forEach((item, index) => validateShape(item, ARRAY_ITEM_TEMPLATES[itemPath], `${path}[${index}]`, errors, false));
+  } else if (template !== null && typeof template === 'object') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path}: expected an object, found ${describeType(value)}`);
+      return;
+    }
+    Object.keys(template).forEach(key => {
+      if (key in value) {
+        validateShape(value[key], template[key], `${path}.${key}`, errors, false);
+      } else if (!partial) {
+        errors.push(`${path}.${key}: missing`);
+      }
+    });
+  } else if (typeof template === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${path}: expected a number, found ${describeType(value)}`);
+  } else if (typeof value !== typeof template) {
+    errors.push(`${path}: expected ${describeType(template)}, found ${describeType(value)}`);
+  }
+};
+
+// Version 1 files predate currencies: every amount in them is USD.
+// Version 2 files share one revolverCommitment across the stack, applied to each revolver, and
+// enter the operating and valuation amounts in the reporting currency.
+const upgradeInputs = (inputs, version) => {
+  const isObject = (item) => item && typeof item === 'object' && !Array.isArray(item);
+  const upgraded = { ...inputs };
+  const mapTranches = (upgrade) => {
+    if (isObject(upgraded.debtStackInputs) && Array.isArray(upgraded.debtStackInputs.tranches)) {
+      upgraded.debtStackInputs = { ...upgraded.debtStackInputs, tranches: upgraded.debtStackInputs.tranches.map(item => (isObject(item) ? upgrade(item) : item)) };
+    }
+  };
+
+  if (version < 2) {
+    const inUsd = (item) => (isObject(item) ? { currency: FX_BASE_CURRENCY, ...item } : item);
+    if (inputs.dilutionInputs) upgraded.dilutionInputs = inUsd(inputs.dilutionInputs);
+    if (inputs.capTableInputs && Array.isArray(inputs.capTableInputs.rounds)) {
+      upgraded.capTableInputs = { ...inputs.capTableInputs, rounds: inputs.capTableInputs.rounds.map(inUsd) };
+    }
+    mapTranches(inUsd);
+  }
+  if (version < 3 && isObject(upgraded.debtStackInputs)) {
+    const { revolverCommitment = 0, ...debtStackInputs } = upgraded.debtStackInputs;
+    upgraded.debtStackInputs = debtStackInputs;
+    mapTranches(tranche => ({ commitment: tranche.isRevolver ? revolverCommitment : 0, ...tranche }));
+  }
+  if (version < 3 && isObject(upgraded.currencyInputs)) {
+    upgraded.currencyInputs = { modelCurrency: upgraded.currencyInputs.reportingCurrency, ...upgraded.currencyInputs };
+  }
+  return upgraded;
+};
+
+const readModel = (file, template) => {
+  if (!file || file.format !== MODEL_FILE_FORMAT) {
+    return { inputs: null, errors: ['Not a Financial Modeling Suite model file (missing "format")'] };
+  }
+  if (typeof file.version !== 'number' || file.version > MODEL_FILE_VERSION) {
+    return { inputs: null, errors: [`Unsupported model file version ${file.version}; this build reads up to version ${MODEL_FILE_VERSION}`] };
+  }
+
+  const errors = [];
+  const inputs = upgradeInputs(file.inputs || {}, file.version);
+  const shape = template || STANDALONE_TEMPLATE;
+  Object.keys(inputs).forEach(key => {
+    if (key in shape) {
+      validateShape(inputs[key], shape[key], `inputs.${key}`, errors, true);
+    } else if (template) {
+      errors.push(`inputs.${key}: unknown input group`);
+    }
+  });
+  if (!template) {
+    Object.keys(ARRAY_ITEM_TEMPLATES).filter(path => !OPTIONAL_ARRAYS.includes(path)).forEach(path => {
+      const [group, field] = path.split('.');
+      const groupInputs = inputs[group];
+      if (groupInputs && typeof groupInputs === 'object' && !(field in groupInputs)) errors.push(`inputs.${path}: missing`);
+    });
+  }
+  return { inputs: errors.length === 0 ? inputs : null, errors };
+};
+
+export const parseModel = (text, template) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { inputs: null, errors: [`Not valid JSON: ${error.message}`] };
+  }
+  return readModel(file, template);
+};
+
+// Browser storage (the working model and each saved scenario) keeps { version, inputs } and is
+// read like a model file. Entries stored before they carried a version are version 2 when they
+// have currency inputs and version 1 otherwise.
+export const storedModel = (inputs) => ({ version: MODEL_FILE_VERSION, inputs });
+
+export const readStoredModel = (entry, template) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { inputs: null, errors: [`Not a stored model: expected an object, found ${describeType(entry)}`] };
+  }
+  const hasCurrencies = entry.inputs && typeof entry.inputs === 'object' && 'currencyInputs' in entry.inputs;
+  const version = 'version' in entry ? entry.version : (hasCurrencies ? 2 : 1);
+  return readModel({ format: MODEL_FILE_FORMAT, version, inputs: entry.inputs }, template);
+};
+
+// Share links
+// The model file plus the active tab, deflated and base64url-encoded for the URL fragment,
+// so the model never reaches a server. Decoding validates it like an imported file.
+const transformBytes = async (bytes, transform) => new Uint8Array(
+  await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer()
+);
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+export const encodeModelLink = async (inputs, tab) => {
+  const json = JSON.stringify({ ...modelFile(inputs), tab });
+  return toBase64Url(await transformBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw')));
+};
+
+export const decodeModelLink = async (text, template) => {
+  let file;
+  try {
+    const bytes = await transformBytes(fromBase64Url(text), new DecompressionStream('deflate-raw'));
+    file = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return { inputs: null, tab: null, errors: ['The link is incomplete or damaged'] };
+  }
+  return { ...readModel(file, template), tab: typeof file.tab === 'string' ? file.tab : null };
+};
+
+// CSV table import
+const normalizeHeader = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const matchesColumn = (cell, column) => {
+  const normalized = normalizeHeader(cell);
+  return normalized !== '' && (normalized === normalizeHeader(column.header) || normalized === normalizeHeader(column.field));
+};
+
+const parseBoolean = (text) => {
+  const normalized = text.trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return null;
+};
+
+const parseCell = (text, column) => {
+  switch (column.kind) {
+    case 'number': {
+      const value = Number(text.replace(/[$,%\s]/g, ''));
+      if (!Number.isFinite(value)) return { error: `"${text}" is not a number` };
+      if (column.min !== undefined && value < column.min) return { error: `must be at least ${column.min}` };
+      return { value };
+    }
+    case 'boolean': {
+      const value = parseBoolean(text);
+      return value === null ? { error: `"${text}" is not yes/no` } : { value };
+    }
+    case 'enum': {
+      const value = column.values.find(option => normalizeHeader(option) === normalizeHeader(text));
+      return value === undefined ? { error: `"${text}" is not one of ${column.values.join(', ')}` } : { value };
+    }
+    default:
+      return { value: text.trim() };
+  }
+};
+
+// Finds the section whose header row carries every required column (so a whole-tab export
+// imports too) and reads records until the next blank row. Row numbers are 1-based, as in Excel.
+export const parseTable = (rows, columns) => {
+  const required = columns.filter(column => column.required);
+  const headerIndex = rows.findIndex(row => required.every(column => row.some(cell => matchesColumn(cell, column))));
+  if (headerIndex === -1) {
+    return { found: false, records: [], errors: [`No header row with the columns ${required.map(column => column.header).join(', ')}`] };
+  }
+
+  const header = rows[headerIndex];
+  const positions = columns.map(column => header.findIndex(cell => matchesColumn(cell, column)));
+  const records = [];
+  const errors = [];
+
+  for (let r = headerIndex + 1; r < rows.length; r++) {
+    const row = rows[r];
+    if (row.every(cell => cell.trim() === '')) break;
+    const record = {};
+    columns.forEach((column, c) => {
+      const text = positions[c] === -1 ? '' : (row[positions[c]] || '').trim();
+      if (text === '') {
+        if (column.required) errors.push(`Row ${r + 1}: ${column.header} is required`);
+        else if (column.defaultValue !== undefined) record[column.field] = column.defaultValue;
+        return;
+      }
+      const { value, error } = parseCell(text, column);
+      if (error) errors.push(`Row ${r + 1}: ${column.header} ${error}`);
+      else record[column.field] = value;
+    });
+    records.push(record);
+  }
+
+  if (records.length === 0 && errors.length === 0) errors.push(`Row ${headerIndex + 1}: header found but no data rows follow it`);
+  return { found: true, records, errors };
+};
+
+// Debt schedule CSV: one row per tranche. Seniority defaults to the row order.
+export const parseDebtScheduleCsv = (text) => {
+  const { found, records, errors } = parseTable(parseCsv(text), TRANCHE_COLUMNS);
+  return {
+    found,
+    errors,
+    tranches: records.map((record, index) => ({ seniority: index + 1, ...record }))
+  };
+};
+
+// Cap table CSV: shareholder classes, optionally followed (after a blank row) by the rounds
+export const parseCapTableCsv = (text) => {
+  const rows = parseCsv(text);
+  const classes = parseTable(rows, SHAREHOLDER_CLASS_COLUMNS);
+  const rounds = parseTable(rows, ROUND_COLUMNS);
+  return {
+    found: classes.found,
+    errors: rounds.found ? [...classes.errors, ...rounds.errors] : classes.errors,
+    shareholderClasses: classes.records,
+    rounds: rounds.found ? rounds.records.map((record, index) => ({ seniority: rounds.records.length - index, ...record })) : null
+  };
+};
@@ -0,0 +1,70 @@
+// Printable report for the Financial Modeling Suite.
+// The component renders the report with these class names; the same stylesheet lays it out
+// on screen, when printed (or saved as PDF from the print dialog) and in the HTML download.
+
+export const REPORT_STYLES = `
+.report-view { background: #e5e7eb; min-height: 100vh; padding: 24px 0; }
+.report-toolbar { display: flex; justify-content: center; gap: 8px; margin-bottom: 24px; }
+.report { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111827; font-size: 10pt; }
+.report-page { background: #fff; width: 210mm; min-height: 297mm; box-sizing: border-box; margin: 0 auto 24px; padding: 14mm; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); }
+.report-running-header { display: flex; justify-content: space-between; color: #6b7280; font-size: 8pt; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin-bottom: 16px; }
+.report h1 { font-size: 22pt; margin: 48px 0 4px; }
+.report h2 { font-size: 15pt; margin: 0 0 12px; }
+.report h3 { font-size: 11pt; margin: 16px 0 6px; }
+.report-subtitle { color: #4b5563; font-size: 12pt; margin: 0 0 32px; }
+.report-metrics { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; margin-bottom: 24px; }
+.report-metric { background: #f3f4f6; border-radius: 6px; padding: 10px; }
+.report-metric-value { font-size: 14pt; font-weight: 700; }
+.report-metric-label { color: #4b5563; font-size: 8pt; }
+.report-warnings { background: #fffbeb; color: #92400e; border-radius: 6px; padding: 10px 10px 10px 28px; }
+.report-columns { display: grid; grid-template-columns: 1fr 1fr; gap: 0 16px; }
+.report table { width: 100%; border-collapse: collapse; font-size: 8pt; margin-bottom: 8px; }
+.report th { background: #f3f4f6; font-weight: 600; text-align: right; padding: 3px 4px; }
+.report td { text-align: right; padding: 3px 4px; border-bottom: 1px solid #f3f4f6; }
+.report th:first-child, .report td:first-child { text-align: left; }
+.report thead { display: table-header-group; }
+.report tr, .report-chart { break-inside: avoid; }
+.report-chart { margin-bottom: 12px; }
+@page { size: A4; margin: 14mm; }
+@media print {
+  body { margin: 0; }
+  .report-view { background: none; padding: 0; }
+  .report-toolbar { display: none; }
+  .report-page { width: auto; min-height: 0; margin: 0; padding: 0; box-shadow: none; break-after: page; }
+  .report-page:last-child { break-after: auto; }
+}
+`;
+
+// Unit suffixes in the export labels ("WACC (%)", "Leverage (x)") pick the format; separators
+// follow the model's locale
+export const formatReportValue = (value, label = '', locale = 'en-US') => {
+  if (value === '') return '';
+  if (value === null || value === undefined) return 'n/a';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value !== 'number') return String(value);
+  if (!Number.isFinite(value)) return 'n/a';
+  const format = (digits) => value.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  if (label.includes('(%)')) return `${format(2)}%`;
+  if (label.includes('(x)')) return `${format(2)}x`;
+  if (Math.abs(value) >= 1000 || Number.isInteger(value)) return format(0);
+  return format(2);
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Standalone, print-ready HTML around the rendered report markup
+export const buildReportDocument = (title, reportHtml) => [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  '<head>',
+  '<meta charset="utf-8">',
+  `<title>${escapeHtml(title)}</title>`,
+  `<style>${REPORT_STYLES}</style>`,
+  '</head>',
+  `<body><div class="report-view">${reportHtml}</div></body>`,
+  '</html>'
+].join('\n');
@@ -0,0 +1,189 @@
+// Monte Carlo simulation for the Financial Modeling Suite.
+// Framework-free so it can run inside a Web Worker; the component passes in the validated model
+// inputs and the distributions to sample, and every trial runs through the calculation engine.
+
+import {
+  convertModelInputs,
+  usesBeta,
+  calculateCostOfEquity,
+  calculateWACC,
+  calculateDilution,
+  calculateWaterfall,
+  calculateDebtMetrics,
+  calculateDebtSchedule,
+  calculateCovenants,
+  calculateLBOReturns
+} from './engine/index.js';
+
+// Seeded PRNG (mulberry32) so a given seed always reproduces the same trials
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Distribution: { type: 'fixed' | 'normal' | 'triangular' | 'uniform', mean, stdDev, min, mode, max }
+export const sampleDistribution = (distribution, random, baseValue) => {
+  switch (distribution.type) {
+    case 'normal': {
+      // Box-Muller transform
+      const u1 = Math.max(random(), Number.EPSILON);
+      const u2 = random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return distribution.mean + z * distribution.stdDev;
+    }
+    case 'triangular': {
+      const { min, mode, max } = distribution;
+      const u = random();
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'uniform':
+      return distribution.min + random() * (distribution.max - distribution.min);
+    default:
+      return baseValue;
+  }
+};
+
+// The value each sampled variable takes in the model, used by 'fixed' distributions.
+// EBITDA is in the model currency and the exit value in the priced round's currency.
+export const baseSample = (inputs) => ({
+  ebitda: inputs.debtStackInputs.ebitda,
+  ebitdaGrowth: inputs.debtStackInputs.ebitdaGrowth,
+  costOfDebt: inputs.waccInputs.costOfDebt,
+  beta: calculateCostOfEquity(inputs.waccInputs).beta,
+  exitValue: inputs.dilutionInputs.exitValue,
+  exitMultiple: inputs.lboInputs.exitMultiple
+});
+
+// Writes a sample into a copy of the model inputs. A sampled beta prices equity through CAPM
+// when the selected method uses beta; the cost of debt shift moves every tranche's rate; cash
+// flow keeps its base-case ratio to EBITDA and its growth moves with EBITDA growth.
+export const applySample = (inputs, sample) => {
+  const { waccInputs, dilutionInputs, debtStackInputs, lboInputs } = inputs;
+  const rateShift = sample.costOfDebt - waccInputs.costOfDebt;
+  return {
+    ...inputs,
+    waccInputs: {
+      ...waccInputs,
+      costOfDebt: sample.costOfDebt,
+      ...(usesBeta(waccInputs.costOfEquityMethod) ? { costOfEquityMethod: 'capm', beta: sample.beta } : {})
+    },
+    dilutionInputs: { ...dilutionInputs, exitValue: Math.max(0, sample.exitValue) },
+    debtStackInputs: {
+      ...debtStackInputs,
+      ebitda: sample.ebitda,
+      ebitdaGrowth: sample.ebitdaGrowth,
+      cashFlow: debtStackInputs.ebitda !== 0 ? debtStackInputs.cashFlow * sample.ebitda / debtStackInputs.ebitda : debtStackInputs.cashFlow,
+      cashFlowGrowth: debtStackInputs.cashFlowGrowth + sample.ebitdaGrowth - debtStackInputs.ebitdaGrowth,
+      tranches: debtStackInputs.tranches.map(tranche => (
+        tranche.rateType === 'floating'
+          ? { ...tranche, spread: tranche.spread + rateShift * 100 }
+          : { ...tranche, rate: tranche.rate + rateShift }
+      ))
+    },
+    lboInputs: { ...lboInputs, exitMultiple: sample.exitMultiple }
+  };
+};
+
+// One trial through the WACC, waterfall, debt schedule, covenants and LBO with the sampled inputs
+export const runTrial = (inputs, sample) => {
+  const { waccInputs, dilutionInputs, debtStackInputs, lboInputs, currencyInputs } = convertModelInputs(applySample(inputs, sample));
+  const wacc = calculateWACC(waccInputs);
+  const dilution = calculateDilution(dilutionInputs);
+  const waterfall = calculateWaterfall(dilutionInputs, dilution, dilutionInputs.exitValue);
+  const debt = calculateDebtMetrics(debtStackInputs, currencyInputs);
+  const debtSchedule = calculateDebtSchedule(debtStackInputs, debt);
+  const covenants = calculateCovenants(debtStackInputs, debt, debtSchedule);
+  const lbo = calculateLBOReturns(lboInputs, debtStackInputs, debt, debtSchedule);
+
+  return {
+    wacc: wacc.wacc,
+    leverage: debt.totalLeverageRatio,
+    interestCoverage: debt.interestCoverage,
+    investorPayout: waterfall.investorPayout,
+    // Equity wiped out at exit is a -100% return; no sponsor equity leaves the IRR undefined
+    irr: lbo.moic !== null && lbo.moic <= 0 ? -100 : lbo.irr,
+    breachYear: covenants.firstBreachYear,
+    covenantBreach: covenants.firstBreachYear !== null
+  };
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+export const summarize = (values, binCount = 30) => {
+  const finite = values.filter(value => Number.isFinite(value));
+  const sorted = Float64Array.from(finite).sort();
+  const mean = finite.length > 0 ? finite.reduce((sum, value) => sum + value, 0) / finite.length : null;
+  const min = finite.length > 0 ? sorted[0] : null;
+  const max = finite.length > 0 ? sorted[sorted.length - 1] : null;
+  const width = (max - min) / binCount || 1;
+
+  const histogram = Array.from({ length: finite.length > 0 ? binCount : 0 }, (_, i) => ({ start: min + i * width, end: min + (i + 1) * width, count: 0 }));
+  finite.forEach(value => {
+    const bin = Math.min(binCount - 1, Math.floor((value - min) / width));
+    histogram[bin].count += 1;
+  });
+
+  return {
+    mean,
+    min,
+    max,
+    percentiles: [0.05, 0.10, 0.25, 0.50, 0.75, 0.90, 0.95].map(p => ({ p: p * 100, value: percentile(sorted, p) })),
+    histogram: histogram.map(bin => ({ ...bin, midpoint: (bin.start + bin.end) / 2 }))
+  };
+};
+
+// Runs `trials` trials and reports progress every `chunkSize` trials. A trial that draws an
+// EBITDA at or below zero has no leverage or coverage to test: it fails, is counted in
+// `failedTrials` and is left out of the summaries and probabilities.
+export const runSimulation = ({ inputs, distributions, trials, seed, targetIrr }, onProgress) => {
+  const random = createRandom(seed);
+  const defaults = baseSample(inputs);
+  const outputs = { wacc: [], leverage: [], interestCoverage: [], investorPayout: [], irr: [] };
+  let failed = 0;
+  let breaches = 0;
+  let belowTarget = 0;
+  const chunkSize = Math.max(1, Math.floor(trials / 20));
+
+  for (let trial = 0; trial < trials; trial++) {
+    const sample = {};
+    Object.keys(distributions).forEach(key => {
+      sample[key] = sampleDistribution(distributions[key], random, defaults[key]);
+    });
+    if (sample.ebitda <= 0) {
+      failed += 1;
+    } else {
+      const result = runTrial(inputs, sample);
+      Object.keys(outputs).forEach(key => outputs[key].push(result[key]));
+      if (result.covenantBreach) breaches += 1;
+      if (result.irr !== null && result.irr < targetIrr) belowTarget += 1;
+    }
+    if (onProgress && (trial + 1) % chunkSize === 0) onProgress((trial + 1) / trials);
+  }
+
+  const summaries = {};
+  Object.keys(outputs).forEach(key => { summaries[key] = summarize(outputs[key]); });
+  const completed = trials - failed;
+  return {
+    trials,
+    seed,
+    failedTrials: failed,
+    summaries,
+    covenantBreachProbability: completed > 0 ? (breaches / completed) * 100 : null,
+    belowTargetProbability: completed > 0 ? (belowTarget / completed) * 100 : null
+  };
+};
@@ -0,0 +1,9 @@
+import { runSimulation } from './simulation';
+
+// Runs the Monte Carlo off the main thread so the UI stays responsive
+self.onmessage = (event) => {
+  const results = runSimulation(event.data, (progress) => {
+    self.postMessage({ type: 'progress', progress });
+  });
+  self.postMessage({ type: 'result', results });
+};
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { runModel, fxFactor, calculateDebtMetrics, calculateCapTable, convertDilutionInputs, calculateDilution } from '../src/engine/index.js';
+import { parseModel } from '../src/modelFiles.js';
+import { assertClose, debtStackInputs, dilutionInputs, tranche } from './helpers.js';
+
+const fixture = fileURLToPath(new URL('./fixtures/base-model.json', import.meta.url));
+
+const currencyInputs = (overrides = {}) => ({
+  reportingCurrency: 'USD',
+  units: 'M',
+  locale: 'en-US',
+  fxRates: { USD: 1, EUR: 1.1, GBP: 1.25, CHF: 1, CAD: 0.75, JPY: 0.0075 },
+  ...overrides
+});
+
+test('FX factors cross through USD', () => {
+  assert.equal(fxFactor('USD', currencyInputs()), 1);
+  assertClose(fxFactor('EUR', currencyInputs()), 1.1);
+  assertClose(fxFactor('GBP', currencyInputs({ reportingCurrency: 'EUR' })), 1.25 / 1.1);
+  // Without currency inputs, or without a currency, amounts are taken as they are
+  assert.equal(fxFactor('EUR'), 1);
+  assert.equal(fxFactor(undefined, currencyInputs({ reportingCurrency: 'EUR' })), 1 / 1.1);
+});
+
+test('debt totals convert each tranche into the reporting currency', () => {
+  const results = calculateDebtMetrics(debtStackInputs({
+    tranches: [
+      tranche({ id: 'usd', amount: 100, rate: 5 }),
+      tranche({ id: 'eur', amount: 100, rate: 8, currency: 'EUR', amortizationType: 'straightLine', oidPercent: 2 })
+    ]
+  }), currencyInputs());
+  const [, eur] = results.debtLevels;
+  assert.equal(eur.localAmount, 100);
+  assertClose(eur.amount, 110);
+  assertClose(eur.annualAmortization, 22);
+  assertClose(eur.upfrontFees, 2.2);
+  assertClose(results.totalDebt, 210);
+  assertClose(results.weightedAverageCost, (100 * 5 + 110 * 8) / 210);
+  assertClose(results.totalLeverageRatio, 210 / 20);
+});
+
+test('cap table prices a round raised in another currency in the reporting currency', () => {
+  const capTableInputs = {
+    shareholderClasses: [{ id: 'founders', name: 'Founders', type: 'Common', shares: 1000000 }],
+    rounds: [{ id: 'seed', name: 'Seed', investment: 2000000, preMoneyValuation: 8000000, currency: 'GBP', liquidationPreference: 1, participating: false, seniority: 1 }]
+  };
+  const results = calculateCapTable(capTableInputs, currencyInputs());
+  const seed = results.holdings.find(holding => holding.key === 'seed');
+  assertClose(seed.pricePerShare, 10);
+  // Ownership doesn't depend on the currency
+  assertClose(seed.shares, 250000);
+});
+
+test('a priced round in EUR reports valuations and payouts in USD', () => {
+  const inputs = dilutionInputs({ currency: 'EUR', convertibles: [] });
+  const converted = convertDilutionInputs(inputs, currencyInputs());
+  assertClose(converted.preMoneyValuation, 44000000);
+  assertClose(converted.fundraiseAmount, 11000000);
+  assertClose(converted.exitValue, 110000000);
+  const local = calculateDilution(inputs);
+  const reported = calculateDilution(converted);
+  assertClose(reported.postMoneyValuation, local.postMoneyValuation * 1.1, 1e-3);
+  assertClose(reported.pricePerShare, local.pricePerShare * 1.1);
+  assertClose(reported.dilutionPercent, local.dilutionPercent);
+  // Inputs already in the reporting currency come back unchanged
+  const usdInputs = dilutionInputs({ currency: 'USD' });
+  assert.equal(convertDilutionInputs(usdInputs, currencyInputs()), usdInputs);
+});
+
+test('models without currency inputs value as before', () => {
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  const withUsd = runModel({ ...inputs, currencyInputs: currencyInputs() });
+  const without = runModel(inputs);
+  assert.equal(withUsd.debt.totalDebt, without.debt.totalDebt);
+  assert.equal(withUsd.dilution.postMoneyValuation, without.dilution.postMoneyValuation);
+  assert.equal(withUsd.lbo.irr, without.lbo.irr);
+});
+
+test('switching the reporting currency restates every amount at the FX rate', () => {
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  const usd = runModel({ ...inputs, currencyInputs: currencyInputs() });
+  const eur = runModel({ ...inputs, currencyInputs: currencyInputs({ reportingCurrency: 'EUR' }) });
+  assertClose(eur.debt.totalDebt, usd.debt.totalDebt / 1.1, 1e-3);
+  assertClose(eur.debtSchedule.years[1].ebitda, usd.debtSchedule.years[1].ebitda / 1.1, 1e-3);
+  assertClose(eur.dilution.postMoneyValuation, usd.dilution.postMoneyValuation / 1.1, 1e-3);
+  assertClose(eur.dcf.equityValue, usd.dcf.equityValue / 1.1, 1e-3);
+  assertClose(eur.dilution.dilutionPercent, usd.dilution.dilutionPercent);
+});
+
+test('ratios, returns and covenant breaches do not depend on the reporting currency', () => {
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  const usd = runModel({ ...inputs, currencyInputs: currencyInputs() });
+  ['EUR', 'JPY'].forEach(reportingCurrency => {
+    const results = runModel({ ...inputs, currencyInputs: currencyInputs({ reportingCurrency }) });
+    assertClose(results.wacc.wacc, usd.wacc.wacc);
+    assertClose(results.debt.totalLeverageRatio, usd.debt.totalLeverageRatio);
+    assertClose(results.debt.interestCoverage, usd.debt.interestCoverage);
+    assertClose(results.lbo.irr, usd.lbo.irr);
+    assert.equal(results.covenants.firstBreachYear, usd.covenants.firstBreachYear);
+  });
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDebtMetrics, calculateDebtSchedule, calculateCovenants } from '../src/engine/index.js';
+import { assertClose, debtStackInputs, tranche } from './helpers.js';
+
+test('blended cost, leverage and coverage of a two-tranche stack', () => {
+  const results = calculateDebtMetrics(debtStackInputs({
+    tranches: [
+      tranche({ id: 'senior', amount: 100000000, rate: 5 }),
+      tranche({ id: 'sub', amount: 50000000, rate: 8, type: 'Subordinated', seniority: 2 })
+    ],
+    ebitda: 30000000,
+    cashFlow: 20000000
+  }));
+  assert.equal(results.totalDebt, 150000000);
+  assertClose(results.weightedAverageCost, 6);
+  assertClose(results.debtLevels[0].weight, 100 / 1.5);
+  assertClose(results.totalLeverageRatio, 5);
+  assertClose(results.interestCoverage, 30 / 9);
+  // Bullets: debt service is interest only
+  assertClose(results.debtServiceCoverage, 20 / 9);
+});
+
+test('floating rate prices off the base rate and OID adds to the yield', () => {
+  const results = calculateDebtMetrics(debtStackInputs({
+    baseRate: 4,
+    tranches: [tranche({ rateType: 'floating', spread: 250, oidPercent: 2, maturity: 4 })]
+  }));
+  const [floating] = results.debtLevels;
+  assertClose(floating.allInRate, 6.5);
+  assertClose(floating.yieldToMaturity, 7);
+  assertClose(results.totalUpfrontFees, 2);
+});
+
+test('straight-line and percent amortization', () => {
+  const results = calculateDebtMetrics(debtStackInputs({
+    tranches: [
+      tranche({ id: 'a', amortizationType: 'straightLine', maturity: 5 }),
+      tranche({ id: 'b', amortizationType: 'percent', amortizationRate: 1 })
+    ]
+  }));
+  assertClose(results.debtLevels[0].annualAmortization, 20);
+  assertClose(results.debtLevels[1].annualAmortization, 1);
+  assertClose(results.annualDebtService, 20 + 1 + 20);
+});
+
+const amortizingTerm = tranche({ amortizationType: 'straightLine', maturity: 2 });
+
+test('schedule without a sweep retains excess cash', () => {
+  const schedule = calculateDebtSchedule(debtStackInputs({ tranches: [amortizingTerm] }));
+  const [, year1, year2] = schedule.years;
+  // 80 cash flow - 10 interest - 50 amortization
+  assertClose(year1.cashBalance, 20);
+  assertClose(year1.totalDebt, 50);
+  // 80 - 5 - 50 on top of the year 1 balance
+  assertClose(year2.cashBalance, 45);
+  assertClose(year2.totalDebt, 0);
+  assert.equal(schedule.totalShortfall, 0);
+});
+
+test('cash sweep prepays term debt ahead of its amortization', () => {
+  const schedule = calculateDebtSchedule(debtStackInputs({ tranches: [amortizingTerm], sweepPercent: 50 }));
+  const [, year1, year2] = schedule.years;
+  assertClose(year1.sweep, 10);
+  assertClose(year1.balances.term, 40);
+  assertClose(year1.cashBalance, 10);
+  // 80 - 4 interest - 40 at maturity, nothing left to sweep
+  assertClose(year2.sweep, 0);
+  assertClose(year2.cashBalance, 46);
+});
+
+test('revolver funds shortfalls up to its commitment, then the gap is reported', () => {
+  const schedule = calculateDebtSchedule(debtStackInputs({
+    tranches: [
+      amortizingTerm,
+      tranche({ id: 'revolver', name: 'Revolver', isRevolver: true, amount: 0, commitment: 20, rate: 5, maturity: 3 })
+    ],
+    cashFlow: 40
+  }));
+  const [, year1, year2, year3] = schedule.years;
+  // 40 - 10 - 50 = -20, fully drawn
+  assertClose(year1.revolverDraw, 20);
+  assertClose(year1.shortfall, 0);
+  // 40 - (5 + 1) - 50 = -16 with the revolver exhausted
+  assertClose(year2.revolverDraw, 0);
+  assertClose(year2.shortfall, 16);
+  // The revolver is repaid at its maturity
+  assertClose(year3.scheduledAmortization, 20);
+  assertClose(year3.totalDebt, 0);
+  assertClose(schedule.totalShortfall, 16);
+});
+
+test('each revolver is drawn only up to its own commitment', () => {
+  const schedule = calculateDebtSchedule(debtStackInputs({
+    tranches: [
+      amortizingTerm,
+      tranche({ id: 'rcf1', name: 'RCF 1', isRevolver: true, amount: 5, commitment: 10, rate: 5, maturity: 3 }),
+      tranche({ id: 'rcf2', name: 'RCF 2', isRevolver: true, amount: 0, commitment: 8, rate: 5, maturity: 3 })
+    ],
+    cashFlow: 30
+  }));
+  const [, year1] = schedule.years;
+  // 30 - (10 + 0.25) - 50 = -30.25: 5 of headroom on RCF 1, 8 on RCF 2, the rest short
+  assertClose(year1.balances.rcf1, 10);
+  assertClose(year1.balances.rcf2, 8);
+  assertClose(year1.revolverDraw, 13);
+  assertClose(year1.shortfall, 17.25);
+});
+
+test('interest coverage covenant breaches in year 1 with a 50% EBITDA shortfall', () => {
+  const inputs = debtStackInputs({
+    covenants: [
+      { metric: 'interestCoverage', enabled: true, initial: 3, step: 0, limit: 3 },
+      { metric: 'totalLeverage', enabled: false, initial: 1, step: 0, limit: 1 }
+    ]
+  });
+  const debt = calculateDebtMetrics(inputs);
+  const covenants = calculateCovenants(inputs, debt, calculateDebtSchedule(inputs, debt));
+  assert.equal(covenants.tests.length, 1);
+  const [coverage] = covenants.tests;
+  assertClose(coverage.results[0].actual, 2);
+  assert.equal(coverage.results[0].pass, false);
+  assertClose(coverage.results[0].ebitdaCushion, -50);
+  assert.equal(covenants.firstBreachYear, 1);
+});
+
+test('senior secured leverage counts secured tranches of the Senior Secured type', () => {
+  const inputs = debtStackInputs({
+    tranches: [
+      tranche({ id: 'first', type: 'Senior Secured', secured: true }),
+      tranche({ id: 'term', type: 'Senior Secured', secured: true }),
+      tranche({ id: 'second', type: 'Second Lien', secured: true }),
+      tranche({ id: 'notes', type: 'Senior Secured', secured: false })
+    ],
+    covenants: [{ metric: 'seniorSecuredLeverage', enabled: true, initial: 20, step: 0, limit: 20 }]
+  });
+  const debt = calculateDebtMetrics(inputs);
+  const [seniorSecured] = calculateCovenants(inputs, debt, calculateDebtSchedule(inputs, debt)).tests;
+  // The two first-lien tranches: 200 of the 400 of debt on 20 of EBITDA
+  assertClose(seniorSecured.results[0].actual, 10);
+});
+
+test('leverage covenant steps down each year to its limit', () => {
+  const inputs = debtStackInputs({
+    covenants: [{ metric: 'totalLeverage', enabled: true, initial: 6, step: 0.5, limit: 5 }]
+  });
+  const debt = calculateDebtMetrics(inputs);
+  const [leverage] = calculateCovenants(inputs, debt, calculateDebtSchedule(inputs, debt)).tests;
+  assert.deepEqual(leverage.results.map(result => result.required), [6, 5.5, 5, 5, 5]);
+  // 100 of debt on 20 of EBITDA is 5.0x: passes every year, with no EBITDA cushion once at the limit
+  assert.ok(leverage.results.every(result => result.pass));
+  assertClose(leverage.minimumCushion, 0);
+});
+
+test('covenants with no years to test report no cushion', () => {
+  const covenants = [{ metric: 'totalLeverage', enabled: true, initial: 6, step: 0, limit: 6 }];
+  const inputs = debtStackInputs({ tranches: [], covenants });
+  const debt = calculateDebtMetrics(inputs);
+  const results = calculateCovenants(inputs, debt, calculateDebtSchedule(inputs, debt));
+  assert.equal(results.tests[0].minimumCushion, null);
+  assert.equal(results.minimumCushion, null);
+
+  const disabled = debtStackInputs({ covenants: [{ ...covenants[0], enabled: false }] });
+  const disabledDebt = calculateDebtMetrics(disabled);
+  assert.equal(calculateCovenants(disabled, disabledDebt, calculateDebtSchedule(disabled, disabledDebt)).minimumCushion, null);
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateDilution,
+  calculateWaterfall,
+  calculateWaterfallBreakpoints,
+  calculateCapTable
+} from '../src/engine/index.js';
+import { assertClose, dilutionInputs } from './helpers.js';
+
+test('priced round: $10M on $40M pre dilutes existing holders by 20%', () => {
+  const results = calculateDilution(dilutionInputs());
+  assert.equal(results.postMoneyValuation, 50000000);
+  assertClose(results.pricePerShare, 5);
+  assertClose(results.newShares, 2000000);
+  assertClose(results.totalSharesPost, 10000000);
+  assertClose(results.ownershipPost, 80);
+  assertClose(results.dilutionPercent, 20);
+  assertClose(results.newMoneyDilution, 20);
+});
+
+test('pre-money pool shuffle: existing holders alone fund a 10% post-money pool', () => {
+  const results = calculateDilution(dilutionInputs({ targetPoolPercent: 10 }));
+  // k = 10% × 50 / 40 = 0.125; pool = 0.125 × 8M / 0.875
+  assertClose(results.poolIncrease, 8000000 * 0.125 / 0.875, 1e-3);
+  assertClose(results.pricePerShare, 4.375, 1e-9);
+  assertClose(results.postMoneyPoolPercent, 10, 1e-9);
+  // New money still buys exactly its 20% of the post-money
+  assertClose(results.newMoneyDilution, 20, 1e-9);
+  // The headline price ignores the pool, the effective pre-money does not
+  assertClose(results.headlinePricePerShare, 5);
+  assertClose(results.effectivePreMoneyValuation, 35000000, 1e-3);
+});
+
+test('post-money pool: the top-up dilutes the new investors too', () => {
+  const results = calculateDilution(dilutionInputs({ targetPoolPercent: 10, poolTreatment: 'postMoney' }));
+  assertClose(results.pricePerShare, 5);
+  assertClose(results.postMoneyPoolPercent, 10, 1e-9);
+  assertClose(results.newMoneyDilution, 18, 1e-9);
+});
+
+test('post-money SAFE converts into 10% of the pre-round capitalization at its cap', () => {
+  const results = calculateDilution(dilutionInputs({
+    currentShares: 9000000,
+    preMoneyValuation: 20000000,
+    fundraiseAmount: 5000000,
+    convertibles: [
+      { id: 'safe', name: 'SAFE', type: 'postMoneySafe', principal: 1000000, valuationCap: 10000000, discount: 20, interestRate: 0, monthsOutstanding: 0 }
+    ]
+  }));
+  const [safe] = results.conversions;
+  assert.equal(safe.convertsAtCap, true);
+  assertClose(safe.shares, 1000000, 1);
+  assertClose(safe.conversionPrice, 1, 1e-6);
+  assertClose(results.pricePerShare, 2, 1e-6);
+});
+
+// $5 round against a $8 Series A of 2M shares inside the 8M outstanding
+const seriesA = (antiDilution) => [{ id: 'seriesA', name: 'Series A', shares: 2000000, pricePerShare: 8, antiDilution }];
+
+test('full ratchet reprices the Series A to the down-round price', () => {
+  const results = calculateDilution(dilutionInputs({ priorRounds: seriesA('fullRatchet') }));
+  assert.equal(results.isDownRound, true);
+  assert.equal(results.previousRoundPrice, 8);
+  const [adjustment] = results.adjustments;
+  assertClose(adjustment.adjustedPrice, 5);
+  assertClose(adjustment.additionalShares, 1200000, 1e-3);
+  assertClose(results.totalSharesPost, 11200000, 1e-3);
+  // Founders' 6M: 60% without the adjustment, 6 / 11.2 with it
+  assertClose(results.founderOwnershipPost, 6 / 11.2 * 100, 1e-9);
+  assertClose(results.extraFounderDilution, 60 - 6 / 11.2 * 100, 1e-9);
+  // Sources of dilution still add up: the adjustment shares stay with existing holders
+  assertClose(results.newMoneyDilution + results.poolDilution + results.conversionDilution, results.dilutionPercent, 1e-9);
+});
+
+test('weighted average: broad-based adjusts less than narrow-based', () => {
+  // Broad: 8 × (8M + 1.25M) / (8M + 2M); narrow: 8 × (2M + 1.25M) / (2M + 2M)
+  const broad = calculateDilution(dilutionInputs({ priorRounds: seriesA('broadBased') })).adjustments[0];
+  assertClose(broad.adjustedPrice, 7.4, 1e-9);
+  assertClose(broad.additionalShares, 2000000 * (8 / 7.4 - 1), 1e-3);
+  const narrow = calculateDilution(dilutionInputs({ priorRounds: seriesA('narrowBased') })).adjustments[0];
+  assertClose(narrow.adjustedPrice, 6.5, 1e-9);
+  assertClose(narrow.additionalShares, 2000000 * (8 / 6.5 - 1), 1e-3);
+});
+
+test('anti-dilution: no adjustment in an up round or without protection', () => {
+  const upRound = calculateDilution(dilutionInputs({ priorRounds: [{ ...seriesA('fullRatchet')[0], pricePerShare: 4 }] }));
+  assert.equal(upRound.isDownRound, false);
+  assert.equal(upRound.antiDilutionShares, 0);
+  assertClose(upRound.totalSharesPost, 10000000);
+
+  const unprotected = calculateDilution(dilutionInputs({ priorRounds: seriesA('none') }));
+  assert.equal(unprotected.isDownRound, true);
+  assert.equal(unprotected.antiDilutionShares, 0);
+  assert.equal(unprotected.extraFounderDilution, 0);
+});
+
+test('convertible note accrues simple interest and converts at its discount', () => {
+  const results = calculateDilution(dilutionInputs({
+    currentShares: 10000000,
+    preMoneyValuation: 50000000,
+    convertibles: [
+      { id: 'note', name: 'Note', type: 'convertibleNote', principal: 1000000, valuationCap: 0, discount: 20, interestRate: 8, monthsOutstanding: 12 }
+    ]
+  }));
+  const [note] = results.conversions;
+  assertClose(note.accruedInterest, 80000);
+  assertClose(note.conversionAmount, 1080000);
+  assert.equal(note.convertsAtCap, false);
+  // The pre-money includes the note shares: s = 1.08M / (0.8 × 50M / (10M + s))
+  assertClose(note.shares, 270000 / (1 - 0.027), 1);
+});
+
+test('1x non-participating preferred takes the greater of preference and conversion', () => {
+  const inputs = dilutionInputs();
+  const dilution = calculateDilution(inputs);
+
+  const low = calculateWaterfall(inputs, dilution, 30000000);
+  assertClose(low.investorPayout, 10000000);
+  assert.equal(low.converts, false);
+  assertClose(low.existingPayout, 20000000);
+
+  const high = calculateWaterfall(inputs, dilution, 100000000);
+  assertClose(high.investorPayout, 20000000);
+  assert.equal(high.converts, true);
+  assertClose(high.investorMultiple, 2);
+
+  const breakpoints = calculateWaterfallBreakpoints(inputs, dilution);
+  assertClose(breakpoints.find(bp => bp.label === 'Conversion to Common').exitValue, 50000000, 1e-3);
+});
+
+test('participating preferred with a 3x cap', () => {
+  const inputs = dilutionInputs({ participationRights: true, participationCap: 3 });
+  const dilution = calculateDilution(inputs);
+
+  // $10M preference + 20% of the remaining $90M
+  assertClose(calculateWaterfall(inputs, dilution, 100000000).investorPayout, 28000000);
+  // Capped at $30M below the conversion point
+  assertClose(calculateWaterfall(inputs, dilution, 120000000).investorPayout, 30000000);
+  // Above $150M converting to common beats the cap
+  const converted = calculateWaterfall(inputs, dilution, 200000000);
+  assert.equal(converted.converts, true);
+  assertClose(converted.investorPayout, 40000000);
+
+  const breakpoints = calculateWaterfallBreakpoints(inputs, dilution);
+  assertClose(breakpoints.find(bp => bp.label === 'Participation Cap Reached').exitValue, 110000000, 1e-3);
+  assertClose(breakpoints.find(bp => bp.label === 'Conversion to Common').exitValue, 150000000, 1e-3);
+});
+
+test('cap table: seed then Series A priced on the fully diluted share count', () => {
+  const results = calculateCapTable({
+    shareholderClasses: [{ id: 'founders', name: 'Founders', type: 'Common', shares: 8000000 }],
+    rounds: [
+      { id: 'seed', name: 'Seed', investment: 2000000, preMoneyValuation: 8000000, liquidationPreference: 1, participating: false, seniority: 2 },
+      { id: 'a', name: 'Series A', investment: 5000000, preMoneyValuation: 20000000, liquidationPreference: 1, participating: false, seniority: 1 }
+    ]
+  });
+  assert.deepEqual(results.stages.map(stage => stage.pricePerShare), [null, 1, 2]);
+  assertClose(results.stages[1].ownership.seed, 20);
+  assertClose(results.totalShares, 12500000);
+  const ownership = Object.fromEntries(results.holdings.map(holding => [holding.key, holding.ownership]));
+  assertClose(ownership.founders, 64);
+  assertClose(ownership.seed, 16);
+  assertClose(ownership.a, 20);
+});
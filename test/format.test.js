@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFormatters } from '../src/format.js';
+
+test('amounts are scaled to the units with the reporting currency symbol', () => {
+  const usd = createFormatters();
+  assert.equal(usd.formatMoney(52300000), '$52.3M');
+  assert.equal(usd.formatMoney(-52300000, 0), '-$52M');
+  assert.equal(usd.moneyUnit, '$M');
+  const thousands = createFormatters({ reportingCurrency: 'GBP', units: 'K', locale: 'en-GB' });
+  assert.equal(thousands.formatMoney(52300000), '£52,300.0K');
+  assert.equal(thousands.formatAmount(52300000, 0), '52,300');
+});
+
+test('the locale decides separators and where the symbol goes', () => {
+  const eur = createFormatters({ reportingCurrency: 'EUR', units: 'M', locale: 'de-DE' });
+  assert.equal(eur.formatMoney(1234500000), '1.234,5M €');
+  assert.equal(eur.formatPercent(11.357, 2), '11,36%');
+  assert.equal(eur.formatMultiple(5.3125), '5,31x');
+  assert.equal(eur.moneyUnit, '€M');
+  assert.equal(createFormatters({ reportingCurrency: 'CHF', units: 'B', locale: 'en-US' }).moneyUnit, 'CHF B');
+});
+
+test('prices and counts are not scaled', () => {
+  const { formatPrice, formatNumber } = createFormatters();
+  assert.equal(formatPrice(12.5), '$12.50');
+  assert.equal(formatNumber(1234567.4), '1,234,567');
+});
+
+test('missing and non-finite values read n/a', () => {
+  const { formatMoney, formatPercent, formatPrice } = createFormatters();
+  assert.equal(formatMoney(null), 'n/a');
+  assert.equal(formatPercent(undefined), 'n/a');
+  assert.equal(formatPrice(Infinity), 'n/a');
+});
@@ -0,0 +1,78 @@
+// Shared helpers for the engine tests (run with `node --test test/`).
+import assert from 'node:assert/strict';
+
+export const assertClose = (actual, expected, tolerance = 1e-6, message) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    message || `expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+};
+
+// WACC inputs with every method's fields filled in; tests override what they exercise
+export const waccInputs = (overrides = {}) => ({
+  marketValueEquity: 600,
+  marketValueDebt: 400,
+  costOfEquity: 12,
+  costOfDebt: 8,
+  taxRate: 30,
+  riskFreeRate: 4,
+  beta: 1.5,
+  marketRiskPremium: 6,
+  perpetualGrowth: 2,
+  costOfEquityMethod: 'manual',
+  sizePremium: 3,
+  companySpecificPremium: 2,
+  comparables: [],
+  cashFlowProjection: [],
+  ...overrides
+});
+
+// A plain priced round: no pool top-up and no convertibles unless overridden
+export const dilutionInputs = (overrides = {}) => ({
+  currentShares: 8000000,
+  currentValuation: 40000000,
+  fundraiseAmount: 10000000,
+  preMoneyValuation: 40000000,
+  liquidationPreference: 1,
+  participationRights: false,
+  participationCap: 0,
+  proRataRights: true,
+  existingPoolShares: 0,
+  targetPoolPercent: 0,
+  poolTreatment: 'preMoney',
+  exitValue: 100000000,
+  convertibles: [],
+  ...overrides
+});
+
+export const tranche = (overrides = {}) => ({
+  id: 'term',
+  name: 'Term Loan',
+  type: 'Senior Secured',
+  seniority: 1,
+  secured: true,
+  isRevolver: false,
+  amount: 100,
+  commitment: 0,
+  rateType: 'fixed',
+  rate: 10,
+  spread: 0,
+  maturity: 5,
+  oidPercent: 0,
+  amortizationType: 'bullet',
+  amortizationRate: 0,
+  ...overrides
+});
+
+export const debtStackInputs = (overrides = {}) => ({
+  tranches: [tranche()],
+  baseRate: 4,
+  ebitda: 20,
+  cashFlow: 80,
+  ebitdaGrowth: 0,
+  cashFlowGrowth: 0,
+  sweepPercent: 0,
+  capex: 0,
+  covenants: [],
+  ...overrides
+});
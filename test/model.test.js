@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { runModel, MODEL_INPUT_GROUPS } from '../src/engine/index.js';
+import { parseModel, storedModel, readStoredModel, encodeModelLink, decodeModelLink } from '../src/modelFiles.js';
+
+const fixture = fileURLToPath(new URL('./fixtures/base-model.json', import.meta.url));
+const cli = fileURLToPath(new URL('../bin/value-model.js', import.meta.url));
+
+// The fixture as a version 2 file: a currency on the priced round, every round and every tranche
+const version2File = () => {
+  const file = JSON.parse(readFileSync(fixture, 'utf8'));
+  const inUsd = (item) => ({ ...item, currency: 'USD' });
+  const { dilutionInputs, capTableInputs, debtStackInputs } = file.inputs;
+  return {
+    ...file,
+    version: 2,
+    inputs: {
+      ...file.inputs,
+      dilutionInputs: inUsd(dilutionInputs),
+      capTableInputs: { ...capTableInputs, rounds: capTableInputs.rounds.map(inUsd) },
+      debtStackInputs: { ...debtStackInputs, tranches: debtStackInputs.tranches.map(inUsd) }
+    }
+  };
+};
+
+test('exported model file round-trips through parseModel', () => {
+  const { inputs, errors } = parseModel(readFileSync(fixture, 'utf8'));
+  assert.deepEqual(errors, []);
+  MODEL_INPUT_GROUPS.forEach(group => assert.ok(inputs[group], group));
+});
+
+test('version 1 model files load with every amount in USD', () => {
+  const file = JSON.parse(readFileSync(fixture, 'utf8'));
+  assert.equal(file.version, 1);
+  // The app's current shape has a currency on every tranche
+  const { debtStackInputs } = file.inputs;
+  const template = { ...file.inputs, debtStackInputs: { ...debtStackInputs, tranches: [{ ...debtStackInputs.tranches[0], currency: 'EUR' }] } };
+  const { inputs, errors } = parseModel(JSON.stringify(file), template);
+  assert.deepEqual(errors, []);
+  assert.equal(inputs.dilutionInputs.currency, 'USD');
+  inputs.debtStackInputs.tranches.forEach(tranche => assert.equal(tranche.currency, 'USD'));
+  inputs.capTableInputs.rounds.forEach(round => assert.equal(round.currency, 'USD'));
+});
+
+test('array entries are checked against their item shape even when the app has none', () => {
+  const file = JSON.parse(readFileSync(fixture, 'utf8'));
+  const template = { ...file.inputs, dilutionInputs: { ...file.inputs.dilutionInputs, convertibles: [], priorRounds: [] } };
+  const garbage = {
+    ...file,
+    inputs: { dilutionInputs: { convertibles: ['safe'], priorRounds: [{ id: 'seed', name: 'Seed', shares: '1000' }] } }
+  };
+  const { inputs, errors } = parseModel(JSON.stringify(garbage), template);
+  assert.equal(inputs, null);
+  assert.deepEqual(errors, [
+    'inputs.dilutionInputs.convertibles[0]: expected an object, found a string',
+    'inputs.dilutionInputs.priorRounds[0].shares: expected a number, found a string',
+    'inputs.dilutionInputs.priorRounds[0].pricePerShare: missing',
+    'inputs.dilutionInputs.priorRounds[0].antiDilution: missing'
+  ]);
+});
+
+test('older model files move the stack revolver commitment onto each revolver', () => {
+  const { inputs } = parseModel(JSON.stringify(version2File()));
+  assert.equal('revolverCommitment' in inputs.debtStackInputs, false);
+  assert.deepEqual(
+    inputs.debtStackInputs.tranches.map(tranche => [tranche.id, tranche.commitment]),
+    [['revolver', 75000000], ['tla', 0], ['tlb', 0], ['notes', 0], ['sub', 0]]
+  );
+});
+
+test('version 2 model files keep operating amounts in their reporting currency', () => {
+  const file = version2File();
+  const currencyInputs = { reportingCurrency: 'EUR', units: 'M', locale: 'en-US', fxRates: { USD: 1, EUR: 1.1, GBP: 1.25, CHF: 1, CAD: 0.75, JPY: 0.0075 } };
+  const { inputs } = parseModel(JSON.stringify({ ...file, inputs: { ...file.inputs, currencyInputs } }));
+  assert.equal(inputs.currencyInputs.modelCurrency, 'EUR');
+});
+
+test('stored state is upgraded and shape-checked like a model file', () => {
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  assert.deepEqual(readStoredModel(storedModel(inputs), inputs), { inputs, errors: [] });
+
+  // A workspace stored before it carried a version: currencies but a stack-wide revolver commitment
+  const currencyInputs = { reportingCurrency: 'EUR', units: 'M', locale: 'en-US', fxRates: { USD: 1, EUR: 1.1, GBP: 1.25, CHF: 1, CAD: 0.75, JPY: 0.0075 } };
+  const template = { ...inputs, currencyInputs: { ...currencyInputs, modelCurrency: 'USD' } };
+  const debtStackInputs = {
+    ...inputs.debtStackInputs,
+    revolverCommitment: 75000000,
+    tranches: inputs.debtStackInputs.tranches.map(({ commitment, ...tranche }) => tranche)
+  };
+  const upgraded = readStoredModel({ inputs: { ...inputs, debtStackInputs, currencyInputs } }, template);
+  assert.deepEqual(upgraded.errors, []);
+  assert.equal(upgraded.inputs.currencyInputs.modelCurrency, 'EUR');
+  assert.equal(upgraded.inputs.debtStackInputs.tranches.find(tranche => tranche.isRevolver).commitment, 75000000);
+
+  const damaged = readStoredModel(storedModel({ capTableInputs: { shareholderClasses: null } }), inputs);
+  assert.equal(damaged.inputs, null);
+  assert.deepEqual(damaged.errors, ['inputs.capTableInputs.shareholderClasses: expected an array, found null']);
+  assert.deepEqual(readStoredModel('workspace', inputs).errors, ['Not a stored model: expected an object, found a string']);
+});
+
+test('runModel chains WACC, the debt stack and the dilution share count into the DCF', () => {
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  const results = runModel(inputs);
+  assert.equal(results.dcf.wacc, results.wacc.wacc);
+  assert.equal(results.dcf.totalDebt, results.debt.totalDebt);
+  assert.equal(results.lbo.sources.length, inputs.debtStackInputs.tranches.length + 1);
+  assert.ok(Number.isFinite(results.dcf.valuePerShare));
+  assert.ok(Number.isFinite(results.lbo.irr));
+});
+
+test('CLI values a model file as JSON', () => {
+  const output = execFileSync(process.execPath, [cli, '--format', 'json', fixture], { encoding: 'utf8' });
+  const [row] = JSON.parse(output);
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  assert.equal(row.summary.wacc, runModel(inputs).wacc.wacc);
+});
+
+test('files read without a template still need their arrays in shape', () => {
+  const file = JSON.parse(readFileSync(fixture, 'utf8'));
+  const { shareholderClasses, ...capTableInputs } = file.inputs.capTableInputs;
+  const debtStackInputs = { ...file.inputs.debtStackInputs, covenants: [{ metric: 'totalLeverage' }] };
+  const { inputs, errors } = parseModel(JSON.stringify({ ...file, inputs: { ...file.inputs, capTableInputs, debtStackInputs } }));
+  assert.equal(inputs, null);
+  assert.deepEqual(errors, [
+    'inputs.debtStackInputs.covenants[0].enabled: missing',
+    'inputs.debtStackInputs.covenants[0].initial: missing',
+    'inputs.debtStackInputs.covenants[0].step: missing',
+    'inputs.debtStackInputs.covenants[0].limit: missing',
+    'inputs.capTableInputs.shareholderClasses: missing'
+  ]);
+  // Files saved before prior rounds existed leave them out
+  assert.equal('priorRounds' in file.inputs.dilutionInputs, false);
+});
+
+test('CLI exits 1 and names the file when a model is invalid', () => {
+  const result = spawnSync(process.execPath, [cli, cli], { encoding: 'utf8' });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /value-model\.js: /);
+});
+
+test('share link round-trips the model and the active tab', async () => {
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  const link = await encodeModelLink(inputs, 'debt');
+  assert.match(link, /^[A-Za-z0-9_-]+$/);
+  assert.ok(link.length < JSON.stringify(inputs).length / 2);
+  const decoded = await decodeModelLink(link, inputs);
+  assert.deepEqual(decoded.errors, []);
+  assert.equal(decoded.tab, 'debt');
+  assert.deepEqual(decoded.inputs, inputs);
+});
+
+test('a truncated share link is rejected', async () => {
+  const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+  const link = await encodeModelLink(inputs, 'wacc');
+  const decoded = await decodeModelLink(link.slice(0, link.length / 2), inputs);
+  assert.equal(decoded.inputs, null);
+  assert.deepEqual(decoded.errors, ['The link is incomplete or damaged']);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatReportValue, buildReportDocument } from '../src/report.js';
+
+test('report values take their format from the unit in the label', () => {
+  assert.equal(formatReportValue(11.3579, 'WACC (%)'), '11.36%');
+  assert.equal(formatReportValue(5.3125, 'Total Leverage (x)'), '5.31x');
+  assert.equal(formatReportValue(450000000, 'Pre-Money Valuation'), '450,000,000');
+  assert.equal(formatReportValue(1.2, 'Beta'), '1.20');
+  assert.equal(formatReportValue(7, 'Year'), '7');
+});
+
+test('report values use the separators of the model locale', () => {
+  assert.equal(formatReportValue(450000000, 'Pre-Money Valuation', 'de-DE'), '450.000.000');
+  assert.equal(formatReportValue(11.3579, 'WACC (%)', 'fr-FR'), '11,36%');
+});
+
+test('missing and non-finite report values read n/a', () => {
+  assert.equal(formatReportValue(null, 'Interest Coverage (x)'), 'n/a');
+  assert.equal(formatReportValue(Infinity), 'n/a');
+  assert.equal(formatReportValue(''), '');
+  assert.equal(formatReportValue(true), 'Yes');
+});
+
+test('report document escapes the title and embeds the markup', () => {
+  const html = buildReportDocument('A&B <Deal>', '<div class="report">body</div>');
+  assert.match(html, /<title>A&amp;B &lt;Deal&gt;<\/title>/);
+  assert.ok(html.includes('<div class="report-view"><div class="report">body</div></div>'));
+  assert.ok(html.includes('@media print'));
+});
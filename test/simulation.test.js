@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { runModel } from '../src/engine/index.js';
+import { parseModel } from '../src/modelFiles.js';
+import { runSimulation, runTrial, baseSample, summarize } from '../src/simulation.js';
+import { assertClose } from './helpers.js';
+
+const fixture = fileURLToPath(new URL('./fixtures/base-model.json', import.meta.url));
+const { inputs } = parseModel(readFileSync(fixture, 'utf8'));
+
+const VARIABLES = ['ebitda', 'ebitdaGrowth', 'costOfDebt', 'beta', 'exitValue', 'exitMultiple'];
+const distributions = (type) => Object.fromEntries(VARIABLES.map(key => [key, { type }]));
+
+const spread = {
+  ebitda: { type: 'normal', mean: 80000000, stdDev: 8000000 },
+  ebitdaGrowth: { type: 'triangular', min: 0, mode: 5, max: 8 },
+  costOfDebt: { type: 'uniform', min: 5, max: 7.5 },
+  beta: { type: 'normal', mean: 1.2, stdDev: 0.15 },
+  exitValue: { type: 'triangular', min: 250000000, mode: 750000000, max: 1500000000 },
+  exitMultiple: { type: 'normal', mean: 9, stdDev: 1 }
+};
+
+test('the same seed reproduces every trial', () => {
+  const run = (seed) => runSimulation({ inputs, distributions: spread, trials: 200, seed, targetIrr: 20 });
+  assert.deepEqual(run(7), run(7));
+  assert.notDeepEqual(run(7).summaries.irr, run(8).summaries.irr);
+});
+
+test('fixed distributions reproduce the deterministic model', () => {
+  const model = runModel(inputs);
+  const trial = runTrial(inputs, baseSample(inputs));
+  assertClose(trial.wacc, model.wacc.wacc);
+  assertClose(trial.leverage, model.debt.totalLeverageRatio);
+  assertClose(trial.interestCoverage, model.debt.interestCoverage);
+  assertClose(trial.investorPayout, model.waterfall.investorPayout);
+  assertClose(trial.irr, model.lbo.irr);
+  // Fixed charge coverage breaches in year 3 of the schedule
+  assert.equal(model.covenants.firstBreachYear, 3);
+  assert.equal(trial.breachYear, 3);
+
+  const results = runSimulation({ inputs, distributions: distributions('fixed'), trials: 20, seed: 1, targetIrr: 20 });
+  assertClose(results.summaries.wacc.mean, model.wacc.wacc);
+  assertClose(results.summaries.leverage.mean, model.debt.totalLeverageRatio);
+  assertClose(results.summaries.irr.mean, model.lbo.irr);
+  assert.equal(results.covenantBreachProbability, 100);
+  assert.equal(results.belowTargetProbability, model.lbo.irr < 20 ? 100 : 0);
+});
+
+test('a sampled beta prices comparables-method equity like the model', () => {
+  const comparables = { ...inputs, waccInputs: { ...inputs.waccInputs, costOfEquityMethod: 'comparables' } };
+  assertClose(runTrial(comparables, baseSample(comparables)).wacc, runModel(comparables).wacc.wacc);
+});
+
+test('fixed trials in another model currency match the model in the reporting currency', () => {
+  const currencyInputs = { reportingCurrency: 'USD', modelCurrency: 'EUR', units: 'M', locale: 'en-US', fxRates: { USD: 1, EUR: 1.1, GBP: 1.25, CHF: 1, CAD: 0.75, JPY: 0.0075 } };
+  const eur = { ...inputs, currencyInputs };
+  const model = runModel(eur);
+  const trial = runTrial(eur, baseSample(eur));
+  assertClose(trial.leverage, model.debt.totalLeverageRatio);
+  assertClose(trial.irr, model.lbo.irr);
+  assert.equal(trial.breachYear, model.covenants.firstBreachYear);
+});
+
+test('trials that draw an EBITDA at or below zero fail and are left out of the results', () => {
+  const risky = { ...distributions('fixed'), ebitda: { type: 'normal', mean: 20000000, stdDev: 40000000 } };
+  const results = runSimulation({ inputs, distributions: risky, trials: 200, seed: 3, targetIrr: 20 });
+  assert.ok(results.failedTrials > 0 && results.failedTrials < 200);
+  const completed = results.summaries.leverage.histogram.reduce((sum, bin) => sum + bin.count, 0);
+  assert.equal(completed, 200 - results.failedTrials);
+  assert.ok(results.summaries.leverage.min > 0);
+
+  const hopeless = { ...distributions('fixed'), ebitda: { type: 'uniform', min: -2000000, max: 0 } };
+  const failed = runSimulation({ inputs, distributions: hopeless, trials: 20, seed: 3, targetIrr: 20 });
+  assert.equal(failed.failedTrials, 20);
+  assert.equal(failed.covenantBreachProbability, null);
+  assert.equal(failed.summaries.irr.mean, null);
+  assert.deepEqual(failed.summaries.irr.histogram, []);
+});
+
+test('summarize interpolates percentiles and bins every finite value', () => {
+  const values = Array.from({ length: 101 }, (_, i) => 100 - i);
+  const summary = summarize([...values, Infinity, null], 4);
+  assert.equal(summary.mean, 50);
+  assert.equal(summary.min, 0);
+  assert.equal(summary.max, 100);
+  assert.deepEqual(summary.percentiles.map(({ p, value }) => [p, value]), [[5, 5], [10, 10], [25, 25], [50, 50], [75, 75], [90, 90], [95, 95]]);
+  assert.deepEqual(
+    summary.histogram.map(({ start, end, midpoint, count }) => [start, end, midpoint, count]),
+    [[0, 25, 12.5, 25], [25, 50, 37.5, 25], [50, 75, 62.5, 25], [75, 100, 87.5, 26]]
+  );
+
+  const interpolated = summarize([10, 20], 2);
+  assert.equal(interpolated.percentiles.find(({ p }) => p === 25).value, 12.5);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { runModel, validateInputs, collectWarnings, calculateDebtMetrics } from '../src/engine/index.js';
+import { parseModel } from '../src/modelFiles.js';
+import { waccInputs, dilutionInputs, debtStackInputs, tranche } from './helpers.js';
+
+const fixture = fileURLToPath(new URL('./fixtures/base-model.json', import.meta.url));
+const loadFixture = () => parseModel(readFileSync(fixture, 'utf8')).inputs;
+
+test('the exported base model has no validation errors', () => {
+  assert.deepEqual(validateInputs(loadFixture()), []);
+});
+
+test('unknown choices are rejected by path before they reach the engine', () => {
+  const inputs = loadFixture();
+  const [covenant, ...covenants] = inputs.debtStackInputs.covenants;
+  const errors = validateInputs({
+    ...inputs,
+    waccInputs: { ...inputs.waccInputs, costOfEquityMethod: 'foo' },
+    debtStackInputs: { ...inputs.debtStackInputs, covenants: [{ ...covenant, metric: 'foo', enabled: 'yes' }, ...covenants] },
+    dcfInputs: { ...inputs.dcfInputs, terminalMethod: 'foo' },
+    currencyInputs: { reportingCurrency: 'USD', units: 'X', fxRates: { USD: 1, EUR: 1, GBP: 1, CHF: 1, CAD: 1, JPY: 1 } }
+  });
+  assert.deepEqual(errors.map(error => error.path), [
+    'waccInputs.costOfEquityMethod',
+    'debtStackInputs.covenants.0.metric',
+    'debtStackInputs.covenants.0.enabled',
+    'dcfInputs.terminalMethod',
+    'currencyInputs.units'
+  ]);
+  assert.match(errors[0].message, /^Must be one of capm, buildUp, comparables, manual$/);
+});
+
+test('cleared, non-numeric and out-of-range fields are reported by path', () => {
+  const errors = validateInputs({ waccInputs: waccInputs({ marketValueEquity: '', costOfDebt: 'abc', taxRate: 120 }) });
+  assert.deepEqual(errors, [
+    { path: 'waccInputs.marketValueEquity', label: 'Market Value of Equity', message: 'Required' },
+    { path: 'waccInputs.costOfDebt', label: 'Cost of Debt', message: 'Must be a number' },
+    { path: 'waccInputs.taxRate', label: 'Tax Rate', message: 'Must be at most 100' }
+  ]);
+});
+
+test('array items are labelled by position', () => {
+  const errors = validateInputs({ debtStackInputs: debtStackInputs({ tranches: [tranche(), tranche({ id: 'sub', amount: -1 })] }) });
+  assert.deepEqual(errors.map(error => [error.path, error.label]), [['debtStackInputs.tranches.1.amount', 'Tranche 2 Amount']]);
+});
+
+test('inputs used only by another method are not checked', () => {
+  const manual = waccInputs({ sizePremium: '', costOfEquityMethod: 'manual' });
+  assert.deepEqual(validateInputs({ waccInputs: manual }), []);
+  assert.equal(validateInputs({ waccInputs: { ...manual, costOfEquityMethod: 'buildUp' } }).length, 1);
+});
+
+test('cross-field rules run once the fields themselves are valid', () => {
+  // An 80% post-money pool shuffled into a $40M pre-money ahead of a $10M raise takes all of it
+  const errors = validateInputs({ dilutionInputs: dilutionInputs({ targetPoolPercent: 80 }) });
+  assert.deepEqual(errors.map(error => error.message), ['Too large to fit in the pre-money at this valuation']);
+  const blank = validateInputs({ dilutionInputs: dilutionInputs({ targetPoolPercent: 80, fundraiseAmount: '' }) });
+  assert.deepEqual(blank.map(error => error.message), ['Required']);
+});
+
+test('zero equity is rejected, negative equity only warned about', () => {
+  const errors = validateInputs({ waccInputs: waccInputs({ marketValueEquity: 0 }) });
+  assert.deepEqual(errors.map(error => [error.path, error.message]), [['waccInputs.marketValueEquity', 'Must not be 0']]);
+  const noCapital = validateInputs({ waccInputs: waccInputs({ marketValueEquity: -400 }) });
+  assert.deepEqual(noCapital.map(error => error.message), ['Equity plus debt must be greater than 0']);
+
+  const inputs = loadFixture();
+  const negative = { ...inputs, waccInputs: { ...inputs.waccInputs, marketValueEquity: -50000000 } };
+  assert.deepEqual(validateInputs(negative), []);
+  const warnings = collectWarnings(negative, runModel(negative)).map(warning => warning.message);
+  assert.ok(warnings.includes('Equity weight is negative (-33.3%): check the market value of equity'), warnings.join('; '));
+});
+
+test('currency inputs without a full rate map are rejected before they reach the engine', () => {
+  const errors = validateInputs({ currencyInputs: { reportingCurrency: 'EUR' } });
+  assert.deepEqual(errors.map(error => error.path), ['USD', 'EUR', 'GBP', 'CHF', 'CAD', 'JPY'].map(code => `currencyInputs.fxRates.${code}`));
+  const partial = validateInputs({ currencyInputs: { reportingCurrency: 'EUR', fxRates: { USD: 1, EUR: 1.08, GBP: 1.27, CHF: 1.12, CAD: 0.73 } } });
+  assert.deepEqual(partial.map(error => [error.label, error.message]), [['JPY FX Rate', 'Required']]);
+});
+
+test('the comparables method needs at least one comparable company', () => {
+  const errors = validateInputs({ waccInputs: waccInputs({ costOfEquityMethod: 'comparables', comparables: [] }) });
+  assert.deepEqual(errors.map(error => [error.path, error.message]), [['waccInputs.comparables', 'Add at least one comparable company to use this method']]);
+  assert.deepEqual(validateInputs({ waccInputs: waccInputs({ costOfEquityMethod: 'capm', comparables: [] }) }), []);
+});
+
+test('prior round shares must fit inside the shares outstanding', () => {
+  const priorRounds = [{ id: 'seriesA', name: 'Series A', shares: 7000000, pricePerShare: 8, antiDilution: 'broadBased' }];
+  const errors = validateInputs({ dilutionInputs: dilutionInputs({ existingPoolShares: 2000000, priorRounds }) });
+  assert.deepEqual(errors.map(error => error.path), ['dilutionInputs.priorRounds']);
+  const unknown = validateInputs({ dilutionInputs: dilutionInputs({ priorRounds: [{ ...priorRounds[0], shares: 1000000, antiDilution: 'ratchet' }] }) });
+  assert.deepEqual(unknown.map(error => error.label), ['Prior Round 1 Anti-Dilution']);
+});
+
+test('no warnings for the base model', () => {
+  const inputs = loadFixture();
+  assert.deepEqual(collectWarnings(inputs, runModel(inputs)), []);
+});
+
+test('warns when EBITDA does not cover interest', () => {
+  const inputs = loadFixture();
+  const stressed = { ...inputs, debtStackInputs: { ...inputs.debtStackInputs, ebitda: inputs.debtStackInputs.ebitda / 10 } };
+  const coverage = calculateDebtMetrics(stressed.debtStackInputs).interestCoverage;
+  const warnings = collectWarnings(stressed, runModel(stressed)).filter(warning => warning.group === 'debtStackInputs');
+  assert.ok(coverage < 1);
+  assert.ok(warnings.some(warning => warning.message.startsWith(`Interest coverage of ${coverage.toFixed(2)}x`)));
+});
+
+test('warns when the round is priced below the previous round', () => {
+  const inputs = loadFixture();
+  const downRound = {
+    ...inputs,
+    dilutionInputs: { ...inputs.dilutionInputs, priorRounds: [{ id: 'seriesA', name: 'Series A', shares: 2000000, pricePerShare: 50, antiDilution: 'broadBased' }] }
+  };
+  const results = runModel(downRound);
+  assert.equal(results.dilution.isDownRound, true);
+  assert.ok(collectWarnings(downRound, results).some(warning => warning.message.startsWith('Down round:')));
+});
+
+test('an undrawn debt stack has no blended cost and no coverage ratios', () => {
+  const results = calculateDebtMetrics(debtStackInputs({ tranches: [tranche({ amount: 0 })] }));
+  assert.equal(results.weightedAverageCost, 0);
+  assert.equal(results.interestCoverage, null);
+  assert.equal(results.debtServiceCoverage, null);
+});
+
+test('currencies must be known and FX rates positive; a missing currency is USD', () => {
+  const errors = validateInputs({
+    debtStackInputs: debtStackInputs({ tranches: [tranche(), tranche({ id: 'eur', currency: 'XYZ' })] }),
+    currencyInputs: { reportingCurrency: 'EUR', units: 'M', locale: 'en-US', fxRates: { USD: 1, EUR: 0, GBP: 1.27, CHF: 1.12, CAD: 0.73, JPY: 0.0067 } }
+  });
+  assert.deepEqual(errors.map(error => [error.path, error.message]), [
+    ['debtStackInputs.tranches.1.currency', 'Must be one of USD, EUR, GBP, CHF, CAD, JPY'],
+    ['currencyInputs.fxRates.EUR', 'Must be greater than 0']
+  ]);
+});
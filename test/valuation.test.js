@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateDCF,
+  calculateDebtMetrics,
+  calculateDebtSchedule,
+  calculateLBOReturns,
+  generateLBOGrid
+} from '../src/engine/index.js';
+import { assertClose, debtStackInputs, tranche } from './helpers.js';
+
+// Flat revenue with no taxes or reinvestment: FCF is EBITDA
+const dcfInputs = (overrides = {}) => ({
+  baseRevenue: 1000,
+  revenueGrowth: [0],
+  ebitdaMargin: 20,
+  daPercent: 0,
+  capexPercent: 0,
+  nwcPercent: 0,
+  taxRate: 0,
+  terminalMethod: 'gordon',
+  terminalGrowth: 0,
+  exitMultiple: 10,
+  cash: 100,
+  ...overrides
+});
+
+test('DCF of a flat 200 perpetuity at 10% is 2,000 of enterprise value', () => {
+  const results = calculateDCF(dcfInputs(), { wacc: 10, totalDebt: 500, shares: 100 });
+  assertClose(results.projections[0].unleveredFcf, 200);
+  assertClose(results.terminalValue, 2000);
+  assertClose(results.enterpriseValue, 2000);
+  assertClose(results.netDebt, 400);
+  assertClose(results.equityValue, 1600);
+  assertClose(results.valuePerShare, 16);
+  assertClose(results.impliedExitMultiple, 10);
+});
+
+test('DCF exit multiple method cross-checks to the implied perpetual growth', () => {
+  const results = calculateDCF(dcfInputs({ terminalMethod: 'exitMultiple' }), { wacc: 10, totalDebt: 0, shares: 1 });
+  assertClose(results.enterpriseValue, 2000);
+  assertClose(results.impliedTerminalGrowth, 0);
+});
+
+test('DCF taxes EBIT and charges reinvestment against free cash flow', () => {
+  const results = calculateDCF(
+    dcfInputs({ revenueGrowth: [10], daPercent: 5, capexPercent: 5, nwcPercent: 10, taxRate: 25 }),
+    { wacc: 10, totalDebt: 0, shares: 1 }
+  );
+  const [year1] = results.projections;
+  // Revenue 1,100: EBIT 165, tax 41.25, capex 55, NWC 10
+  assertClose(year1.ebit, 165);
+  assertClose(year1.unleveredFcf, 165 - 41.25 + 55 - 55 - 10);
+});
+
+test('DCF has no Gordon terminal value when growth reaches WACC', () => {
+  const results = calculateDCF(dcfInputs({ terminalGrowth: 10 }), { wacc: 10, totalDebt: 0, shares: 1 });
+  assert.equal(results.terminalValue, null);
+  assert.equal(results.enterpriseValue, null);
+  assert.equal(results.valuePerShare, null);
+});
+
+const lboStack = debtStackInputs({
+  tranches: [tranche({ amount: 300, rate: 0, maturity: 7 })],
+  ebitda: 100,
+  cashFlow: 0
+});
+const lboInputs = { entryMultiple: 8, exitMultiple: 10, holdPeriod: 5, transactionFeePercent: 0 };
+
+test('LBO: 500 of equity returned as 700 over five years', () => {
+  const debt = calculateDebtMetrics(lboStack);
+  const results = calculateLBOReturns(lboInputs, lboStack, debt, calculateDebtSchedule(lboStack, debt));
+  assertClose(results.sponsorEquity, 500);
+  assertClose(results.exitEnterpriseValue, 1000);
+  assertClose(results.exitEquity, 700);
+  assertClose(results.moic, 1.4);
+  assertClose(results.irr, (Math.pow(1.4, 1 / 5) - 1) * 100);
+  const attribution = Object.fromEntries(results.attribution.map(item => [item.name, item.value]));
+  assert.deepEqual(attribution, {
+    'EBITDA Growth': 0,
+    'Multiple Expansion': 200,
+    Deleveraging: 0,
+    'Fees & Expenses': -0
+  });
+});
+
+test('LBO fees are funded with sponsor equity', () => {
+  const stack = { ...lboStack, tranches: [tranche({ amount: 300, rate: 0, maturity: 7, oidPercent: 2 })] };
+  const debt = calculateDebtMetrics(stack);
+  const results = calculateLBOReturns({ ...lboInputs, transactionFeePercent: 2 }, stack, debt, calculateDebtSchedule(stack, debt));
+  // 800 purchase + 16 transaction fees + 6 OID - 300 debt
+  assertClose(results.totalUses, 822);
+  assertClose(results.sponsorEquity, 522);
+});
+
+test('LBO grid centres on the base case', () => {
+  const debt = calculateDebtMetrics(lboStack);
+  const schedule = calculateDebtSchedule(lboStack, debt);
+  const grid = generateLBOGrid(lboInputs, lboStack, debt, schedule);
+  assert.deepEqual(grid.exitMultiples, [9, 9.5, 10, 10.5, 11]);
+  assert.deepEqual(grid.rows.map(row => row.entryMultiple), [7, 7.5, 8, 8.5, 9]);
+  assertClose(grid.rows[2].irrs[2], calculateLBOReturns(lboInputs, lboStack, debt, schedule).irr);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateCostOfEquity,
+  calculateWACC,
+  calculateOptimalCapitalStructure,
+  evaluateValuation,
+  unleverBeta
+} from '../src/engine/index.js';
+import { assertClose, waccInputs } from './helpers.js';
+
+test('textbook WACC: 60/40 weights, 12% equity, 8% debt, 30% tax', () => {
+  const results = calculateWACC(waccInputs());
+  assertClose(results.equityWeight, 60);
+  assertClose(results.debtWeight, 40);
+  assertClose(results.afterTaxCostOfDebt, 5.6);
+  // 0.6 × 12% + 0.4 × 8% × (1 − 30%)
+  assertClose(results.wacc, 9.44);
+});
+
+test('CAPM cost of equity is risk-free plus beta times the market premium', () => {
+  const results = calculateCostOfEquity(waccInputs({ costOfEquityMethod: 'capm' }));
+  assertClose(results.costOfEquity, 13);
+  assert.equal(results.beta, 1.5);
+});
+
+test('build-up cost of equity adds the size and company-specific premia', () => {
+  const results = calculateCostOfEquity(waccInputs({ costOfEquityMethod: 'buildUp' }));
+  assertClose(results.costOfEquity, 15);
+  // No beta of its own, so the entered beta carries through
+  assert.equal(results.beta, 1.5);
+});
+
+test('Hamada unlevering of a 1.2 beta at 0.5x D/E and 40% tax', () => {
+  assertClose(unleverBeta(1.2, 0.5, 40), 1.2 / 1.3);
+});
+
+test('comparables relever the median unlevered beta at the target D/E', () => {
+  const results = calculateCostOfEquity(waccInputs({
+    costOfEquityMethod: 'comparables',
+    comparables: [
+      { id: 'a', name: 'A', leveredBeta: 1.2, debtToEquity: 0.5, taxRate: 40 },
+      { id: 'b', name: 'B', leveredBeta: 1.0, debtToEquity: 0, taxRate: 25 },
+      { id: 'c', name: 'C', leveredBeta: 0.8, debtToEquity: 0.25, taxRate: 20 }
+    ]
+  }));
+  // Unlevered: 0.9231, 1.0000, 0.6667 -> median 0.9231; relevered at 400/600 and 30% tax
+  assertClose(results.medianUnleveredBeta, 1.2 / 1.3);
+  assertClose(results.releveredBeta, (1.2 / 1.3) * (1 + 0.7 * (400 / 600)));
+  assertClose(results.costOfEquity, 4 + results.releveredBeta * 6);
+});
+
+test('no comparables give the comparables method no beta and no cost of equity', () => {
+  const results = calculateWACC(waccInputs({ comparables: [] }));
+  const comparables = results.reconciliation.find(row => row.method === 'comparables');
+  assert.equal(comparables.beta, null);
+  assert.equal(comparables.costOfEquity, null);
+  assert.equal(comparables.wacc, null);
+  assert.equal(calculateCostOfEquity(waccInputs({ costOfEquityMethod: 'comparables', comparables: [] })).costOfEquity, null);
+});
+
+test('reconciliation prices WACC under every cost of equity method', () => {
+  const results = calculateWACC(waccInputs());
+  const capm = results.reconciliation.find(row => row.method === 'capm');
+  assertClose(capm.wacc, 0.6 * 13 + 0.4 * 5.6);
+  assert.equal(results.reconciliation.length, 4);
+});
+
+test('optimal capital structure starts from the unlevered cost of equity', () => {
+  const inputs = waccInputs({ costOfEquityMethod: 'capm' });
+  const results = calculateOptimalCapitalStructure(inputs, calculateCostOfEquity(inputs), { ebitda: 200, cashFlow: 50 });
+  const unlevered = 1.5 / (1 + 0.7 * (400 / 600));
+  assertClose(results.unleveredBeta, unlevered);
+  assertClose(results.points[0].wacc, 4 + unlevered * 6);
+  assert.equal(results.points[0].rating, 'AAA');
+  assertClose(results.currentDebtRatio, 40);
+  assert.ok(results.points.every(point => point.wacc >= results.optimal.wacc));
+});
+
+test('valuation engine: $100 perpetuity at 10% is worth $1,000', () => {
+  const inputs = waccInputs({ costOfEquity: 10, marketValueDebt: 0, perpetualGrowth: 0, cashFlowProjection: [100] });
+  const results = evaluateValuation(inputs, calculateCostOfEquity(inputs));
+  assertClose(results.wacc, 10);
+  assertClose(results.npv, 1000);
+});
+
+test('valuation engine with no shifts matches calculateWACC', () => {
+  const inputs = waccInputs({ cashFlowProjection: [10, 20] });
+  const costOfEquity = calculateCostOfEquity(inputs);
+  assertClose(evaluateValuation(inputs, costOfEquity).wacc, calculateWACC(inputs, costOfEquity).wacc);
+  assertClose(evaluateValuation(inputs, costOfEquity, { wacc: 0.5 }).wacc, 9.94);
+});
+
+test('valuation engine: beta shifts move only the costs of equity that use beta', () => {
+  const capm = waccInputs({ costOfEquityMethod: 'capm', cashFlowProjection: [100] });
+  const capmCost = calculateCostOfEquity(capm);
+  const capmBase = evaluateValuation(capm, capmCost).wacc;
+  // +0.5 beta at a 6% premium adds 3% to the cost of equity, 1.8% at a 60% equity weight
+  assertClose(evaluateValuation(capm, capmCost, { beta: 0.5 }).wacc - capmBase, 1.8);
+
+  ['buildUp', 'manual'].forEach(costOfEquityMethod => {
+    const inputs = { ...capm, costOfEquityMethod };
+    const costOfEquity = calculateCostOfEquity(inputs);
+    assert.equal(evaluateValuation(inputs, costOfEquity, { beta: 0.5 }).wacc, evaluateValuation(inputs, costOfEquity).wacc);
+  });
+});
+
+test('valuation engine returns no NPV when growth reaches the discount rate', () => {
+  const inputs = waccInputs({ cashFlowProjection: [100], perpetualGrowth: 12 });
+  assert.equal(evaluateValuation(inputs, calculateCostOfEquity(inputs)).npv, null);
+});